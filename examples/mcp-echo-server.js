@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// examples/mcp-echo-server.js
+//
+// A minimal MCP server speaking JSON-RPC over stdio, for trying out and testing
+// hikma's MCP support without installing anything; test/mcp-client.test.js runs against it.
+// Add it to your user config (~/.config/hikma/config.json) or a file passed with --config;
+// a project's .hikma.json may not define MCP servers:
+//
+//   "mcpServers": {
+//     "echo": { "command": "node", "args": ["/path/to/hikma/examples/mcp-echo-server.js"] }
+//   }
+//
+// It provides echo__echo (read-only), echo__add and echo__fail (always returns an error).
+import readline from 'readline';
+
+const tools = [
+  {
+    name: 'echo',
+    description: 'Echo the given text back',
+    inputSchema: {
+      type: 'object',
+      properties: { text: { type: 'string', description: 'Text to echo' } },
+      required: ['text']
+    },
+    annotations: { readOnlyHint: true }
+  },
+  {
+    name: 'add',
+    description: 'Add two numbers',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        a: { type: 'number' },
+        b: { type: 'number' }
+      },
+      required: ['a', 'b']
+    }
+  },
+  {
+    name: 'fail',
+    description: 'Always fails, for testing error handling',
+    inputSchema: { type: 'object', properties: {} }
+  }
+];
+
+function callTool(name, args) {
+  switch (name) {
+    case 'echo':
+      return { content: [{ type: 'text', text: String(args.text) }] };
+    case 'add':
+      return { content: [{ type: 'text', text: String(Number(args.a) + Number(args.b)) }] };
+    case 'fail':
+      return { content: [{ type: 'text', text: 'This tool always fails' }], isError: true };
+    default:
+      return null;
+  }
+}
+
+function send(message) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+}
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const message = JSON.parse(line);
+
+  // Notifications need no response
+  if (message.id === undefined) return;
+
+  switch (message.method) {
+    case 'initialize':
+      send({
+        id: message.id,
+        result: {
+          protocolVersion: '2024-11-05',
+          capabilities: { tools: {} },
+          serverInfo: { name: 'echo', version: '1.0.0' }
+        }
+      });
+      break;
+    case 'tools/list':
+      send({ id: message.id, result: { tools } });
+      break;
+    case 'tools/call': {
+      const result = callTool(message.params.name, message.params.arguments || {});
+      if (result) {
+        send({ id: message.id, result });
+      } else {
+        send({ id: message.id, error: { code: -32602, message: `Unknown tool: ${message.params.name}` } });
+      }
+      break;
+    }
+    case 'ping':
+      send({ id: message.id, result: {} });
+      break;
+    default:
+      send({ id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+  }
+});
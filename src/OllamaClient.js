@@ -1,5 +1,14 @@
 // src/api/OllamaClient.js
 import axios from 'axios';
+import { StringDecoder } from 'string_decoder';
+
+// Top-level fields of /api/chat and /api/generate requests; other parameters are model options
+const REQUEST_FIELDS = new Set(['model', 'stream', 'tools', 'format', 'keep_alive', 'think', 'raw', 'system', 'template', 'images']);
+
+// Parameters Ollama knows by another name
+const OPTION_ALIASES = {
+  max_tokens: 'num_predict'
+};
 
 /**
  * Client for interacting with the Ollama API
@@ -16,6 +25,12 @@ export class OllamaClient {
       ...options.defaultParams
     };
     
+    // Log request details; off by default so answers can be piped
+    this.debug = options.debug || false;
+    
+    // Context window of each model, from /api/show
+    this.contextLengths = new Map();
+    
     // Token usage tracking
     this.tokenUsage = {
       promptTokens: 0,
@@ -43,6 +58,164 @@ export class OllamaClient {
     };
   }
 
+  /**
+   * Add the token counts reported in a final Ollama response to the running totals
+   * @param {Object} data - The final response payload from Ollama
+   */
+  recordTokenUsage(data) {
+    if (data.prompt_eval_count !== undefined && data.eval_count !== undefined) {
+      this.tokenUsage.promptTokens += data.prompt_eval_count;
+      this.tokenUsage.completionTokens += data.eval_count;
+      this.tokenUsage.totalTokens += (data.prompt_eval_count + data.eval_count);
+    }
+  }
+
+  /**
+   * Split request parameters into the request's top-level fields and the model options
+   * Ollama reads from `options` (temperature, top_p, num_ctx, num_predict, ...); parameters
+   * at the top level are otherwise ignored
+   * @param {Object} params - The parameters, optionally with model options already in `options`
+   * @returns {Object} - The request fields, with the model options in `options`
+   */
+  toRequestParams(params) {
+    const request = {};
+    const modelOptions = { ...params.options };
+    
+    for (const [name, value] of Object.entries(params)) {
+      if (name === 'options' || value === undefined || value === null) {
+        continue;
+      }
+      
+      if (REQUEST_FIELDS.has(name)) {
+        request[name] = value;
+      } else {
+        modelOptions[OPTION_ALIASES[name] || name] = value;
+      }
+    }
+    
+    return { ...request, options: modelOptions };
+  }
+
+  /**
+   * Post a request to Ollama, streaming the response when requested
+   * @param {String} url - The endpoint URL
+   * @param {Object} body - The request body
+   * @param {Function} onChunk - Optional callback invoked with each text chunk when streaming
+   * @param {AbortSignal} signal - Optional signal that cancels the request
+   * @returns {Promise<Object>} - The final response payload, with the full text assembled in
+   *   `response` (/api/generate) or `message.content` (/api/chat). A streamed response cut
+   *   short by the signal has `interrupted: true` and the text received so far.
+   */
+  async post(url, body, onChunk, signal) {
+    if (!body.stream) {
+      const response = await axios.post(url, body, { signal });
+      return response.data;
+    }
+
+    const response = await axios.post(url, body, { responseType: 'stream', signal });
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    let text = '';
+    let finalData = {};
+    let isChat = false;
+    const toolCalls = [];
+
+    // Ollama streams newline-delimited JSON objects; the last one has done: true
+    const handleLine = (line) => {
+      if (!line.trim()) return;
+
+      const data = JSON.parse(line);
+      if (data.error) {
+        throw new Error(data.error);
+      }
+
+      // /api/chat streams message fragments, /api/generate streams response fragments
+      if (data.message) {
+        isChat = true;
+        if (data.message.tool_calls) {
+          toolCalls.push(...data.message.tool_calls);
+        }
+      }
+      const piece = data.message ? data.message.content : data.response;
+      if (piece) {
+        text += piece;
+        if (onChunk) onChunk(piece, data);
+      }
+
+      if (data.done) {
+        finalData = data;
+      }
+    };
+
+    try {
+      for await (const chunk of response.data) {
+        buffer += decoder.write(chunk);
+
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) >= 0) {
+          handleLine(buffer.slice(0, newlineIndex));
+          buffer = buffer.slice(newlineIndex + 1);
+        }
+      }
+      handleLine(buffer + decoder.end());
+    } catch (error) {
+      // Aborting destroys the stream; keep what arrived before that
+      if (!signal?.aborted) {
+        throw error;
+      }
+    }
+
+    if (signal?.aborted) {
+      finalData = { ...finalData, done: false, interrupted: true };
+    }
+
+    if (isChat) {
+      const message = { role: 'assistant', ...finalData.message, content: text };
+      if (toolCalls.length > 0) {
+        message.tool_calls = toolCalls;
+      }
+      return { ...finalData, message };
+    }
+    return { ...finalData, response: text };
+  }
+
+  /**
+   * Result for a request cancelled before any of the response arrived
+   * @returns {Object} - Failed result with interrupted set
+   */
+  interruptedResult() {
+    return {
+      success: false,
+      interrupted: true,
+      error: 'Generation interrupted',
+      response: null
+    };
+  }
+
+  /**
+   * Extract the most useful error message from a failed request
+   * @param {Error} error - The error thrown by axios
+   * @returns {Promise<String>} - Ollama's error message if it sent one, otherwise the axios message
+   */
+  async describeError(error) {
+    let data = error.response?.data;
+    
+    // Streaming requests receive the error body as a stream
+    if (data && typeof data.on === 'function') {
+      let body = '';
+      try {
+        for await (const chunk of data) {
+          body += chunk.toString('utf8');
+        }
+        data = JSON.parse(body);
+      } catch (parseError) {
+        data = null;
+      }
+    }
+    
+    return data?.error || error.message;
+  }
+
   /**
    * Check if Ollama server is running
    * @returns {Promise<boolean>} - True if server is running
@@ -82,44 +255,63 @@ export class OllamaClient {
    */
   async generateCompletion(prompt, options = {}) {
     try {
-      const model = options.model || this.defaultModel;
-      const params = { ...this.defaultParams, ...options };
+      const { onChunk, ...requestOptions } = options;
+      const model = requestOptions.model || this.defaultModel;
+      const params = { ...this.defaultParams, ...requestOptions };
 
-      const response = await axios.post(`${this.baseUrl}/generate`, {
+      const data = await this.post(`${this.baseUrl}/generate`, {
         model,
         prompt,
-        ...params
-      });
+        ...this.toRequestParams(params)
+      }, onChunk);
 
       // Update token usage
-      if (response.data.prompt_eval_count !== undefined && 
-          response.data.eval_count !== undefined) {
-        this.tokenUsage.promptTokens += response.data.prompt_eval_count;
-        this.tokenUsage.completionTokens += response.data.eval_count;
-        this.tokenUsage.totalTokens += (response.data.prompt_eval_count + response.data.eval_count);
-      }
+      this.recordTokenUsage(data);
 
       return {
         success: true,
-        response: response.data.response,
-        rawResponse: response.data,
-        tokenUsage: {
-          promptTokens: response.data.prompt_eval_count,
-          completionTokens: response.data.eval_count,
-          totalTokens: response.data.prompt_eval_count + response.data.eval_count
-        }
+        response: data.response,
+        rawResponse: data,
+        tokenUsage: this.formatTokenUsage(data)
       };
     } catch (error) {
-      console.error('Error generating completion:', error.message);
+      const message = await this.describeError(error);
+      console.error('Error generating completion:', message);
       return {
         success: false,
-        error: error.message,
+        error: message,
         response: null,
         rawResponse: error.response?.data
       };
     }
   }
 
+  /**
+   * Get the length of a model's context window, as reported by /api/show
+   * @param {String} model - The model name (default: the default model)
+   * @returns {Promise<Number|null>} - The context length in tokens, or null if it is not known
+   */
+  async getContextLength(model = this.defaultModel) {
+    if (this.contextLengths.has(model)) {
+      return this.contextLengths.get(model);
+    }
+    
+    try {
+      const response = await axios.post(`${this.baseUrl}/show`, { model });
+      
+      // Reported per architecture, e.g. llama.context_length or qwen2.context_length
+      const info = response.data.model_info || {};
+      const key = Object.keys(info).find(name => name.endsWith('.context_length'));
+      const length = key ? Number(info[key]) || null : null;
+      
+      this.contextLengths.set(model, length);
+      return length;
+    } catch (error) {
+      // Not cached, so it is asked again once the server is reachable
+      return null;
+    }
+  }
+
   /**
    * Get a list of available models
    * @returns {Promise<Object>} - The list of models
@@ -141,13 +333,50 @@ export class OllamaClient {
     }
   }
 
+  /**
+   * Read the token counts of a response
+   * @param {Object} data - The response payload
+   * @returns {Object} - Prompt, completion and total tokens; null when the response has no counts,
+   *   as when a stream is interrupted before its final chunk
+   */
+  formatTokenUsage(data) {
+    const promptTokens = data.prompt_eval_count ?? null;
+    const completionTokens = data.eval_count ?? null;
+    
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens !== null && completionTokens !== null ? promptTokens + completionTokens : null
+    };
+  }
+
+  /**
+   * Normalize an /api/chat response to the shape returned by generateCompletion
+   * @param {Object} data - The response payload from /api/chat
+   * @returns {Object} - Result with success, response, toolCalls, rawResponse and tokenUsage
+   */
+  formatChatResult(data) {
+    return {
+      success: true,
+      response: data.message ? data.message.content : '',
+      toolCalls: data.message?.tool_calls || [],
+      interrupted: Boolean(data.interrupted),
+      rawResponse: data,
+      tokenUsage: this.formatTokenUsage(data)
+    };
+  }
+
   /**
    * Generate a chat completion with conversation history
    * @param {Array} messages - Array of message objects with role and content
-   * @param {Object} options - Options for the request
-   * @returns {Promise<Object>} - The response from Ollama
+   * @param {Object} options - Options for the request (set `stream` and `onChunk` to receive text as it is generated,
+   *   `tools` to let the model request tool calls and `signal` to be able to cancel it)
+   * @returns {Promise<Object>} - The response from Ollama; `interrupted` is set when the signal cancelled it,
+   *   with the text generated so far if the response was streamed
    */
   async generateChatCompletion(messages, options = {}) {
+    const { onChunk, signal, ...requestOptions } = options;
+    
     try {
       // Check if Ollama server is running
       const isRunning = await this.isServerRunning();
@@ -159,7 +388,7 @@ export class OllamaClient {
         };
       }
 
-      const model = options.model || this.defaultModel;
+      const model = requestOptions.model || this.defaultModel;
       if (!model) {
         return {
           success: false,
@@ -167,78 +396,43 @@ export class OllamaClient {
           response: null
         };
       }
-      const params = { ...this.defaultParams, ...options };
-
-      // Add tool information to system context if tools are available
-      let enhancedMessages = [...messages];
-      if (options.availableTools && options.availableTools.length > 0) {
-        const toolDescriptions = options.availableTools.map(tool => 
-          `- ${tool.name}: ${tool.description} (Keywords: ${tool.keywords.join(', ')})`
-        ).join('\n');
-        
-        const toolSystemPrompt = `\n\nAvailable Tools:\n${toolDescriptions}\n\nIf the user's request can be fulfilled by one of these tools, respond with: "I'll use the [tool_name] tool to help you with that." Otherwise, provide a helpful response.`;
-        
-        // Find system message and enhance it, or add a new one
-        const systemMessageIndex = enhancedMessages.findIndex(msg => msg.role === 'system');
-        if (systemMessageIndex >= 0) {
-          enhancedMessages[systemMessageIndex] = {
-            ...enhancedMessages[systemMessageIndex],
-            content: enhancedMessages[systemMessageIndex].content + toolSystemPrompt
-          };
-        } else {
-          enhancedMessages.unshift({
-            role: 'system',
-            content: 'You are a helpful assistant.' + toolSystemPrompt
-          });
-        }
+      const params = { ...this.defaultParams, ...requestOptions };
+      if (!params.tools || params.tools.length === 0) {
+        delete params.tools;
       }
 
-      // Format messages into a chat prompt
-      const formattedMessages = enhancedMessages.map(msg => {
-        const role = msg.role === 'assistant' ? 'Assistant' :
-          msg.role === 'user' ? 'User' :
-            msg.role === 'system' ? 'System' : msg.role;
-        return `${role}: ${msg.content}`;
-      }).join('\n\n');
-
-      // Add a final prompt for the assistant to respond
-      const prompt = `${formattedMessages}\n\nAssistant:`;
-
-      // Only log a portion of the prompt to avoid console clutter
-      const truncatedPrompt = prompt.length > 200 ? prompt.substring(0, 200) + '...' : prompt;
-      console.log('Sending chat prompt:', { 
-        prompt: truncatedPrompt, 
-        model, 
-        params, 
-        baseUrl: this.baseUrl 
+      // Keep only the fields /api/chat understands (drops ids, timestamps and metadata)
+      const chatMessages = messages.map(msg => {
+        const chatMessage = { role: msg.role, content: msg.content };
+        if (msg.tool_calls) chatMessage.tool_calls = msg.tool_calls;
+        if (msg.tool_name) chatMessage.tool_name = msg.tool_name;
+        return chatMessage;
       });
+
+      if (this.debug) {
+        console.error('Sending chat request:', { 
+          messages: chatMessages.length, 
+          model, 
+          params, 
+          baseUrl: this.baseUrl 
+        });
+      }
+      
+      if (signal?.aborted) {
+        return this.interruptedResult();
+      }
       
       try {
-        console.log(`Using model: ${model} for generation`);
-        const response = await axios.post(`${this.baseUrl}/generate`, {
+        const data = await this.post(`${this.baseUrl}/chat`, {
           model,
-          prompt,
-          ...params
-        });
+          messages: chatMessages,
+          ...this.toRequestParams(params)
+        }, onChunk, signal);
         
         // Update token usage
-        if (response.data.prompt_eval_count !== undefined && 
-            response.data.eval_count !== undefined) {
-          this.tokenUsage.promptTokens += response.data.prompt_eval_count;
-          this.tokenUsage.completionTokens += response.data.eval_count;
-          this.tokenUsage.totalTokens += (response.data.prompt_eval_count + response.data.eval_count);
-        }
+        this.recordTokenUsage(data);
 
-        return {
-          success: true,
-          response: response.data.response,
-          rawResponse: response.data,
-          tokenUsage: {
-            promptTokens: response.data.prompt_eval_count,
-            completionTokens: response.data.eval_count,
-            totalTokens: response.data.prompt_eval_count + response.data.eval_count
-          }
-        };
+        return this.formatChatResult(data);
       } catch (error) {
         // Check if error is due to model not found
         if (error.response && error.response.status === 404) {
@@ -246,34 +440,22 @@ export class OllamaClient {
           const fallbackModel = await this.findFallbackModel(model);
           
           if (fallbackModel) {
-            console.log(`Model ${model} not found. Falling back to ${fallbackModel}`);
+            console.error(`Model ${model} not found. Falling back to ${fallbackModel}`);
             
             // Try again with fallback model
-            const fallbackResponse = await axios.post(`${this.baseUrl}/generate`, {
+            const fallbackData = await this.post(`${this.baseUrl}/chat`, {
               model: fallbackModel,
-              prompt,
-              ...params
-            });
+              messages: chatMessages,
+              ...this.toRequestParams(params)
+            }, onChunk, signal);
             
             // Update token usage for fallback model
-            if (fallbackResponse.data.prompt_eval_count !== undefined && 
-                fallbackResponse.data.eval_count !== undefined) {
-              this.tokenUsage.promptTokens += fallbackResponse.data.prompt_eval_count;
-              this.tokenUsage.completionTokens += fallbackResponse.data.eval_count;
-              this.tokenUsage.totalTokens += (fallbackResponse.data.prompt_eval_count + fallbackResponse.data.eval_count);
-            }
+            this.recordTokenUsage(fallbackData);
             
             return {
-              success: true,
-              response: fallbackResponse.data.response,
-              rawResponse: fallbackResponse.data,
+              ...this.formatChatResult(fallbackData),
               usedFallbackModel: true,
-              fallbackModel,
-              tokenUsage: {
-                promptTokens: fallbackResponse.data.prompt_eval_count,
-                completionTokens: fallbackResponse.data.eval_count,
-                totalTokens: fallbackResponse.data.prompt_eval_count + fallbackResponse.data.eval_count
-              }
+              fallbackModel
             };
           } else {
             return {
@@ -287,10 +469,15 @@ export class OllamaClient {
         throw error; // Re-throw if it's not a 404 error
       }
     } catch (error) {
-      console.error('Error generating chat completion:', error.message);
+      if (signal?.aborted) {
+        return this.interruptedResult();
+      }
+      
+      const message = await this.describeError(error);
+      console.error('Error generating chat completion:', message);
       return {
         success: false,
-        error: error.message,
+        error: message,
         response: null,
         rawResponse: error.response?.data
       };
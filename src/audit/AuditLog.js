@@ -0,0 +1,208 @@
+// src/audit/AuditLog.js
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { nanoid } from 'nanoid';
+
+/**
+ * Shorten a long text for the log
+ * @param {String} text - The text
+ * @param {Number} maxChars - Characters to keep
+ * @returns {String} - The text, with a note of how much was left out
+ */
+function shorten(text, maxChars) {
+  if (text.length <= maxChars) {
+    return text;
+  }
+  return text.slice(0, maxChars) + `\n[... ${text.length - maxChars} more characters not logged]`;
+}
+
+/**
+ * Shorten the long strings in tool arguments, such as the content of write_file or the
+ * body of apply_patch, keeping the rest of their shape
+ * @param {*} value - The arguments, or a value nested in them
+ * @param {Number} maxChars - Characters to keep of each string
+ * @returns {*} - The shortened value
+ */
+function shortenArgs(value, maxChars) {
+  if (typeof value === 'string') {
+    return shorten(value, maxChars);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => shortenArgs(item, maxChars));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, shortenArgs(item, maxChars)]));
+  }
+  return value;
+}
+
+/**
+ * Append-only record of every tool call and shell command hikma runs.
+ * This base class writes one JSON object per line to ~/.hikma/audit.jsonl;
+ * SqliteAuditLog stores the same entries in the memory database.
+ */
+export class AuditLog {
+  constructor(options = {}) {
+    this.logPath = options.logPath || path.join(os.homedir(), '.hikma', 'audit.jsonl');
+    this.maxOutputChars = options.maxOutputChars || 2000;
+    // Characters kept of each string argument
+    this.maxArgChars = options.maxArgChars || this.maxOutputChars;
+  }
+
+  /**
+   * Prepare the log for writing
+   */
+  async initialize() {
+    fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+  }
+
+  /**
+   * Build a complete entry from what the caller recorded
+   * @param {Object} entry - The recorded invocation
+   * @returns {Object} - The entry with id, timestamp and shortened arguments and output
+   * @protected
+   */
+  createEntry(entry) {
+    const output = entry.output == null ? null : shorten(String(entry.output), this.maxOutputChars);
+
+    return {
+      id: nanoid(),
+      timestamp: new Date().toISOString(),
+      conversationId: entry.conversationId || null,
+      type: entry.type, // 'tool', 'shell' or 'command'
+      name: entry.name,
+      args: entry.args == null ? null : shortenArgs(entry.args, this.maxArgChars),
+      cwd: entry.cwd || process.cwd(),
+      success: Boolean(entry.success),
+      exitCode: entry.exitCode ?? null,
+      duration: entry.duration ?? null,
+      output,
+      error: entry.error || null
+    };
+  }
+
+  /**
+   * Record an invocation
+   * @param {Object} entry - The invocation
+   * @param {String} entry.conversationId - The conversation it ran in
+   * @param {String} entry.type - 'tool' for tool calls, 'shell' for ! and gh: commands, 'command' for commands hikma runs itself
+   * @param {String} entry.name - Tool name or program
+   * @param {Object|String} entry.args - Tool arguments or the command line (long strings are shortened)
+   * @param {String} entry.cwd - Working directory
+   * @param {Boolean} entry.success - Whether it succeeded
+   * @param {Number} entry.exitCode - Exit code of the process, if one ran
+   * @param {Number} entry.duration - Milliseconds it took
+   * @param {String} entry.output - Output (shortened before it is stored)
+   * @param {String} entry.error - Error message, if it failed
+   * @returns {Object} - The stored entry
+   */
+  record(entry) {
+    const stored = this.createEntry(entry);
+
+    try {
+      fs.appendFileSync(this.logPath, JSON.stringify(stored) + '\n');
+    } catch (error) {
+      console.error(`Error writing audit log ${this.logPath}: ${error.message}`);
+    }
+
+    return stored;
+  }
+
+  /**
+   * Check whether an entry matches a filter
+   * @param {Object} entry - A stored entry
+   * @param {Object} filter - The filter (see query)
+   * @returns {Boolean} - True if the entry matches
+   * @protected
+   */
+  matches(entry, filter) {
+    if (filter.name && entry.name !== filter.name) return false;
+    if (filter.type && entry.type !== filter.type) return false;
+    if (filter.conversationId && entry.conversationId !== filter.conversationId) return false;
+    if (filter.failed && entry.success) return false;
+    if (filter.since && entry.timestamp < filter.since) return false;
+
+    if (filter.text) {
+      const haystack = `${JSON.stringify(entry.args)} ${entry.output || ''} ${entry.error || ''}`.toLowerCase();
+      if (!haystack.includes(filter.text.toLowerCase())) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Find entries, most recent first
+   * @param {Object} filter - Optional filter
+   * @param {String} filter.name - Only this tool or program
+   * @param {String} filter.type - Only this entry type
+   * @param {String} filter.conversationId - Only this conversation
+   * @param {Boolean} filter.failed - Only failed invocations
+   * @param {String} filter.since - Only entries at or after this ISO date
+   * @param {String} filter.text - Only entries whose arguments, output or error contain this text
+   * @param {Number} filter.limit - Maximum number of entries (default 20)
+   * @returns {Array} - Matching entries
+   */
+  query(filter = {}) {
+    if (!fs.existsSync(this.logPath)) {
+      return [];
+    }
+
+    const limit = filter.limit || 20;
+    const lines = fs.readFileSync(this.logPath, 'utf8').split('\n');
+    const results = [];
+
+    for (let i = lines.length - 1; i >= 0 && results.length < limit; i--) {
+      if (!lines[i]) continue;
+
+      try {
+        const entry = JSON.parse(lines[i]);
+        if (this.matches(entry, filter)) {
+          results.push(entry);
+        }
+      } catch (error) {
+        // Skip lines damaged by an interrupted write
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get a single entry
+   * @param {String} id - The entry ID (a unique prefix is enough)
+   * @returns {Object|null} - The entry, or null if none matches
+   */
+  get(id) {
+    if (!fs.existsSync(this.logPath)) {
+      return null;
+    }
+
+    for (const line of fs.readFileSync(this.logPath, 'utf8').split('\n')) {
+      if (line.includes(`"id":"${id}`)) {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get where entries are stored
+   * @returns {String} - A description of the storage location
+   */
+  getLocation() {
+    return this.logPath;
+  }
+
+  /**
+   * Release resources
+   */
+  close() {}
+}
+
+export default AuditLog;
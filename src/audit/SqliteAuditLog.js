@@ -0,0 +1,169 @@
+// src/audit/SqliteAuditLog.js
+import Database from 'better-sqlite3';
+import { AuditLog } from './AuditLog.js';
+import path from 'path';
+import os from 'os';
+
+/**
+ * SQLite implementation of the AuditLog, stored alongside persistent memory
+ */
+export class SqliteAuditLog extends AuditLog {
+  constructor(options = {}) {
+    super(options);
+
+    this.dbPath = options.dbPath || path.join(os.homedir(), '.ollama-chat-memory.db');
+    this.db = null;
+  }
+
+  /**
+   * Open the database and create the audit table
+   */
+  async initialize() {
+    this.db = new Database(this.dbPath);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id TEXT PRIMARY KEY,
+        timestamp TEXT,
+        conversation_id TEXT,
+        type TEXT,
+        name TEXT,
+        args TEXT,
+        cwd TEXT,
+        success INTEGER,
+        exit_code INTEGER,
+        duration INTEGER,
+        output TEXT,
+        error TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS audit_log_timestamp ON audit_log (timestamp);
+    `);
+  }
+
+  /**
+   * Convert a database row to an entry
+   * @param {Object} row - The row
+   * @returns {Object} - The entry
+   * @private
+   */
+  fromRow(row) {
+    return {
+      id: row.id,
+      timestamp: row.timestamp,
+      conversationId: row.conversation_id,
+      type: row.type,
+      name: row.name,
+      args: row.args ? JSON.parse(row.args) : null,
+      cwd: row.cwd,
+      success: row.success === 1,
+      exitCode: row.exit_code,
+      duration: row.duration,
+      output: row.output,
+      error: row.error
+    };
+  }
+
+  /**
+   * Record an invocation
+   * @param {Object} entry - The invocation (see AuditLog.record)
+   * @returns {Object} - The stored entry
+   */
+  record(entry) {
+    const stored = this.createEntry(entry);
+
+    try {
+      this.db.prepare(`
+        INSERT INTO audit_log (id, timestamp, conversation_id, type, name, args, cwd, success, exit_code, duration, output, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        stored.id,
+        stored.timestamp,
+        stored.conversationId,
+        stored.type,
+        stored.name,
+        JSON.stringify(stored.args),
+        stored.cwd,
+        stored.success ? 1 : 0,
+        stored.exitCode,
+        stored.duration,
+        stored.output,
+        stored.error
+      );
+    } catch (error) {
+      console.error(`Error writing audit log: ${error.message}`);
+    }
+
+    return stored;
+  }
+
+  /**
+   * Find entries, most recent first
+   * @param {Object} filter - Optional filter (see AuditLog.query)
+   * @returns {Array} - Matching entries
+   */
+  query(filter = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filter.name) {
+      conditions.push('name = ?');
+      params.push(filter.name);
+    }
+    if (filter.type) {
+      conditions.push('type = ?');
+      params.push(filter.type);
+    }
+    if (filter.conversationId) {
+      conditions.push('conversation_id = ?');
+      params.push(filter.conversationId);
+    }
+    if (filter.failed) {
+      conditions.push('success = 0');
+    }
+    if (filter.since) {
+      conditions.push('timestamp >= ?');
+      params.push(filter.since);
+    }
+    if (filter.text) {
+      conditions.push("(args || ' ' || IFNULL(output, '') || ' ' || IFNULL(error, '')) LIKE ?");
+      params.push(`%${filter.text}%`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.db.prepare(`SELECT * FROM audit_log ${where} ORDER BY timestamp DESC LIMIT ?`)
+      .all(...params, filter.limit || 20);
+
+    return rows.map(row => this.fromRow(row));
+  }
+
+  /**
+   * Get a single entry
+   * @param {String} id - The entry ID (a unique prefix is enough)
+   * @returns {Object|null} - The entry, or null if none matches
+   */
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM audit_log WHERE substr(id, 1, length(?)) = ? LIMIT 1').get(id, id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * Get where entries are stored
+   * @returns {String} - A description of the storage location
+   */
+  getLocation() {
+    return `${this.dbPath} (audit_log table)`;
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+export default SqliteAuditLog;
@@ -3,9 +3,43 @@ import { MemoryManager } from '../memory/MemoryManager.js';
 import { SqliteMemoryManager } from '../memory/SqliteMemoryManager.js';
 import { OllamaClient } from '../OllamaClient.js';
 import { ContextManager } from '../context/ContextManager.js';
+import { PromptBuilder } from './PromptBuilder.js';
+import { TokenCounter } from '../tokenizer/TokenCounter.js';
 import { ToolManager } from '../tools/ToolManager.js';
+import { CommandExecutor } from '../tools/CommandExecutor.js';
+import { AuditLog } from '../audit/AuditLog.js';
+import { SqliteAuditLog } from '../audit/SqliteAuditLog.js';
+import { truncateOutput } from '../utils/truncate.js';
 import EventEmitter from 'events';
 
+// Instructions for the one-off generations behind /commit and /pr-description
+const COMMIT_MESSAGE_PROMPT = `Write a git commit message for the staged changes below, following the Conventional Commits format:
+
+<type>(<optional scope>): <short summary>
+
+<optional body explaining what changed and why>
+
+Use one of these types: feat, fix, docs, style, refactor, perf, test, build, ci, chore.
+Keep the summary under 72 characters, in the imperative mood, without a trailing period.
+Wrap the body at 72 characters. Reply with the commit message only, without code fences or commentary.`;
+
+const PR_DESCRIPTION_PROMPT = `Write a pull request description for the branch below, based on its commits and diff.
+Use Markdown with these sections:
+
+## Summary
+One or two sentences on what the change does and why.
+
+## Changes
+A bulleted list of the notable changes.
+
+## Testing
+How the change can be verified.
+
+Reply with the description only.`;
+
+// Settings stored with each conversation and restored when it becomes active again
+const CONVERSATION_SETTINGS = ['model', 'temperature', 'maxTokens', 'systemPrompt'];
+
 /**
  * ChatSession manages the interaction between memory and the LLM
  */
@@ -13,21 +47,52 @@ export class ChatSession extends EventEmitter {
   constructor(options = {}) {
     super();
     
-    // Initialize memory manager
+    // Initialize Ollama client
+    this.ollama = new OllamaClient(options.ollamaOptions);
+    
+    // Initialize memory manager, which summarizes long conversations with the Ollama client
+    // in the session's context window
+    const memoryOptions = {
+      ...options.memoryOptions,
+      client: this.ollama,
+      getContextLength: async () => (await this.getContextWindow()).contextLength,
+      countTokens: text => this.tokenCounter.count(text)
+    };
     if (options.persistMemory) {
-      this.memory = new SqliteMemoryManager(options.memoryOptions);
+      this.memory = new SqliteMemoryManager(memoryOptions);
     } else {
-      this.memory = new MemoryManager(options.memoryOptions);
+      this.memory = new MemoryManager(memoryOptions);
     }
     
-    // Initialize Ollama client
-    this.ollama = new OllamaClient(options.ollamaOptions);
+    // Count tokens with the tokenizer of the session's model
+    this.tokenCounter = new TokenCounter({
+      ...options.tokenizerOptions,
+      getModel: () => this.settings.model || this.ollama.defaultModel
+    });
     
     // Initialize context manager
-    this.context = new ContextManager();
+    this.context = new ContextManager({ tokenCounter: this.tokenCounter });
+    
+    // Fits each prompt into the model's context window
+    this.promptBuilder = new PromptBuilder({ estimateTokens: text => this.context.estimateTokenCount(text) });
+    
+    // Initialize the command executor shared by tools and the CLI
+    this.executor = new CommandExecutor(options.executionOptions);
+    
+    // Initialize the audit log (in the memory database when memory is persisted)
+    if (options.persistMemory) {
+      this.audit = new SqliteAuditLog({ dbPath: options.memoryOptions?.dbPath, ...options.auditOptions });
+    } else {
+      this.audit = new AuditLog(options.auditOptions);
+    }
     
     // Initialize tool manager
-    this.tools = new ToolManager();
+    this.tools = new ToolManager({
+      ...options.toolOptions,
+      executor: this.executor,
+      contextManager: this.context,
+      auditLog: this.audit
+    });
     
     // Session settings
     this.settings = {
@@ -36,27 +101,82 @@ export class ChatSession extends EventEmitter {
       includeTimestamps: false,
       includeMessageIds: false,
       maxTokens: 2048,
+      // Largest context window to use, even for models that support a longer one
+      contextLength: 8192,
       temperature: 0.7,
+      stream: false,
+      // 'native' lets the model call tools, 'keyword' routes prompts by keyword, 'off' disables tools
+      toolMode: 'native',
+      maxToolIterations: 5,
+      // 'answer' sends tool output back to the model, 'raw' returns it as the reply (keyword mode only)
+      toolResultMode: 'answer',
+      // Estimated tokens of a single tool result sent to the model; longer output is truncated
+      maxToolResultTokens: 4000,
+      // 'keep' stores the part of an interrupted reply generated so far, 'discard' drops it
+      interruptedResponses: 'keep',
       ...options.settings
     };
     
+    // Named profiles bundling settings, enabled tools and context files (see useProfile)
+    this.profiles = options.profiles || {};
+    this.initialProfile = options.profile || null;
+    this.activeProfile = null;
+    // Values a profile falls back to for the settings it doesn't set
+    this.baseSettings = { ...this.settings };
+    // Settings given on the command line, kept when a conversation's saved settings are restored
+    this.pinnedSettings = options.pinnedSettings || {};
+    
     this.initialized = false;
     this.activeConversationId = null;
+    
+    // Cancels the reply being generated (see interruptGeneration)
+    this.generationController = null;
   }
   
   /**
    * Initialize the chat session
+   * @param {Object} options - Optional settings
+   * @param {String} options.conversation - ID or title of the conversation to continue; one with
+   *   this title is created if none matches (default: the most recent conversation)
    */
-  async initialize() {
+  async initialize(options = {}) {
     // Initialize memory manager if it's SQLite
     if (this.memory instanceof SqliteMemoryManager) {
       await this.memory.initialize();
     }
     
-    // Create a new conversation if none exists
-    if (this.memory.getAllConversations().length === 0) {
+    try {
+      await this.audit.initialize();
+    } catch (error) {
+      this.emit('warning', { message: `Audit log unavailable: ${error.message}` });
+    }
+    
+    // Load tool plugins from the user and project tool directories
+    const pluginResult = await this.tools.loadPlugins();
+    if (pluginResult.errors.length > 0) {
+      this.emit('warning', {
+        message: `${pluginResult.errors.length} tool plugin(s) failed to load. Run /tools for details.`
+      });
+    }
+    if (pluginResult.untrusted.length > 0) {
+      this.emit('warning', {
+        message: `${pluginResult.untrusted.length} project tool plugin(s) in .hikma/tools were not loaded because they are not trusted. Review them, then run /tools trust to load them.`
+      });
+    }
+    
+    // Start configured MCP servers and register their tools
+    const mcpResult = await this.tools.connectMcpServers();
+    mcpResult.errors.forEach(({ server, error }) => {
+      this.emit('warning', { message: `Could not connect to MCP server ${server}: ${error}` });
+    });
+    
+    const conversations = this.memory.getAllConversations();
+    const requested = options.conversation ? this.findConversation(options.conversation) : null;
+    
+    // Create a new conversation if none exists or the requested one doesn't
+    if (conversations.length === 0 || (options.conversation && !requested)) {
       this.activeConversationId = this.memory.createConversation({
-        title: "New Conversation",
+        title: options.conversation || "New Conversation",
         model: this.settings.model || "llama3"
       });
       
@@ -64,20 +184,31 @@ export class ChatSession extends EventEmitter {
       if (this.settings.includeSystemPrompt && this.settings.systemPrompt) {
         this.memory.addMessage('system', this.settings.systemPrompt, this.activeConversationId);
       }
+      
+      this.saveConversationSettings();
     } else {
-      // Use the most recent conversation
-      const conversations = this.memory.getAllConversations();
-      const mostRecent = conversations.reduce((latest, current) => {
+      // Use the requested conversation, or the most recent one
+      const conversation = requested || conversations.reduce((latest, current) => {
         const latestDate = new Date(latest.metadata.lastUpdated);
         const currentDate = new Date(current.metadata.lastUpdated);
         return currentDate > latestDate ? current : latest;
       }, conversations[0]);
       
-      this.activeConversationId = mostRecent.id;
+      this.activeConversationId = conversation.id;
       this.memory.setActiveConversation(this.activeConversationId);
+      this.restoreConversationSettings();
+    }
+    
+    // A resumed conversation that already uses the profile keeps its own settings
+    if (this.initialProfile && this.initialProfile !== this.activeProfile) {
+      const profileResult = await this.useProfile(this.initialProfile);
+      if (!profileResult.success) {
+        this.emit('warning', { message: profileResult.error });
+      }
     }
     
     this.initialized = true;
+    this.loadTokenizer();
     this.emit('initialized', { conversationId: this.activeConversationId });
     return true;
   }
@@ -92,9 +223,16 @@ export class ChatSession extends EventEmitter {
       await this.initialize();
     }
     
-    // Check if this is a tool command
-    const toolResult = await this.processToolCommand(message);
-    if (toolResult && toolResult.success) {
+    // Keyword routing: run a matching tool before asking the model
+    let toolResult = null;
+    if (this.settings.toolMode === 'keyword') {
+      toolResult = await this.processToolCommand(message);
+      if (toolResult.denied) {
+        this.emit('warning', { message: toolResult.error });
+      }
+    }
+    
+    if (toolResult && toolResult.success && this.settings.toolResultMode === 'raw') {
       // Add user message to memory
       const userMessage = this.memory.addMessage('user', message, this.activeConversationId);
       this.emit('messageSent', { message: userMessage });
@@ -115,43 +253,60 @@ export class ChatSession extends EventEmitter {
       };
     }
     
-    // Get context content and prepend to message if available
-    const contextContent = await this.context.getFullContext(this.activeConversationId);
-    const messageWithContext = contextContent ? contextContent + message : message;
-    
     // Add user message to memory (original message without context)
     const userMessage = this.memory.addMessage('user', message, this.activeConversationId);
     this.emit('messageSent', { message: userMessage });
     
-    // Get conversation history
-    const messages = this.memory.getMessages(this.activeConversationId);
+    // Store the keyword-matched tool's output so the model can answer from it
+    const keywordToolResults = [];
+    if (toolResult && toolResult.success) {
+      this.emit('toolCall', { name: toolResult.toolName, arguments: {} });
+      this.emit('toolResult', { name: toolResult.toolName, result: toolResult });
+      this.memory.addMessage('tool', String(toolResult.result), this.activeConversationId, {
+        toolName: toolResult.toolName,
+        arguments: {}
+      });
+      keywordToolResults.push({ arguments: {}, ...toolResult });
+    }
     
-    // For the last message (user's message), replace with context-enriched version
-    const messagesWithContext = [...messages];
-    if (messagesWithContext.length > 0 && messagesWithContext[messagesWithContext.length - 1].role === 'user') {
-      messagesWithContext[messagesWithContext.length - 1] = {
-        ...messagesWithContext[messagesWithContext.length - 1],
-        content: messageWithContext
-      };
+    // Adding the message may have started a summary; wait for it so the prompt includes it
+    await this.awaitPendingSummary();
+    
+    // Fit the history, summary and context into the model's context window
+    const prompt = await this.buildPrompt(userMessage.id);
+    this.reportPromptBudget(prompt.report);
+    
+    // Generate response from Ollama, running any tools the model asks for until it answers
+    this.generationController = new AbortController();
+    let result;
+    try {
+      result = await this.generateWithTools(prompt.messages, message, {
+        signal: this.generationController.signal,
+        contextLength: prompt.report.contextLength
+      });
+    } finally {
+      this.generationController = null;
     }
     
-    // Generate response from Ollama
-    const result = await this.ollama.generateChatCompletion(messagesWithContext, {
-      model: this.settings.model,
-      temperature: this.settings.temperature,
-      max_tokens: this.settings.maxTokens,
-      availableTools: this.tools.getAllTools()
-    });
+    if (result.interrupted) {
+      return this.handleInterruptedResponse(result, keywordToolResults);
+    }
     
     if (result.success) {
-      // Add assistant response to memory
-      const assistantMessage = this.memory.addMessage('assistant', result.response, this.activeConversationId);
-      this.emit('responseReceived', { message: assistantMessage });
+      // Add assistant response to memory along with the token counts for this turn
+      const assistantMessage = this.memory.addMessage(
+        'assistant',
+        result.response,
+        this.activeConversationId,
+        result.tokenUsage ? { tokenUsage: result.tokenUsage } : null
+      );
+      this.emit('responseReceived', { message: assistantMessage, streamed: !!this.settings.stream });
       
       return {
         success: true,
         message: assistantMessage,
-        rawResponse: result.rawResponse
+        rawResponse: result.rawResponse,
+        toolResults: [...keywordToolResults, ...result.toolResults]
       };
     } else {
       this.emit('error', { error: result.error });
@@ -163,6 +318,337 @@ export class ChatSession extends EventEmitter {
     }
   }
   
+  /**
+   * Store what was generated of an interrupted reply, or drop it, per the interruptedResponses setting
+   * @param {Object} result - The interrupted completion result
+   * @param {Array} keywordToolResults - Output of the tool matched by keyword, if any
+   * @returns {Object} - The response object, with interrupted set and the stored message if one was kept
+   */
+  handleInterruptedResponse(result, keywordToolResults) {
+    let assistantMessage = null;
+    
+    if (this.settings.interruptedResponses === 'keep' && result.response) {
+      assistantMessage = this.memory.addMessage(
+        'assistant',
+        result.response,
+        this.activeConversationId,
+        { interrupted: true }
+      );
+    }
+    
+    this.emit('responseInterrupted', { message: assistantMessage, conversationId: this.activeConversationId });
+    
+    return {
+      success: false,
+      interrupted: true,
+      error: 'Generation interrupted',
+      message: assistantMessage,
+      toolResults: [...keywordToolResults, ...(result.toolResults || [])]
+    };
+  }
+  
+  /**
+   * Get the context window to use with the current model: the model's own length as
+   * reported by Ollama, capped by the contextLength setting
+   * @returns {Promise<Object>} - Object with contextLength and the model's own modelContextLength (null if unknown)
+   */
+  async getContextWindow() {
+    const modelContextLength = await this.ollama.getContextLength(this.settings.model || this.ollama.defaultModel);
+    const limit = this.settings.contextLength;
+    
+    let contextLength = modelContextLength || limit;
+    if (modelContextLength && limit) {
+      contextLength = Math.min(modelContextLength, limit);
+    }
+    
+    return { contextLength, modelContextLength };
+  }
+  
+  /**
+   * Assemble the prompt for the current conversation within the model's context window:
+   * the system prompt, the summary of the earlier messages, context files, hooks and the
+   * messages the summary does not cover, with as much as fits (see PromptBuilder)
+   * @param {String} currentMessageId - ID of the user message being answered; null previews the prompt for the next message
+   * @returns {Promise<Object>} - Object with the messages to send and the budget report
+   */
+  async buildPrompt(currentMessageId = null) {
+    const conversation = this.getCurrentConversation();
+    const messages = this.toModelMessages(this.memory.getUnsummarizedMessages(this.activeConversationId));
+    const currentIndex = currentMessageId ? messages.findIndex(msg => msg.id === currentMessageId) : -1;
+    
+    const { contextLength, modelContextLength } = await this.getContextWindow();
+    // Room for the reply, without letting a large token limit crowd out the prompt
+    const replyTokens = Math.min(this.settings.maxTokens || Infinity, Math.floor(contextLength / 4));
+    
+    const prompt = this.promptBuilder.build({
+      systemMessages: conversation ? conversation.messages.filter(msg => msg.role === 'system') : [],
+      summary: conversation?.summary
+        ? { role: 'system', content: `Summary of the earlier conversation:\n${conversation.summary}` }
+        : null,
+      history: currentIndex === -1 ? messages : messages.slice(0, currentIndex),
+      currentTurn: currentIndex === -1 ? [] : messages.slice(currentIndex),
+      contextFiles: await this.context.getContextFileEntries(this.activeConversationId),
+      hooks: await this.context.getHookEntries(this.activeConversationId),
+      tools: this.settings.toolMode === 'native' ? this.tools.getToolDefinitions() : []
+    }, { contextLength, replyTokens });
+    
+    // Context goes in front of the user's message; memory keeps the message as typed
+    const contextContent = this.context.formatContextFiles(prompt.contextFiles) + this.context.formatHooks(prompt.hooks);
+    const promptMessages = prompt.messages.map(msg =>
+      contextContent && msg.id === currentMessageId ? { ...msg, content: contextContent + msg.content } : msg
+    );
+    
+    return {
+      messages: promptMessages,
+      report: { ...prompt.report, modelContextLength }
+    };
+  }
+  
+  /**
+   * Get the token budget of the prompt for the next message in the current conversation
+   * @returns {Promise<Object>} - The budget report of buildPrompt
+   */
+  async getPromptBudget() {
+    const { report } = await this.buildPrompt();
+    return report;
+  }
+  
+  /**
+   * Warn when context had to be left out of a prompt or the prompt does not fit at all
+   * @param {Object} report - The budget report of buildPrompt
+   * @private
+   */
+  reportPromptBudget(report) {
+    const dropped = report.parts.filter(part => !part.included && (part.kind === 'file' || part.kind === 'hook'));
+    if (dropped.length > 0) {
+      this.emit('warning', {
+        message: `Left out of the prompt to fit the context window: ${dropped.map(part => part.name).join(', ')}. Run /context budget for details.`
+      });
+    }
+    
+    if (report.overBudget) {
+      this.emit('warning', {
+        message: `The prompt needs about ${report.used} tokens, more than the ${report.budget} available; the model may not see all of it.`
+      });
+    }
+  }
+  
+  /**
+   * Wait for a summary of the current conversation being written in the background and report
+   * the result, with a summaryUpdated event or a warning
+   */
+  async awaitPendingSummary() {
+    const pending = this.memory.takePendingSummary(this.activeConversationId);
+    if (!pending) {
+      return;
+    }
+    
+    const result = await pending;
+    if (result.success) {
+      this.emit('summaryUpdated', { ...result, conversationId: this.activeConversationId });
+    } else {
+      this.emit('warning', { message: `Could not update the conversation summary: ${result.error}` });
+    }
+  }
+  
+  /**
+   * Get the current conversation's summary
+   * @returns {Object} - Object with the summary (or null), the number of messages it covers and
+   *   the number of messages sent as they are
+   */
+  getSummary() {
+    const conversation = this.getCurrentConversation();
+    return {
+      summary: conversation?.summary || null,
+      summarizedMessages: conversation?.metadata.summarizedMessages || 0,
+      recentMessages: this.memory.getUnsummarizedMessages(this.activeConversationId).length,
+      summarizeThreshold: this.memory.options.summarizeThreshold
+    };
+  }
+  
+  /**
+   * Summarize the current conversation now, up to its latest exchange
+   * @returns {Promise<Object>} - The result of MemoryManager.summarizeConversation
+   */
+  async regenerateSummary() {
+    await this.awaitPendingSummary();
+    return this.memory.summarizeConversation(this.activeConversationId, { force: true });
+  }
+  
+  /**
+   * Convert stored messages to the form sent to the model. With native tool calling, the
+   * assistant's tool calls are sent with its message and their output as tool messages.
+   * Other tool output (from keyword routing, or with native calling off) is passed to the
+   * model as a user message, since a tool message must follow the call it answers and chat
+   * templates of models without tool support drop the tool role; calls without text are
+   * then left out.
+   * @param {Array} messages - Messages from memory
+   * @returns {Array} - Messages for the model
+   */
+  toModelMessages(messages) {
+    const native = this.settings.toolMode === 'native';
+    // Whether the tool messages being converted answer an assistant's tool calls
+    let answersCall = false;
+    
+    return messages.flatMap(msg => {
+      if (msg.role !== 'tool') {
+        answersCall = native && msg.role === 'assistant' && Boolean(msg.metadata?.toolCalls);
+        
+        if (msg.metadata?.toolCalls) {
+          if (native) {
+            return [{ ...msg, tool_calls: msg.metadata.toolCalls }];
+          }
+          return msg.content ? [msg] : [];
+        }
+        return [msg];
+      }
+      
+      const toolName = msg.metadata?.toolName || 'tool';
+      const content = this.limitToolOutput(msg.content);
+      if (answersCall) {
+        return [{ ...msg, content, tool_name: toolName }];
+      }
+      
+      return [{
+        ...msg,
+        role: 'user',
+        content: `Output of the ${toolName} tool:\n\n${content}\n\nUse this output to answer my request.`
+      }];
+    });
+  }
+  
+  /**
+   * Shorten tool output to the token budget for a single tool result
+   * @param {String} content - The tool output
+   * @returns {String} - The output, truncated if it is over budget
+   */
+  limitToolOutput(content) {
+    const tokens = this.context.estimateTokenCount(content);
+    if (!this.settings.maxToolResultTokens || tokens <= this.settings.maxToolResultTokens) {
+      return content;
+    }
+    
+    // Scale the character limit by how far over budget the output is
+    const maxChars = Math.floor(content.length * this.settings.maxToolResultTokens / tokens);
+    return truncateOutput(content, { maxChars, maxLines: Number.MAX_SAFE_INTEGER });
+  }
+  
+  /**
+   * Get the tool messages produced while answering the latest user message
+   * @returns {Array} - Tool messages with the tool name in metadata.toolName
+   */
+  getLastToolMessages() {
+    const messages = this.memory.getMessages(this.activeConversationId) || [];
+    const lastUserIndex = messages.map(msg => msg.role).lastIndexOf('user');
+    return messages.slice(lastUserIndex + 1).filter(msg => msg.role === 'tool');
+  }
+  
+  /**
+   * Generate a completion, executing tool calls requested by the model and feeding
+   * the results back as tool messages until it produces a final answer
+   * @param {Array} messages - The messages to send
+   * @param {String} prompt - The original user message (passed to tool handlers)
+   * @param {Object} options - Optional settings
+   * @param {AbortSignal} options.signal - Stops generating, with interrupted set on the result
+   * @param {Number} options.contextLength - Context window to run the model with
+   * @returns {Promise<Object>} - The final completion result with the executed toolResults
+   */
+  async generateWithTools(messages, prompt, options = {}) {
+    const { signal, contextLength } = options;
+    const chatMessages = [...messages];
+    const toolResults = [];
+    let tools = this.settings.toolMode === 'native' ? this.tools.getToolDefinitions() : [];
+    let result;
+    
+    for (let iteration = 0; iteration <= this.settings.maxToolIterations; iteration++) {
+      // Once the iteration limit is reached the model has to answer without tools
+      const offerTools = tools.length > 0 && iteration < this.settings.maxToolIterations;
+      
+      result = await this.ollama.generateChatCompletion(chatMessages, {
+        model: this.settings.model,
+        temperature: this.settings.temperature,
+        max_tokens: this.settings.maxTokens,
+        num_ctx: contextLength,
+        tools: offerTools ? tools : undefined,
+        stream: this.settings.stream,
+        signal,
+        onChunk: (chunk) => {
+          this.emit('responseChunk', { chunk, conversationId: this.activeConversationId });
+        }
+      });
+      
+      // Models without tool support reject the request; retry once without tools
+      if (!result.success && offerTools && /does not support tools/i.test(result.error || '')) {
+        this.emit('warning', {
+          message: `Model ${this.settings.model} does not support tool calling. Use --tool-mode keyword to route tools by keyword.`
+        });
+        tools = [];
+        iteration--;
+        continue;
+      }
+      
+      if (result.success && !result.interrupted) {
+        this.calibrateTokenCount(chatMessages, offerTools ? tools : [], result);
+      }
+      
+      if (!result.success || result.interrupted || result.toolCalls.length === 0) {
+        break;
+      }
+      
+      // The calls are stored before their results, so a reloaded history has the turn that asked for them
+      this.memory.addMessage('assistant', result.response || '', this.activeConversationId, { toolCalls: result.toolCalls });
+      chatMessages.push({ role: 'assistant', content: result.response, tool_calls: result.toolCalls });
+      
+      for (const toolCall of result.toolCalls) {
+        const name = toolCall.function.name;
+        let args = toolCall.function.arguments || {};
+        if (typeof args === 'string') {
+          try {
+            args = JSON.parse(args);
+          } catch (error) {
+            args = {};
+          }
+        }
+        
+        this.emit('toolCall', { name, arguments: args });
+        const toolResult = await this.tools.executeTool(name, args, {
+          prompt,
+          conversationId: this.activeConversationId
+        });
+        this.emit('toolResult', { name, result: toolResult });
+        
+        toolResults.push({ toolName: name, arguments: args, ...toolResult });
+        
+        // Persist the raw output as a tool message so it stays visible in the history
+        const content = toolResult.success ? String(toolResult.result) : `Error: ${toolResult.error}`;
+        this.memory.addMessage('tool', content, this.activeConversationId, { toolName: name, arguments: args });
+        chatMessages.push({ role: 'tool', tool_name: name, content: this.limitToolOutput(content) });
+      }
+      
+      // Interrupted while tools ran: the model is not asked again
+      if (signal?.aborted) {
+        result = { success: false, interrupted: true, error: 'Generation interrupted', response: null };
+        break;
+      }
+    }
+    
+    return { ...result, toolResults };
+  }
+  
+  /**
+   * Compare the estimated size of a request with the prompt tokens Ollama counted, so later
+   * estimates for the model are closer
+   * @param {Array} messages - The messages sent
+   * @param {Array} tools - The tool definitions sent
+   * @param {Object} result - The completion result
+   * @private
+   */
+  calibrateTokenCount(messages, tools, result) {
+    const estimated = this.promptBuilder.countMessages(messages) +
+      (tools.length > 0 ? this.context.estimateTokenCount(JSON.stringify(tools)) : 0);
+    this.tokenCounter.calibrate(estimated, result.tokenUsage?.promptTokens);
+  }
+  
   /**
    * Create a new conversation
    * @param {Object} metadata - Optional metadata for the conversation
@@ -172,6 +658,7 @@ export class ChatSession extends EventEmitter {
     const id = this.memory.createConversation({
       title: metadata.title || "New Conversation",
       model: metadata.model || this.settings.model || "llama3",
+      profile: this.activeProfile,
       ...metadata
     });
     
@@ -182,10 +669,26 @@ export class ChatSession extends EventEmitter {
       this.memory.addMessage('system', this.settings.systemPrompt, id);
     }
     
+    // New conversations start with the current settings
+    this.saveConversationSettings();
+    this.addProfileContextFiles(id);
+    
     this.emit('conversationCreated', { conversationId: id });
     return id;
   }
   
+  /**
+   * Find a conversation by ID, or else by title
+   * @param {String} name - The conversation ID or title
+   * @returns {Object|null} - The conversation, or null if none matches
+   */
+  findConversation(name) {
+    const conversations = this.memory.getAllConversations();
+    return conversations.find(conversation => conversation.id === name) ||
+      conversations.find(conversation => conversation.metadata?.title === name) ||
+      null;
+  }
+  
   /**
    * Switch to a different conversation
    * @param {String} conversationId - The ID of the conversation to switch to
@@ -196,12 +699,70 @@ export class ChatSession extends EventEmitter {
     
     if (result) {
       this.activeConversationId = conversationId;
+      this.restoreConversationSettings();
       this.emit('conversationSwitched', { conversationId });
     }
     
     return result;
   }
   
+  /**
+   * Store the current model, temperature, token limit, system prompt and profile with a conversation
+   * @param {String} conversationId - Optional conversation ID (uses the active conversation if not provided)
+   * @private
+   */
+  saveConversationSettings(conversationId = this.activeConversationId) {
+    const settings = {};
+    CONVERSATION_SETTINGS.forEach(key => {
+      settings[key] = this.settings[key];
+    });
+    
+    this.memory.updateMetadata(conversationId, {
+      settings,
+      model: settings.model,
+      profile: this.activeProfile
+    });
+  }
+  
+  /**
+   * Restore the settings and profile stored with the active conversation. Conversations
+   * saved before settings were stored keep the current settings.
+   * @private
+   */
+  restoreConversationSettings() {
+    const { settings, profile } = this.memory.getActiveConversation().metadata;
+    
+    if (profile !== undefined && profile !== this.activeProfile) {
+      if (profile && !this.profiles[profile]) {
+        this.emit('warning', { message: `This conversation used profile ${profile}, which is no longer configured` });
+      }
+      
+      this.activeProfile = profile && this.profiles[profile] ? profile : null;
+      this.tools.setEnabledTools(this.activeProfile ? this.profiles[this.activeProfile].tools || null : null);
+      this.addProfileContextFiles(this.activeConversationId);
+    }
+    
+    if (settings) {
+      const restored = {};
+      CONVERSATION_SETTINGS.forEach(key => {
+        if (settings[key] !== undefined) {
+          restored[key] = settings[key];
+        }
+      });
+      
+      this.settings = {
+        ...this.settings,
+        ...restored,
+        ...this.pinnedSettings
+      };
+      
+      if (this.initialized) {
+        this.loadTokenizer();
+      }
+      this.emit('settingsUpdated', { settings: this.settings });
+    }
+  }
+  
   /**
    * Get the current conversation
    * @returns {Object|null} - The current conversation or null if none is active
@@ -248,6 +809,7 @@ export class ChatSession extends EventEmitter {
    */
   updateSystemPrompt(systemPrompt) {
     this.settings.systemPrompt = systemPrompt;
+    delete this.pinnedSettings.systemPrompt;
     
     // Find and update the system message in the current conversation
     const messages = this.memory.getMessages(this.activeConversationId);
@@ -266,9 +828,75 @@ export class ChatSession extends EventEmitter {
       this.memory.addMessage('system', systemPrompt, this.activeConversationId);
     }
     
+    this.saveConversationSettings();
     return true;
   }
   
+  /**
+   * Switch to a named profile. Its model, system prompt, temperature, token limit and
+   * tool list replace the configured ones, its context files are added to the current
+   * conversation and the profile is recorded in the conversation's metadata.
+   * @param {String|null} name - The profile name, or null to go back to the configured settings
+   * @returns {Promise<Object>} - Object with success status and the profile name
+   */
+  async useProfile(name) {
+    const profile = name ? this.profiles[name] : {};
+    
+    if (!profile) {
+      const available = Object.keys(this.profiles);
+      return {
+        success: false,
+        error: `Unknown profile: ${name}. ${available.length > 0 ? `Available profiles: ${available.join(', ')}` : 'No profiles are configured.'}`
+      };
+    }
+    
+    this.activeProfile = name;
+    this.tools.setEnabledTools(profile.tools || null);
+    
+    // Saves the settings and the profile with the conversation
+    this.updateSettings({
+      model: profile.model || this.baseSettings.model,
+      temperature: profile.temperature ?? this.baseSettings.temperature,
+      maxTokens: profile.maxTokens ?? this.baseSettings.maxTokens
+    });
+    
+    const systemPrompt = profile.systemPrompt || this.baseSettings.systemPrompt;
+    if (systemPrompt !== this.settings.systemPrompt) {
+      this.updateSystemPrompt(systemPrompt);
+    }
+    
+    await this.addProfileContextFiles(this.activeConversationId);
+    
+    this.emit('profileChanged', { profile: name });
+    return { success: true, profile: name };
+  }
+  
+  /**
+   * Get the configured profiles
+   * @returns {Object} - Profiles keyed by name
+   */
+  getProfiles() {
+    return this.profiles;
+  }
+  
+  /**
+   * Add the active profile's context files to a conversation
+   * @param {String} conversationId - The conversation ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async addProfileContextFiles(conversationId) {
+    const files = this.activeProfile ? this.profiles[this.activeProfile].contextFiles || [] : [];
+    if (files.length === 0) {
+      return;
+    }
+    
+    const result = await this.context.addFiles(conversationId, files);
+    result.results.filter(fileResult => !fileResult.success).forEach(fileResult => {
+      this.emit('warning', { message: `Could not add profile context file ${fileResult.file}: ${fileResult.error}` });
+    });
+  }
+  
   /**
    * Update chat settings
    * @param {Object} settings - The new settings
@@ -279,9 +907,30 @@ export class ChatSession extends EventEmitter {
       ...settings
     };
     
+    // Changes to the conversation's own settings are saved with it and replace command line values
+    const conversationKeys = CONVERSATION_SETTINGS.filter(key => key in settings);
+    if (conversationKeys.length > 0) {
+      conversationKeys.forEach(key => delete this.pinnedSettings[key]);
+      this.saveConversationSettings();
+    }
+    
+    if ('model' in settings && this.initialized) {
+      this.loadTokenizer();
+    }
     this.emit('settingsUpdated', { settings: this.settings });
   }
   
+  /**
+   * Load the vocabulary of the current model in the background, downloading it first if
+   * downloads are turned on; token counts are estimated until it is ready
+   * @private
+   */
+  loadTokenizer() {
+    this.tokenCounter.load().catch(error => {
+      this.emit('warning', { message: `Token counts for this model are estimated: ${error.message}` });
+    });
+  }
+  
   /**
    * List available models from Ollama
    * @returns {Promise<Object>} - Object containing success status and models array
@@ -290,6 +939,84 @@ export class ChatSession extends EventEmitter {
     return await this.ollama.listModels();
   }
 
+  /**
+   * Generate text with the session's model settings, outside of the conversation.
+   * Nothing is stored in memory and no tools are offered. interruptGeneration cancels it.
+   * @param {String} prompt - The request for the model
+   * @param {Object} options - Optional settings
+   * @param {String} options.systemPrompt - System prompt to use instead of the session's
+   * @returns {Promise<Object>} - Object with success status and the generated text, or interrupted set if it was cancelled
+   */
+  async generateText(prompt, options = {}) {
+    const messages = [
+      { role: 'system', content: options.systemPrompt || this.settings.systemPrompt },
+      { role: 'user', content: prompt }
+    ];
+    
+    const { contextLength } = await this.getContextWindow();
+    this.generationController = new AbortController();
+    let result;
+    try {
+      result = await this.ollama.generateChatCompletion(messages, {
+        model: this.settings.model,
+        temperature: this.settings.temperature,
+        max_tokens: this.settings.maxTokens,
+        num_ctx: contextLength,
+        stream: false,
+        signal: this.generationController.signal
+      });
+    } finally {
+      this.generationController = null;
+    }
+    
+    if (!result.success) {
+      return { success: false, interrupted: Boolean(result.interrupted), error: result.error };
+    }
+    
+    // Models often wrap the whole answer in a code fence despite being asked not to
+    const text = result.response.trim().replace(/^```[\w-]*\n([\s\S]*?)\n```$/, '$1').trim();
+    return { success: true, text };
+  }
+
+  /**
+   * Draft a commit message for the staged changes
+   * @returns {Promise<Object>} - Object with success status and the message as text
+   */
+  async generateCommitMessage() {
+    const diff = await this.tools.executeTool('git_diff', { staged: true });
+    
+    if (!diff.success) {
+      return { success: false, error: diff.error };
+    }
+    if (diff.empty) {
+      return { success: false, error: 'No changes are staged for commit. Stage them with git add first.' };
+    }
+    
+    return await this.generateText(`${COMMIT_MESSAGE_PROMPT}\n\n${diff.result}`);
+  }
+
+  /**
+   * Draft a pull request description for the current branch
+   * @param {String} base - Base branch to compare against (detected when omitted)
+   * @returns {Promise<Object>} - Object with success status, the description as text and the base branch
+   */
+  async generatePullRequestDescription(base = null) {
+    const diff = await this.tools.executeTool('git_branch_diff', base ? { base } : {});
+    
+    if (!diff.success) {
+      return { success: false, error: diff.error };
+    }
+    if (diff.empty) {
+      return { success: false, error: `The current branch has no changes compared to ${diff.base}` };
+    }
+    
+    const log = await this.tools.executeTool('git_log', { range: `${diff.base}..HEAD`, limit: 50 });
+    const commits = log.success ? log.result : 'Commit list unavailable';
+    
+    const result = await this.generateText(`${PR_DESCRIPTION_PROMPT}\n\nCommits:\n${commits}\n\n${diff.result}`);
+    return { ...result, base: diff.base };
+  }
+
   /**
    * Close the chat session and clean up resources
    */
@@ -298,6 +1025,9 @@ export class ChatSession extends EventEmitter {
       this.memory.close();
     }
     
+    this.tools.close();
+    this.audit.close();
+    
     this.emit('closed');
   }
 
@@ -332,13 +1062,105 @@ export class ChatSession extends EventEmitter {
     return this.tools;
   }
   
+  /**
+   * Get the command executor
+   * @returns {CommandExecutor} - The command executor instance
+   */
+  getCommandExecutor() {
+    return this.executor;
+  }
+  
+  /**
+   * Run a shell command typed by the user (the ! and gh: prefixes) and record it in the audit log
+   * @param {String} command - The command line
+   * @param {Object} options - Optional settings
+   * @param {String} options.source - What ran the command: 'shell' for !, 'gh' for gh:
+   * @param {AbortSignal} options.signal - Aborting the signal kills the command
+   * @returns {Promise<Object>} - The executor result
+   */
+  async runShellCommand(command, options = {}) {
+    const result = await this.executor.run(command, { signal: options.signal });
+    
+    this.audit.record({
+      conversationId: this.activeConversationId,
+      type: 'shell',
+      name: options.source || 'shell',
+      args: command,
+      cwd: this.executor.workingDirectory,
+      success: result.success,
+      exitCode: result.exitCode,
+      duration: result.duration,
+      output: result.stderr ? `${result.stdout}\n[stderr]\n${result.stderr}` : result.stdout,
+      error: result.error
+    });
+    
+    return result;
+  }
+  
+  /**
+   * Commit the staged changes and record it in the audit log
+   * @param {String} message - The commit message
+   * @returns {Promise<Object>} - The executor result
+   */
+  async commitChanges(message) {
+    const args = ['commit', '-m', message];
+    const result = await this.executor.runFile('git', args);
+    
+    this.audit.record({
+      conversationId: this.activeConversationId,
+      type: 'command',
+      name: 'git',
+      args,
+      cwd: this.executor.workingDirectory,
+      success: result.success,
+      exitCode: result.exitCode,
+      duration: result.duration,
+      output: result.stdout,
+      error: result.error
+    });
+    
+    return result;
+  }
+  
+  /**
+   * Get the audit log
+   * @returns {AuditLog} - The audit log instance
+   */
+  getAuditLog() {
+    return this.audit;
+  }
+  
+  /**
+   * Cancel the tools that are running, leaving the rest of the request to finish
+   * @returns {Number} - The number of tool calls cancelled
+   */
+  cancelRunningTools() {
+    return this.tools.cancelRunningTools();
+  }
+  
+  /**
+   * Stop generating the current reply: the request to Ollama is cancelled and sendMessage
+   * returns with interrupted set
+   * @returns {Boolean} - True if a reply was being generated
+   */
+  interruptGeneration() {
+    if (!this.generationController || this.generationController.signal.aborted) {
+      return false;
+    }
+    
+    this.generationController.abort();
+    return true;
+  }
+  
   /**
    * Process a message to check if it should be handled by a tool
    * @param {String} message - The user message
    * @returns {Promise<Object|null>} - Tool execution result or null if no tool matched
    */
   async processToolCommand(message) {
-    return await this.tools.executeToolFromPrompt(message);
+    return await this.tools.executeToolFromPrompt(message, {
+      conversationId: this.activeConversationId
+    });
   }
 }
 
@@ -0,0 +1,136 @@
+// src/chat/PromptBuilder.js
+
+// Tokens a chat template adds around each message for the role and separators
+export const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * PromptBuilder fits the parts of a prompt into a model's context window, leaving room
+ * for the reply. Parts are added in a fixed priority order until the budget runs out:
+ *
+ * 1. system messages, tool definitions and the current turn (always sent)
+ * 2. the summary of the earlier conversation
+ * 3. context files, in the order they were added
+ * 4. context hooks
+ * 5. earlier messages, newest first
+ *
+ * A summary, context file or hook is sent whole or not at all, and later ones are still
+ * tried when one does not fit. Earlier messages stop at the first one that does not fit,
+ * so the model never sees a gap in the conversation.
+ */
+export class PromptBuilder {
+  constructor(options = {}) {
+    // Estimates the tokens of a text
+    this.estimateTokens = options.estimateTokens || (text => Math.ceil((text || '').length / 4));
+  }
+
+  /**
+   * Estimate the tokens of a message, including any tool calls and the chat template overhead
+   * @param {Object} message - The message
+   * @returns {Number} - Estimated token count
+   */
+  countMessage(message) {
+    const toolCalls = message.tool_calls ? JSON.stringify(message.tool_calls) : '';
+    return this.estimateTokens(message.content || '') + this.estimateTokens(toolCalls) + MESSAGE_OVERHEAD_TOKENS;
+  }
+
+  /**
+   * Estimate the tokens of a list of messages
+   * @param {Array} messages - The messages
+   * @returns {Number} - Estimated token count
+   */
+  countMessages(messages) {
+    return messages.reduce((total, message) => total + this.countMessage(message), 0);
+  }
+
+  /**
+   * Build a prompt within a token budget
+   * @param {Object} parts - The parts of the prompt
+   * @param {Array} parts.systemMessages - System messages
+   * @param {Object} parts.summary - The summary of the earlier conversation as a message, or null
+   * @param {Array} parts.history - Earlier messages, oldest first
+   * @param {Array} parts.currentTurn - The user message being answered and any messages after it
+   * @param {Array} parts.contextFiles - Context files as { name, content }
+   * @param {Array} parts.hooks - Hook results as { name, content }
+   * @param {Array} parts.tools - Tool definitions offered to the model
+   * @param {Object} limits - The limits
+   * @param {Number} limits.contextLength - The model's context window in tokens
+   * @param {Number} limits.replyTokens - Tokens kept free for the reply
+   * @returns {Object} - The messages, context files and hooks to send, and a report of what was left out
+   */
+  build(parts, limits) {
+    const systemMessages = parts.systemMessages || [];
+    const history = parts.history || [];
+    const currentTurn = parts.currentTurn || [];
+    const tools = parts.tools || [];
+
+    const budget = Math.max(0, limits.contextLength - limits.replyTokens);
+    const report = [];
+    let used = 0;
+
+    // Required parts are counted even when they do not fit, so the report shows the overflow
+    const add = (kind, name, tokens, required = false) => {
+      const included = required || used + tokens <= budget;
+      if (included) {
+        used += tokens;
+      }
+      report.push({ kind, name, tokens, included });
+      return included;
+    };
+
+    if (systemMessages.length > 0) {
+      add('system', 'System prompt', this.countMessages(systemMessages), true);
+    }
+    if (tools.length > 0) {
+      add('tools', `Tool definitions (${tools.length})`, this.estimateTokens(JSON.stringify(tools)), true);
+    }
+    if (currentTurn.length > 0) {
+      add('message', 'Current message', this.countMessages(currentTurn), true);
+    }
+
+    const includeSummary = parts.summary ? add('summary', 'Conversation summary', this.countMessage(parts.summary)) : false;
+    const contextFiles = (parts.contextFiles || []).filter(file => add('file', file.name, this.estimateTokens(file.content)));
+    const hooks = (parts.hooks || []).filter(hook => add('hook', hook.name, this.estimateTokens(hook.content)));
+
+    let start = history.length;
+    while (start > 0 && used + this.countMessage(history[start - 1]) <= budget) {
+      start--;
+      used += this.countMessage(history[start]);
+    }
+
+    // Start at a user message, so no reply or tool output is sent without what it answers
+    while (start < history.length && history[start].role !== 'user') {
+      used -= this.countMessage(history[start]);
+      start++;
+    }
+
+    const sentHistory = history.slice(start);
+    const droppedHistory = history.slice(0, start);
+
+    return {
+      messages: [
+        ...systemMessages,
+        ...(includeSummary ? [parts.summary] : []),
+        ...sentHistory,
+        ...currentTurn
+      ],
+      contextFiles,
+      hooks,
+      report: {
+        contextLength: limits.contextLength,
+        replyTokens: limits.replyTokens,
+        budget,
+        used,
+        overBudget: used > budget,
+        parts: report,
+        history: {
+          sent: sentHistory.length,
+          sentTokens: this.countMessages(sentHistory),
+          dropped: droppedHistory.length,
+          droppedTokens: this.countMessages(droppedHistory)
+        }
+      }
+    };
+  }
+}
+
+export default PromptBuilder;
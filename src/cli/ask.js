@@ -0,0 +1,150 @@
+// src/cli/ask.js
+import fs from 'fs';
+import { createChatSession } from './config.js';
+import { renderMarkdown, MarkdownStreamRenderer } from '../utils/markdown.js';
+
+/**
+ * Read input piped or redirected to stdin
+ * @returns {Promise<String>} - The input, or an empty string when stdin is a terminal or not redirected
+ */
+async function readStdin() {
+  // Only read pipes and files; a terminal or an inherited socket would wait forever
+  const stats = fs.fstatSync(0);
+  if (process.stdin.isTTY || !(stats.isFIFO() || stats.isFile())) {
+    return '';
+  }
+
+  let input = '';
+  process.stdin.setEncoding('utf8');
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+  return input;
+}
+
+/**
+ * Build the message sent to the model from the prompt, files and piped input
+ * @param {String} prompt - The prompt from the command line
+ * @param {Array} files - Array of { path, content } for the -f files
+ * @param {String} input - Input read from stdin
+ * @returns {String} - The message
+ */
+function buildMessage(prompt, files, input) {
+  const parts = [];
+
+  if (prompt.trim()) {
+    parts.push(prompt.trim());
+  }
+
+  for (const file of files) {
+    parts.push(`File: ${file.path}\n\`\`\`\n${file.content.replace(/\n$/, '')}\n\`\`\``);
+  }
+
+  if (input.trim()) {
+    // Piped input on its own is the whole question
+    parts.push(parts.length > 0 ? `Input:\n\`\`\`\n${input.replace(/\n$/, '')}\n\`\`\`` : input.trim());
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Run `hikma ask`: send one message and write the answer to stdout without decorations
+ * @param {String} prompt - The prompt from the command line
+ * @param {Object} options - Command options
+ * @param {Array} options.file - Files to include in the message
+ * @param {String} options.conversation - Conversation ID or title to append to
+ * @param {Object} config - The configuration
+ * @param {Object} pinnedSettings - Settings given on the command line, kept when an existing conversation is used
+ * @returns {Promise<Number>} - The process exit code
+ */
+export async function runAsk(prompt, options, config, pinnedSettings = {}) {
+  // Stop quietly when the reader goes away, e.g. `hikma ask ... | head`
+  process.stdout.on('error', (error) => {
+    if (error.code === 'EPIPE') {
+      process.exit(0);
+    }
+  });
+
+  const files = [];
+  for (const filePath of options.file || []) {
+    try {
+      files.push({ path: filePath, content: fs.readFileSync(filePath, 'utf8') });
+    } catch (error) {
+      console.error(`Error reading ${filePath}: ${error.message}`);
+      return 1;
+    }
+  }
+
+  const message = buildMessage(prompt, files, await readStdin());
+  if (!message) {
+    console.error('Nothing to ask: pass a prompt, pipe input to stdin or include a file with -f');
+    return 1;
+  }
+
+  // One-off questions are not stored; named conversations are kept so scripts can build on them
+  config.memory.persistMemory = Boolean(options.conversation);
+
+  const session = createChatSession(config, { pinnedSettings });
+  let lastChunk = '';
+
+  // Markdown is only rendered for a terminal, so pipes and files get the text as written
+  const markdown = config.settings.renderMarkdown && process.stdout.isTTY ? new MarkdownStreamRenderer() : null;
+
+  session.on('responseChunk', ({ chunk }) => {
+    process.stdout.write(markdown ? markdown.write(chunk) : chunk);
+    lastChunk = chunk || lastChunk;
+  });
+  session.on('warning', ({ message }) => console.error(message));
+  session.on('error', () => {
+    // Reported from the response below
+  });
+
+  // Ctrl+C stops the answer, so the session is still closed properly
+  const onInterrupt = () => {
+    if (!session.interruptGeneration()) {
+      process.exit(130);
+    }
+  };
+  process.on('SIGINT', onInterrupt);
+
+  try {
+    // The named conversation is chosen, or created, as the session starts, so no other one is created first
+    await session.initialize({ conversation: options.conversation });
+
+    const response = await session.sendMessage(message);
+
+    if (markdown) {
+      process.stdout.write(markdown.end());
+    } else if (lastChunk && !lastChunk.endsWith('\n')) {
+      process.stdout.write('\n');
+    }
+
+    if (response.interrupted) {
+      console.error('Interrupted');
+      return 130;
+    }
+
+    if (!response.success) {
+      console.error(`Error: ${response.error}`);
+      return 1;
+    }
+
+    if (!lastChunk) {
+      const output = response.isToolResult
+        ? String(response.toolResult.result)
+        : markdown ? renderMarkdown(response.message.content) : response.message.content;
+      process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+    }
+
+    return 0;
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    return 1;
+  } finally {
+    process.off('SIGINT', onInterrupt);
+    await session.close();
+  }
+}
+
+export default runAsk;
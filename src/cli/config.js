@@ -0,0 +1,458 @@
+// src/cli/config.js
+import dotenv from 'dotenv';
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import { ChatSession } from '../chat/ChatSession.js';
+import { CONFIG_SCHEMA, validateConfig, isPlainObject } from './configSchema.js';
+
+// Load environment variables
+dotenv.config();
+
+// Get directory name in ESM
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'config.json');
+
+// Environment variables and the configuration key each one sets
+export const ENV_VARIABLES = {
+  OLLAMA_BASE_URL: 'ollama.baseUrl',
+  OLLAMA_DEFAULT_MODEL: 'ollama.defaultModel',
+  HIKMA_DEBUG: 'ollama.debug',
+  PERSIST_MEMORY: 'memory.persistMemory',
+  MAX_MESSAGES: 'memory.maxMessages',
+  SUMMARIZE_THRESHOLD: 'memory.summarizeThreshold',
+  SYSTEM_PROMPT: 'settings.systemPrompt',
+  TEMPERATURE: 'settings.temperature',
+  MAX_TOKENS: 'settings.maxTokens',
+  CONTEXT_LENGTH: 'settings.contextLength',
+  STREAM: 'settings.stream',
+  TOOL_MODE: 'settings.toolMode',
+  TOOL_RESULT_MODE: 'settings.toolResultMode',
+  MAX_TOOL_RESULT_TOKENS: 'settings.maxToolResultTokens',
+  RENDER_MARKDOWN: 'settings.renderMarkdown',
+  INTERRUPTED_RESPONSES: 'settings.interruptedResponses',
+  ALLOWED_COMMANDS: 'execution.allowedCommands',
+  COMMAND_TIMEOUT: 'execution.timeout',
+  TOOL_TIMEOUT: 'tools.timeout',
+  TOOL_MAX_OUTPUT_LINES: 'tools.maxOutputLines',
+  TOOL_MAX_OUTPUT_CHARS: 'tools.maxOutputChars',
+  HIKMA_PROFILE: 'profile'
+};
+
+// Command line options and the configuration key each one sets (value converts the option if needed)
+const CLI_OPTIONS = {
+  model: { key: 'ollama.defaultModel', flag: '--model' },
+  temperature: { key: 'settings.temperature', flag: '--temperature' },
+  persist: { key: 'memory.persistMemory', flag: '--persist' },
+  stream: { key: 'settings.stream', flag: '--no-stream' },
+  toolMode: { key: 'settings.toolMode', flag: '--tool-mode' },
+  profile: { key: 'profile', flag: '--profile' },
+  raw: { key: 'settings.renderMarkdown', flag: '--raw', value: raw => !raw }
+};
+
+/**
+ * Build the built-in default configuration
+ * @returns {Object} - The default configuration
+ */
+export function getDefaultConfig() {
+  return {
+    ollama: {
+      baseUrl: 'http://localhost:11434/api',
+      defaultModel: 'llama3.2:latest',
+      debug: false
+    },
+    memory: {
+      persistMemory: true,
+      maxMessages: 100,
+      summarizeThreshold: 50
+    },
+    settings: {
+      includeSystemPrompt: true,
+      systemPrompt: "You are a helpful assistant. Respond concisely and accurately.",
+      temperature: 0.7,
+      maxTokens: 30000,
+      // Largest context window to use; models with a shorter one use theirs
+      contextLength: 8192,
+      stream: true,
+      toolMode: 'native',
+      toolResultMode: 'answer',
+      maxToolResultTokens: 4000,
+      // Format replies as Markdown when writing to a terminal
+      renderMarkdown: true,
+      // Keep or discard the part of a reply generated before Ctrl+C
+      interruptedResponses: 'keep'
+    },
+    // Policy for shell commands (! prefix, gh: prefix and the execute_command tool);
+    // unset values fall back to the defaults in src/tools/CommandExecutor.js
+    execution: {
+      allowedCommands: [],
+      timeout: 30000
+    },
+    // Limits for a single tool call; timeouts maps tool names to their own limit in milliseconds
+    tools: {
+      timeout: 120000,
+      timeouts: {},
+      maxOutputLines: 400,
+      maxOutputChars: 20000
+    },
+    // MCP servers started over stdio, keyed by name: { command, args, env, cwd, timeout, disabled }
+    mcpServers: {},
+    // Exact token counts; download fetches a model family's vocabulary from Hugging Face
+    // on first use (off: only vocabularies already in ~/.hikma/tokenizers are used)
+    tokenizers: {
+      download: false
+    },
+    // Named setups keyed by name: { model, systemPrompt, temperature, maxTokens, tools, contextFiles }
+    profiles: {},
+    // Profile to start with
+    profile: null
+  };
+}
+
+// Keys a project's .hikma.json may not set, since they start programs, loosen the command
+// policy or the directories file and search tools may read, load code, pre-approve tools,
+// move the conversation history, send prompts to another host or download files. A checked-out repository
+// is not trusted with them; set them in the user config, --config, the environment or on
+// the command line.
+export const PROJECT_RESTRICTED_KEYS = [
+  'mcpServers',
+  'execution',
+  'ollama.baseUrl',
+  'memory.dbPath',
+  'tools.permissions',
+  'tools.plugins',
+  'tools.fileEditor',
+  'tools.search',
+  'tokenizers'
+];
+
+/**
+ * Get the config files that are read, in the order they are applied
+ * @param {String} configPath - Path given with --config, if any
+ * @returns {Array} - Array of { label, path, required }
+ */
+export function getConfigFiles(configPath = null) {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+
+  const files = [
+    { label: 'package', path: DEFAULT_CONFIG_PATH, required: false },
+    { label: 'user', path: path.join(configHome, 'hikma', 'config.json'), required: false },
+    { label: 'project', path: path.join(process.cwd(), '.hikma.json'), required: false, restricted: true }
+  ];
+
+  if (configPath) {
+    files.push({ label: '--config', path: path.resolve(configPath), required: true });
+  }
+
+  return files;
+}
+
+/**
+ * Set a value at a dotted key, creating sections as needed
+ * @param {Object} target - The object to update
+ * @param {String} key - Dotted key, e.g. settings.temperature
+ * @param {*} value - The value
+ */
+function setKey(target, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  let section = target;
+
+  for (const part of parts) {
+    if (!isPlainObject(section[part])) {
+      section[part] = {};
+    }
+    section = section[part];
+  }
+
+  section[last] = value;
+}
+
+/**
+ * Get the schema type of a dotted key
+ * @param {String} key - Dotted key
+ * @returns {String|Array|Object|undefined} - The type, allowed values or section
+ */
+function schemaAt(key) {
+  return key.split('.').reduce((schema, part) => schema && (schema[part] || schema['*']), CONFIG_SCHEMA);
+}
+
+/**
+ * Convert an environment variable to the type its configuration key expects.
+ * Values that can't be converted are kept as strings so validation reports them.
+ * @param {String} value - The variable's value
+ * @param {String} key - The configuration key it sets
+ * @returns {*} - The converted value
+ */
+function parseEnvValue(value, key) {
+  const type = schemaAt(key);
+
+  if (type === 'boolean') {
+    return value === 'true' ? true : value === 'false' ? false : value;
+  }
+  if (type === 'number' || type === 'integer') {
+    return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+  }
+  if (type === 'string[]') {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return value;
+}
+
+/**
+ * Deep-merge one configuration layer over another. Sections are merged key by key;
+ * arrays and other values replace what was there.
+ * @param {Object} base - The configuration so far
+ * @param {Object} layer - The layer to apply
+ * @returns {Object} - The merged configuration
+ */
+export function mergeConfig(base, layer) {
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(layer)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeConfig(base[key], value)
+      : value;
+  }
+
+  return merged;
+}
+
+/**
+ * List the dotted keys of the values in a configuration layer
+ * @param {Object} layer - The layer
+ * @param {String} prefix - Key of the layer itself
+ * @returns {Array} - Dotted keys; empty sections count as values
+ */
+function leafKeys(layer, prefix = '') {
+  return Object.entries(layer).flatMap(([name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    return isPlainObject(value) && Object.keys(value).length > 0 ? leafKeys(value, key) : [key];
+  });
+}
+
+/**
+ * Remove keys from a configuration layer
+ * @param {Object} layer - The layer
+ * @param {Array} keys - Dotted keys to remove
+ * @returns {Object} - Object with the layer without those keys and the keys that were set in it
+ */
+function removeKeys(layer, keys) {
+  const kept = JSON.parse(JSON.stringify(layer));
+  const removed = [];
+
+  for (const key of keys) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const section = parts.reduce((value, part) => (isPlainObject(value) ? value[part] : undefined), kept);
+
+    if (isPlainObject(section) && last in section) {
+      delete section[last];
+      removed.push(key);
+    }
+  }
+
+  return { layer: kept, removed };
+}
+
+/**
+ * Load the configuration from every layer: built-in defaults, config/config.json in the
+ * package, the user config, the project's .hikma.json, the --config file, environment
+ * variables and command line options. Later layers win.
+ * @param {Object} options - Optional settings
+ * @param {String} options.configPath - Path given with --config
+ * @param {Object} options.cliOptions - Parsed command line options
+ * @param {Function} options.getOptionSource - Returns where commander got an option from ('cli', 'default', ...)
+ * @returns {Object} - Object with the config, the source of each key, the files read, errors and warnings
+ */
+export function loadConfig(options = {}) {
+  const result = {
+    config: getDefaultConfig(),
+    sources: {},
+    files: [],
+    errors: [],
+    warnings: []
+  };
+
+  const applyLayer = (layer, source) => {
+    result.config = mergeConfig(result.config, layer);
+
+    for (const key of leafKeys(layer)) {
+      // A value replaces everything below it and anything it was nested in
+      for (const existing of Object.keys(result.sources)) {
+        if (existing.startsWith(`${key}.`) || key.startsWith(`${existing}.`)) {
+          delete result.sources[existing];
+        }
+      }
+      result.sources[key] = source;
+    }
+  };
+
+  applyLayer(getDefaultConfig(), 'default');
+
+  for (const file of getConfigFiles(options.configPath)) {
+    if (!fs.existsSync(file.path)) {
+      result.files.push({ ...file, loaded: false });
+      if (file.required) {
+        result.errors.push(`Config file not found: ${file.path}`);
+      }
+      continue;
+    }
+
+    try {
+      const layer = JSON.parse(fs.readFileSync(file.path, 'utf8'));
+      if (!isPlainObject(layer)) {
+        throw new Error('expected a JSON object');
+      }
+      if (file.restricted) {
+        const { layer: allowed, removed } = removeKeys(layer, PROJECT_RESTRICTED_KEYS);
+        if (removed.length > 0) {
+          result.warnings.push(`Ignoring ${removed.join(', ')} in ${file.path}: a project config may not set them; use the user config, --config, environment variables or command line options`);
+        }
+        applyLayer(allowed, file.path);
+      } else {
+        applyLayer(layer, file.path);
+      }
+      result.files.push({ ...file, loaded: true });
+    } catch (error) {
+      result.files.push({ ...file, loaded: false });
+      result.errors.push(`Error loading config file ${file.path}: ${error.message}`);
+    }
+  }
+
+  for (const [variable, key] of Object.entries(ENV_VARIABLES)) {
+    if (process.env[variable] !== undefined) {
+      const layer = {};
+      setKey(layer, key, parseEnvValue(process.env[variable], key));
+      applyLayer(layer, `env ${variable}`);
+    }
+  }
+
+  const cliOptions = options.cliOptions || {};
+  const fromCli = (name) => cliOptions[name] !== undefined &&
+    (!options.getOptionSource || options.getOptionSource(name) === 'cli');
+
+  for (const [name, { key, flag, value }] of Object.entries(CLI_OPTIONS)) {
+    if (fromCli(name)) {
+      const layer = {};
+      setKey(layer, key, value ? value(cliOptions[name]) : cliOptions[name]);
+      applyLayer(layer, flag);
+    }
+  }
+
+  // -s <prompt> sets the system prompt and -n (--no-system) turns it off
+  if (fromCli('system')) {
+    applyLayer(
+      cliOptions.system === false
+        ? { settings: { includeSystemPrompt: false } }
+        : { settings: { systemPrompt: cliOptions.system } },
+      cliOptions.system === false ? '--no-system' : '--system'
+    );
+  }
+
+  const { errors, warnings } = validateConfig(result.config, result.sources);
+  result.errors.push(...errors);
+  result.warnings.push(...warnings);
+
+  return result;
+}
+
+/**
+ * Flatten a configuration into dotted keys and values
+ * @param {Object} config - The configuration
+ * @returns {Array} - Array of [key, value] pairs
+ */
+function flattenConfig(config) {
+  return leafKeys(config).map(key => [key, key.split('.').reduce((value, part) => value[part], config)]);
+}
+
+/**
+ * Run `hikma config show`: print the effective configuration and where each value came from
+ * @param {Object} loaded - The result of loadConfig
+ * @param {Object} options - Command options
+ * @param {Boolean} options.json - Print JSON instead of text
+ * @returns {Number} - The process exit code
+ */
+export function showConfig(loaded, options = {}) {
+  if (options.json) {
+    console.log(JSON.stringify({
+      config: loaded.config,
+      sources: loaded.sources,
+      files: loaded.files,
+      errors: loaded.errors,
+      warnings: loaded.warnings
+    }, null, 2));
+    return loaded.errors.length > 0 ? 1 : 0;
+  }
+
+  console.log(chalk.cyan('Config files (later files win):'));
+  loaded.files.forEach(file => {
+    const status = file.loaded ? chalk.green('loaded') : chalk.gray('not found');
+    console.log(`  ${file.label.padEnd(8)} ${file.path} ${status}`);
+  });
+
+  console.log(chalk.cyan('\nEffective configuration:'));
+  const entries = flattenConfig(loaded.config);
+  const width = Math.max(...entries.map(([key]) => key.length));
+  entries.forEach(([key, value]) => {
+    console.log(`  ${key.padEnd(width)} = ${JSON.stringify(value)} ${chalk.gray(`(${loaded.sources[key] || 'default'})`)}`);
+  });
+
+  loaded.warnings.forEach(warning => console.error(chalk.yellow(`Warning: ${warning}`)));
+  loaded.errors.forEach(error => console.error(chalk.red(`Error: ${error}`)));
+
+  return loaded.errors.length > 0 ? 1 : 0;
+}
+
+/**
+ * Get the conversation settings given on the command line. They win over the
+ * settings saved with a conversation when it is resumed.
+ * @param {Object} loaded - The result of loadConfig
+ * @returns {Object} - Session settings keyed by name
+ */
+export function getPinnedSettings(loaded) {
+  const keys = {
+    model: 'ollama.defaultModel',
+    temperature: 'settings.temperature',
+    maxTokens: 'settings.maxTokens',
+    systemPrompt: 'settings.systemPrompt'
+  };
+
+  const pinned = {};
+  for (const [setting, key] of Object.entries(keys)) {
+    if (loaded.sources[key]?.startsWith('--')) {
+      pinned[setting] = key.split('.').reduce((value, part) => value[part], loaded.config);
+    }
+  }
+  return pinned;
+}
+
+/**
+ * Create a chat session from the configuration
+ * @param {Object} config - The configuration
+ * @param {Object} options - Optional settings
+ * @param {Object} options.pinnedSettings - Settings kept when conversations are resumed (see getPinnedSettings)
+ * @returns {ChatSession} - The chat session (not yet initialized)
+ */
+export function createChatSession(config, options = {}) {
+  return new ChatSession({
+    ollamaOptions: config.ollama,
+    memoryOptions: config.memory,
+    settings: {
+      ...config.settings,
+      model: config.ollama.defaultModel // Explicitly pass the model to settings
+    },
+    pinnedSettings: options.pinnedSettings,
+    persistMemory: config.memory.persistMemory,
+    profiles: config.profiles,
+    profile: config.profile,
+    executionOptions: config.execution,
+    tokenizerOptions: config.tokenizers,
+    toolOptions: {
+      ...config.tools,
+      mcpServers: config.mcpServers
+    }
+  });
+}
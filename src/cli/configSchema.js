@@ -0,0 +1,190 @@
+// src/cli/configSchema.js
+
+/**
+ * Shape of the configuration. A value is a type name ('string', 'number', 'integer',
+ * 'boolean', 'object' or 'string[]'), an array of allowed values, or a nested section.
+ * A section with a '*' key is a map whose entries all have that shape.
+ */
+export const CONFIG_SCHEMA = {
+  ollama: {
+    baseUrl: 'string',
+    defaultModel: 'string',
+    defaultParams: 'object',
+    debug: 'boolean'
+  },
+  memory: {
+    persistMemory: 'boolean',
+    maxMessages: 'integer',
+    summarizeThreshold: 'integer',
+    dbPath: 'string'
+  },
+  settings: {
+    includeSystemPrompt: 'boolean',
+    systemPrompt: 'string',
+    includeTimestamps: 'boolean',
+    includeMessageIds: 'boolean',
+    temperature: 'number',
+    maxTokens: 'integer',
+    contextLength: 'integer',
+    stream: 'boolean',
+    toolMode: ['native', 'keyword', 'off'],
+    maxToolIterations: 'integer',
+    toolResultMode: ['answer', 'raw'],
+    maxToolResultTokens: 'integer',
+    renderMarkdown: 'boolean',
+    interruptedResponses: ['keep', 'discard']
+  },
+  execution: {
+    allowedCommands: 'string[]',
+    deniedPatterns: 'string[]',
+    timeout: 'integer',
+    maxOutputBytes: 'integer',
+    workingDirectory: 'string',
+    confineToWorkingDirectory: 'boolean',
+    stripEnv: 'string[]'
+  },
+  tools: {
+    timeout: 'integer',
+    timeouts: { '*': 'integer' },
+    maxOutputLines: 'integer',
+    maxOutputChars: 'integer',
+    permissions: 'object',
+    plugins: 'object',
+    fileEditor: 'object',
+    search: 'object'
+  },
+  tokenizers: {
+    download: 'boolean'
+  },
+  mcpServers: {
+    '*': {
+      command: 'string',
+      args: 'string[]',
+      env: 'object',
+      cwd: 'string',
+      timeout: 'integer',
+      disabled: 'boolean'
+    }
+  },
+  profiles: {
+    '*': {
+      description: 'string',
+      model: 'string',
+      systemPrompt: 'string',
+      temperature: 'number',
+      maxTokens: 'integer',
+      tools: 'string[]',
+      contextFiles: 'string[]'
+    }
+  },
+  profile: 'string'
+};
+
+// How each type is described in error messages
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'true or false',
+  object: 'an object',
+  'string[]': 'a list of strings'
+};
+
+/**
+ * Check a value against a type name
+ * @param {*} value - The value
+ * @param {String} type - The type name
+ * @returns {Boolean} - True if the value has the type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return isPlainObject(value);
+    case 'string[]':
+      return Array.isArray(value) && value.every(item => typeof item === 'string');
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {*} value - The value
+ * @returns {Boolean} - True for plain objects
+ */
+export function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a configuration against CONFIG_SCHEMA
+ * @param {Object} config - The merged configuration
+ * @param {Object} sources - Map of dotted key to where its value came from
+ * @returns {Object} - Object with errors (wrong types) and warnings (unknown keys)
+ */
+export function validateConfig(config, sources = {}) {
+  const errors = [];
+  const warnings = [];
+
+  // Unknown sections have no source of their own, so use the source of a value inside them
+  const describe = (key) => {
+    const sourceKey = key in sources ? key : Object.keys(sources).find(existing => existing.startsWith(`${key}.`));
+    return sourceKey ? ` (from ${sources[sourceKey]})` : '';
+  };
+
+  const check = (value, schema, key) => {
+    // Unset values fall back to the defaults of the component that uses them
+    if (value === null || value === undefined) {
+      return;
+    }
+
+    if (Array.isArray(schema)) {
+      if (!schema.includes(value)) {
+        errors.push(`${key} must be one of ${schema.join(', ')}, got ${JSON.stringify(value)}${describe(key)}`);
+      }
+      return;
+    }
+
+    if (typeof schema === 'string') {
+      if (!hasType(value, schema)) {
+        errors.push(`${key} must be ${TYPE_NAMES[schema]}, got ${JSON.stringify(value)}${describe(key)}`);
+      }
+      return;
+    }
+
+    if (!isPlainObject(value)) {
+      errors.push(`${key} must be an object, got ${JSON.stringify(value)}${describe(key)}`);
+      return;
+    }
+
+    for (const [name, child] of Object.entries(value)) {
+      const childKey = key ? `${key}.${name}` : name;
+      const childSchema = schema['*'] || schema[name];
+
+      if (!childSchema) {
+        warnings.push(`Unknown configuration key ${childKey}${describe(childKey)}`);
+        continue;
+      }
+
+      check(child, childSchema, childKey);
+    }
+  };
+
+  check(config, CONFIG_SCHEMA, '');
+
+  if (config.profile && !config.profiles?.[config.profile]) {
+    errors.push(`Unknown profile ${JSON.stringify(config.profile)}${describe('profile')}; defined profiles: ${Object.keys(config.profiles || {}).join(', ') || 'none'}`);
+  }
+
+  return { errors, warnings };
+}
+
+export default validateConfig;
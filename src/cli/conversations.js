@@ -0,0 +1,234 @@
+// src/cli/conversations.js
+import chalk from 'chalk';
+import { SqliteMemoryManager } from '../memory/SqliteMemoryManager.js';
+
+/**
+ * Open the conversation database
+ * @param {Object} config - The configuration
+ * @returns {Promise<SqliteMemoryManager|null>} - The memory manager, or null if the database could not be opened
+ */
+async function openMemory(config) {
+  const memory = new SqliteMemoryManager(config.memory);
+  return (await memory.initialize()) ? memory : null;
+}
+
+/**
+ * Find a conversation by ID
+ * @param {SqliteMemoryManager} memory - The memory manager
+ * @param {String} id - The conversation ID (a unique prefix is enough)
+ * @returns {Object} - Object with the conversation, or an error if none or several match
+ */
+export function findConversation(memory, id) {
+  const conversations = memory.getAllConversations();
+  const exact = conversations.find(conversation => conversation.id === id);
+  if (exact) {
+    return { conversation: exact };
+  }
+
+  const matches = conversations.filter(conversation => conversation.id.startsWith(id));
+  if (matches.length === 1) {
+    return { conversation: matches[0] };
+  }
+
+  return {
+    error: matches.length === 0
+      ? `Conversation not found: ${id}`
+      : `Conversation ID ${id} is ambiguous; it matches ${matches.map(conversation => conversation.id).join(', ')}`
+  };
+}
+
+/**
+ * Summarize a conversation for listings
+ * @param {Object} conversation - The conversation
+ * @returns {Object} - ID, title, settings, dates and message count
+ */
+function describeConversation(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.metadata.title || '',
+    model: conversation.metadata.settings?.model || conversation.metadata.model || null,
+    temperature: conversation.metadata.settings?.temperature ?? null,
+    maxTokens: conversation.metadata.settings?.maxTokens ?? null,
+    systemPrompt: conversation.metadata.settings?.systemPrompt ?? null,
+    profile: conversation.metadata.profile || null,
+    created: conversation.metadata.created,
+    lastUpdated: conversation.metadata.lastUpdated,
+    messageCount: conversation.metadata.messageCount
+  };
+}
+
+/**
+ * Open the database, run an action on it and close it again
+ * @param {Object} config - The configuration
+ * @param {Function} action - Called with the memory manager; returns the exit code
+ * @returns {Promise<Number>} - The process exit code
+ */
+async function withMemory(config, action) {
+  const memory = await openMemory(config);
+  if (!memory) {
+    return 1;
+  }
+
+  try {
+    return await action(memory);
+  } finally {
+    memory.close();
+  }
+}
+
+/**
+ * Run `hikma conversations list`: show stored conversations, most recently updated first
+ * @param {Object} options - Command options
+ * @param {Boolean} options.json - Print JSON instead of text
+ * @param {Object} config - The configuration
+ * @returns {Promise<Number>} - The process exit code
+ */
+export async function listConversations(options, config) {
+  return withMemory(config, (memory) => {
+    const conversations = memory.getAllConversations()
+      .map(describeConversation)
+      .sort((a, b) => new Date(b.lastUpdated) - new Date(a.lastUpdated));
+
+    if (options.json) {
+      console.log(JSON.stringify(conversations, null, 2));
+      return 0;
+    }
+
+    if (conversations.length === 0) {
+      console.log('No conversations stored');
+      return 0;
+    }
+
+    conversations.forEach(conversation => {
+      const updated = new Date(conversation.lastUpdated).toLocaleString();
+      console.log(`${chalk.yellow(conversation.id)}  ${conversation.title} ${chalk.gray(`(${conversation.messageCount} messages, updated ${updated})`)}`);
+    });
+    return 0;
+  });
+}
+
+/**
+ * Run `hikma conversations show <id>`: print a conversation's messages
+ * @param {String} id - The conversation ID (a unique prefix is enough)
+ * @param {Object} options - Command options
+ * @param {Boolean} options.json - Print JSON instead of text
+ * @param {Object} config - The configuration
+ * @returns {Promise<Number>} - The process exit code
+ */
+export async function showConversation(id, options, config) {
+  return withMemory(config, (memory) => {
+    const { conversation, error } = findConversation(memory, id);
+    if (error) {
+      console.error(error);
+      return 1;
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify({
+        ...describeConversation(conversation),
+        summary: conversation.summary,
+        messages: conversation.messages
+      }, null, 2));
+      return 0;
+    }
+
+    const info = describeConversation(conversation);
+    console.log(chalk.cyan(`${info.title} (${info.id})`));
+    const settings = [
+      info.profile && `Profile: ${info.profile}`,
+      `Model: ${info.model || 'unknown'}`,
+      info.temperature !== null && `temperature ${info.temperature}`,
+      info.maxTokens !== null && `max tokens ${info.maxTokens}`
+    ].filter(Boolean);
+    console.log(chalk.gray(`${settings.join(', ')}, created ${new Date(info.created).toLocaleString()}, ${info.messageCount} messages`));
+
+    conversation.messages.forEach(message => {
+      const label = message.role === 'tool'
+        ? `Tool (${message.metadata?.toolName || 'unknown'})`
+        : message.role.charAt(0).toUpperCase() + message.role.slice(1);
+      const interrupted = message.metadata?.interrupted ? chalk.yellow(' (interrupted)') : '';
+      console.log(`\n${chalk.bold(`${label}:`)}${interrupted}\n${message.content}`);
+    });
+    return 0;
+  });
+}
+
+/**
+ * Run `hikma conversations delete <id>`: delete a conversation and its messages
+ * @param {String} id - The conversation ID (a unique prefix is enough)
+ * @param {Object} options - Command options
+ * @param {Boolean} options.json - Print JSON instead of text
+ * @param {Object} config - The configuration
+ * @returns {Promise<Number>} - The process exit code
+ */
+export async function deleteConversation(id, options, config) {
+  return withMemory(config, (memory) => {
+    const { conversation, error } = findConversation(memory, id);
+    if (error) {
+      console.error(error);
+      return 1;
+    }
+
+    memory.deleteConversation(conversation.id);
+
+    if (options.json) {
+      console.log(JSON.stringify({ deleted: conversation.id }));
+    } else {
+      console.log(`Deleted conversation ${conversation.id} (${conversation.metadata.title})`);
+    }
+    return 0;
+  });
+}
+
+/**
+ * Run `hikma conversations rename <id> <title>`: change a conversation's title
+ * @param {String} id - The conversation ID (a unique prefix is enough)
+ * @param {String} title - The new title
+ * @param {Object} options - Command options
+ * @param {Boolean} options.json - Print JSON instead of text
+ * @param {Object} config - The configuration
+ * @returns {Promise<Number>} - The process exit code
+ */
+export async function renameConversation(id, title, options, config) {
+  if (!title.trim()) {
+    console.error('Please provide a title');
+    return 1;
+  }
+
+  return withMemory(config, (memory) => {
+    const { conversation, error } = findConversation(memory, id);
+    if (error) {
+      console.error(error);
+      return 1;
+    }
+
+    memory.updateMetadata(conversation.id, { title: title.trim() });
+
+    if (options.json) {
+      console.log(JSON.stringify(describeConversation(conversation), null, 2));
+    } else {
+      console.log(`Renamed conversation ${conversation.id} to "${title.trim()}"`);
+    }
+    return 0;
+  });
+}
+
+/**
+ * Look up the conversation `hikma conversations resume <id>` should open
+ * @param {String} id - The conversation ID (a unique prefix is enough)
+ * @param {Object} config - The configuration
+ * @returns {Promise<Object>} - Object with the full conversation ID, or an error
+ */
+export async function resolveConversationId(id, config) {
+  const memory = await openMemory(config);
+  if (!memory) {
+    return { error: 'Could not open the conversation database' };
+  }
+
+  try {
+    const { conversation, error } = findConversation(memory, id);
+    return error ? { error } : { id: conversation.id };
+  } finally {
+    memory.close();
+  }
+}
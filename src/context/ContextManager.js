@@ -1,12 +1,13 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { TokenCounter } from '../tokenizer/TokenCounter.js';
 
 /**
  * ContextManager handles context files and hooks for chat sessions
  */
 export class ContextManager {
-  constructor() {
+  constructor(options = {}) {
     // Store context files per conversation ID
     this.contextFiles = new Map(); // conversationId -> Set of file paths
     this.contextHooks = new Map(); // conversationId -> Set of hook functions
@@ -18,8 +19,8 @@ export class ContextManager {
       '.md', '.txt', '.sql', '.sh', '.bash', '.zsh', '.fish',
       '.dockerfile', '.gitignore', '.env'
     ]);
-    // Average tokens per character for estimation
-    this.tokensPerChar = 0.25;
+    // Counts tokens with the tokenizer of the model in use
+    this.tokenCounter = options.tokenCounter || new TokenCounter();
   }
 
   /**
@@ -284,37 +285,51 @@ export class ContextManager {
   }
 
   /**
-   * Get context content for inclusion in prompts
+   * Read the context files, each formatted as it appears in prompts
    * @param {String} conversationId - The conversation ID
-   * @returns {String} - Formatted context content
+   * @returns {Array} - Array of { name, content } in the order the files were added
    */
-  async getContextContent(conversationId) {
+  async getContextFileEntries(conversationId) {
     this.initializeContext(conversationId);
     
-    const files = this.getContextFiles(conversationId);
-    if (files.length === 0) {
-      return '';
-    }
-
-    let contextContent = '\n--- CONTEXT FILES ---\n';
-    
-    for (const filePath of files) {
+    return this.getContextFiles(conversationId).map(filePath => {
+      const relativePath = path.relative(process.cwd(), filePath);
+      
       try {
         const content = fs.readFileSync(filePath, 'utf8');
-        const relativePath = path.relative(process.cwd(), filePath);
-        
-        contextContent += `\n=== ${relativePath} ===\n`;
-        contextContent += content;
-        contextContent += '\n=== END OF FILE ===\n';
+        return {
+          name: relativePath,
+          content: `\n=== ${relativePath} ===\n${content}\n=== END OF FILE ===\n`
+        };
       } catch (error) {
-        contextContent += `\n=== ${filePath} ===\n`;
-        contextContent += `[Error reading file: ${error.message}]\n`;
-        contextContent += '=== END OF FILE ===\n';
+        return {
+          name: relativePath,
+          content: `\n=== ${filePath} ===\n[Error reading file: ${error.message}]\n=== END OF FILE ===\n`
+        };
       }
+    });
+  }
+
+  /**
+   * Combine context file entries into the block included in prompts
+   * @param {Array} entries - Entries from getContextFileEntries
+   * @returns {String} - Formatted context content, or an empty string without entries
+   */
+  formatContextFiles(entries) {
+    if (entries.length === 0) {
+      return '';
     }
     
-    contextContent += '--- END CONTEXT FILES ---\n\n';
-    return contextContent;
+    return `\n--- CONTEXT FILES ---\n${entries.map(entry => entry.content).join('')}--- END CONTEXT FILES ---\n\n`;
+  }
+
+  /**
+   * Get context content for inclusion in prompts
+   * @param {String} conversationId - The conversation ID
+   * @returns {String} - Formatted context content
+   */
+  async getContextContent(conversationId) {
+    return this.formatContextFiles(await this.getContextFileEntries(conversationId));
   }
 
   /**
@@ -359,37 +374,48 @@ export class ContextManager {
   }
 
   /**
-   * Execute all hooks and get their content
+   * Execute all hooks, each result formatted as it appears in prompts
    * @param {String} conversationId - The conversation ID
-   * @returns {String} - Combined hook content
+   * @returns {Array} - Array of { name, content } for the hooks that returned content
    */
-  async executeHooks(conversationId) {
+  async getHookEntries(conversationId) {
     this.initializeContext(conversationId);
     
-    const hooks = this.getHooks(conversationId);
-    if (hooks.length === 0) {
-      return '';
-    }
-
-    let hookContent = '\n--- CONTEXT HOOKS ---\n';
-    
-    for (const hook of hooks) {
+    const entries = [];
+    for (const hook of this.getHooks(conversationId)) {
       try {
         const content = await hook.fn();
         if (content) {
-          hookContent += `\n=== ${hook.name} ===\n`;
-          hookContent += content;
-          hookContent += '\n=== END HOOK ===\n';
+          entries.push({ name: hook.name, content: `\n=== ${hook.name} ===\n${content}\n=== END HOOK ===\n` });
         }
       } catch (error) {
-        hookContent += `\n=== ${hook.name} ===\n`;
-        hookContent += `[Error executing hook: ${error.message}]\n`;
-        hookContent += '=== END HOOK ===\n';
+        entries.push({ name: hook.name, content: `\n=== ${hook.name} ===\n[Error executing hook: ${error.message}]\n=== END HOOK ===\n` });
       }
     }
     
-    hookContent += '--- END CONTEXT HOOKS ---\n\n';
-    return hookContent;
+    return entries;
+  }
+
+  /**
+   * Combine hook entries into the block included in prompts
+   * @param {Array} entries - Entries from getHookEntries
+   * @returns {String} - Formatted hook content, or an empty string without entries
+   */
+  formatHooks(entries) {
+    if (entries.length === 0) {
+      return '';
+    }
+    
+    return `\n--- CONTEXT HOOKS ---\n${entries.map(entry => entry.content).join('')}--- END CONTEXT HOOKS ---\n\n`;
+  }
+
+  /**
+   * Execute all hooks and get their content
+   * @param {String} conversationId - The conversation ID
+   * @returns {String} - Combined hook content
+   */
+  async executeHooks(conversationId) {
+    return this.formatHooks(await this.getHookEntries(conversationId));
   }
 
   /**
@@ -413,13 +439,13 @@ export class ContextManager {
   }
 
   /**
-   * Estimate token count for a given text
-   * @param {String} text - The text to estimate tokens for
-   * @returns {Number} - Estimated token count
+   * Count the tokens of a text for the model in use, exactly or as an estimate
+   * (see TokenCounter)
+   * @param {String} text - The text to count tokens for
+   * @returns {Number} - Token count
    */
   estimateTokenCount(text) {
-    if (!text) return 0;
-    return Math.ceil(text.length * this.tokensPerChar);
+    return this.tokenCounter.count(text);
   }
 
   /**
@@ -435,7 +461,8 @@ export class ContextManager {
       return {
         files: [],
         totalTokens: 0,
-        totalFiles: 0
+        totalFiles: 0,
+        tokenizer: this.tokenCounter.describe()
       };
     }
 
@@ -468,7 +495,8 @@ export class ContextManager {
     return {
       files: fileDetails,
       totalTokens,
-      totalFiles: files.length
+      totalFiles: files.length,
+      tokenizer: this.tokenCounter.describe()
     };
   }
 
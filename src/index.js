@@ -1,105 +1,278 @@
 // src/index.js
-import { ChatSession } from './chat/ChatSession.js';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
 import { Command } from 'commander';
-import dotenv from 'dotenv';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import fs from 'fs';
 import { InquirerTabCompleter } from './utils/InquirerTabCompleter.js';
-
-// Load environment variables
-dotenv.config();
-
-// Get directory name in ESM
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const configPath = path.join(__dirname, '..', 'config', 'config.json');
-
-// Default configuration
-const defaultConfig = {
-  ollama: {
-    baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/api',
-    defaultModel: process.env.OLLAMA_DEFAULT_MODEL || 'llama3.2:latest'
-  },
-  memory: {
-    persistMemory: process.env.PERSIST_MEMORY === 'false' ? false : true,
-    maxMessages: parseInt(process.env.MAX_MESSAGES) || 100,
-    summarizeThreshold: parseInt(process.env.SUMMARIZE_THRESHOLD) || 50
-  },
-  settings: {
-    includeSystemPrompt: true,
-    systemPrompt: process.env.SYSTEM_PROMPT || "You are a helpful assistant. Respond concisely and accurately.",
-    temperature: parseFloat(process.env.TEMPERATURE) || 0.7,
-    maxTokens: parseInt(process.env.MAX_TOKENS) || 30000
-  }
-};
-
-// Load configuration
-let config = defaultConfig;
-if (fs.existsSync(configPath)) {
-  try {
-    const configFile = fs.readFileSync(configPath, 'utf8');
-    config = { ...defaultConfig, ...JSON.parse(configFile) };
-  } catch (error) {
-    console.error(chalk.red(`Error loading configuration: ${error.message}`));
-  }
-}
+import { InputEditor } from './utils/InputEditor.js';
+import { renderMarkdown, MarkdownStreamRenderer } from './utils/markdown.js';
+import { loadConfig, showConfig, getPinnedSettings, createChatSession } from './cli/config.js';
+import { runAsk } from './cli/ask.js';
+import {
+  listConversations,
+  showConversation,
+  deleteConversation,
+  renameConversation,
+  resolveConversationId
+} from './cli/conversations.js';
 
 // Set up command line interface
 const program = new Command();
 
 program
-  .name('ollama-chat-memory')
+  .name('hikma')
   .description('Chat with Ollama LLM with conversation memory')
   .version('1.0.0');
 
 program
-  .option('-m, --model <model>', 'Specify the model to use', config.ollama.defaultModel)
-  .option('-t, --temperature <temperature>', 'Set the temperature (0.0-1.0)', parseFloat, config.settings.temperature)
-  .option('-p, --persist', 'Enable persistent memory storage', config.memory.persistMemory)
+  .option('-m, --model <model>', 'Specify the model to use')
+  .option('-t, --temperature <temperature>', 'Set the temperature (0.0-1.0)', parseFloat)
+  .option('-p, --persist', 'Enable persistent memory storage')
   .option('-s, --system <prompt>', 'Set a custom system prompt')
   .option('-n, --no-system', 'Disable system prompt')
-  .option('-c, --config <path>', 'Path to config file');
-
-program.parse();
-
-const options = program.opts();
-
-// Update config with command line options
-if (options.model) config.ollama.defaultModel = options.model;
-if (options.temperature) config.settings.temperature = options.temperature;
-if (options.persist !== undefined) config.memory.persistMemory = options.persist;
-if (options.system) config.settings.systemPrompt = options.system;
-if (options.noSystem === false) config.settings.includeSystemPrompt = false;
-
-// Initialize chat session
-const chatSession = new ChatSession({
-  ollamaOptions: config.ollama,
-  memoryOptions: config.memory,
-  settings: {
-    ...config.settings,
-    model: config.ollama.defaultModel // Explicitly pass the model to settings
-  },
-  persistMemory: config.memory.persistMemory
-});
+  .option('--no-stream', 'Wait for the full response instead of streaming it')
+  .option('--tool-mode <mode>', 'How tools are chosen: native (model tool calling), keyword or off')
+  .option('--profile <name>', 'Start with a profile from the config')
+  .option('--raw', 'Print replies as plain text instead of rendering Markdown')
+  .option('-c, --config <path>', 'Path to config file')
+  .action(async () => {
+    const loaded = loadProgramConfig();
+    config = loaded.config;
+    pinnedSettings = getPinnedSettings(loaded);
+    await startChat();
+  });
 
-// Event listeners
-chatSession.on('initialized', ({ conversationId }) => {
-  console.log(chalk.green(`Chat session initialized with conversation ID: ${conversationId}`));
-});
+// Load the layered configuration with the global command line options applied,
+// stopping with the problems listed when it is invalid. Returns the loadConfig result.
+function loadProgramConfig() {
+  const loaded = loadConfig({
+    configPath: program.opts().config,
+    cliOptions: program.opts(),
+    getOptionSource: name => program.getOptionValueSource(name)
+  });
 
-chatSession.on('messageSent', ({ message }) => {
-  // This is handled in the main loop
-});
+  loaded.warnings.forEach(warning => console.error(chalk.yellow(`Warning: ${warning}`)));
+  if (loaded.errors.length > 0) {
+    loaded.errors.forEach(error => console.error(chalk.red(`Error: ${error}`)));
+    console.error(chalk.gray('Run `hikma config show` to see where each value comes from'));
+    process.exit(1);
+  }
 
-chatSession.on('responseReceived', ({ message }) => {
-  // This is handled in the main loop
-});
+  return loaded;
+}
 
-chatSession.on('error', ({ error }) => {
-  console.error(chalk.red(`Error: ${error}`));
-});
+program
+  .command('ask')
+  .description('Ask a single question and print the answer, reading extra input from stdin and files')
+  .argument('[prompt...]', 'The question or instruction')
+  .option('-f, --file <path>', 'Include a file in the message (repeatable)', (value, files) => [...files, value], [])
+  .option('--conversation <name>', 'Append to the conversation with this ID or title, creating it if needed')
+  .action(async (promptWords, askOptions) => {
+    const loaded = loadProgramConfig();
+    process.exitCode = await runAsk(promptWords.join(' '), askOptions, loaded.config, getPinnedSettings(loaded));
+  });
+
+const configCommand = program
+  .command('config')
+  .description('Inspect the configuration');
+
+configCommand
+  .command('show')
+  .description('Print the effective configuration and where each value comes from')
+  .option('--json', 'Print JSON')
+  .action((options) => {
+    const loaded = loadConfig({
+      configPath: program.opts().config,
+      cliOptions: program.opts(),
+      getOptionSource: name => program.getOptionValueSource(name)
+    });
+    process.exitCode = showConfig(loaded, options);
+  });
+
+// Conversation commands always work on the persistent store
+function loadConversationConfig() {
+  const loaded = loadProgramConfig();
+  loaded.config.memory.persistMemory = true;
+  return loaded;
+}
+
+const conversationsCommand = program
+  .command('conversations')
+  .description('Manage stored conversations');
+
+conversationsCommand
+  .command('list')
+  .description('List stored conversations, most recently updated first')
+  .option('--json', 'Print JSON')
+  .action(async (options) => {
+    process.exitCode = await listConversations(options, loadConversationConfig().config);
+  });
+
+conversationsCommand
+  .command('show')
+  .description('Print the messages of a conversation')
+  .argument('<id>', 'Conversation ID (a unique prefix is enough)')
+  .option('--json', 'Print JSON')
+  .action(async (id, options) => {
+    process.exitCode = await showConversation(id, options, loadConversationConfig().config);
+  });
+
+conversationsCommand
+  .command('delete')
+  .description('Delete a conversation and its messages')
+  .argument('<id>', 'Conversation ID (a unique prefix is enough)')
+  .option('--json', 'Print JSON')
+  .action(async (id, options) => {
+    process.exitCode = await deleteConversation(id, options, loadConversationConfig().config);
+  });
+
+conversationsCommand
+  .command('rename')
+  .description('Change the title of a conversation')
+  .argument('<id>', 'Conversation ID (a unique prefix is enough)')
+  .argument('<title...>', 'The new title')
+  .option('--json', 'Print JSON')
+  .action(async (id, titleWords, options) => {
+    process.exitCode = await renameConversation(id, titleWords.join(' '), options, loadConversationConfig().config);
+  });
+
+conversationsCommand
+  .command('resume')
+  .description('Continue a conversation in the interactive chat')
+  .argument('<id>', 'Conversation ID (a unique prefix is enough)')
+  .action(async (id) => {
+    const loaded = loadConversationConfig();
+    config = loaded.config;
+    pinnedSettings = getPinnedSettings(loaded);
+    const resolved = await resolveConversationId(id, config);
+    if (resolved.error) {
+      console.error(resolved.error);
+      process.exitCode = 1;
+      return;
+    }
+    await startChat(resolved.id);
+  });
+
+// Configuration and chat session for the interactive chat, set up when it starts
+let config;
+let pinnedSettings = {};
+let chatSession;
+
+// Tracks whether the current response has started printing incrementally
+let streamingResponse = false;
+
+// Renders replies as Markdown; null when --raw is given or output is not a terminal
+let markdownStream = null;
+
+// Helper function to show session events in the interactive chat
+function registerEventListeners() {
+  chatSession.on('initialized', ({ conversationId }) => {
+    console.log(chalk.green(`Chat session initialized with conversation ID: ${conversationId}`));
+  });
+
+  chatSession.on('messageSent', ({ message }) => {
+    // This is handled in the main loop
+  });
+
+  chatSession.on('responseChunk', ({ chunk }) => {
+    if (!streamingResponse) {
+      streamingResponse = true;
+      process.stdout.write(chalk.green(markdownStream ? 'Assistant:\n' : 'Assistant: '));
+    }
+    process.stdout.write(markdownStream ? markdownStream.write(chunk) : chalk.green(chunk));
+  });
+
+  chatSession.on('responseReceived', ({ message }) => {
+    // This is handled in the main loop
+  });
+
+  chatSession.on('toolCall', ({ name, arguments: args }) => {
+    // Any text streamed before the tool call gets its own line
+    endStreamedResponse();
+    const argsText = Object.keys(args).length > 0 ? ` ${JSON.stringify(args)}` : '';
+    console.log(chalk.gray(`Running tool: ${name}${argsText}`));
+  });
+
+  chatSession.on('toolResult', ({ name, result }) => {
+    if (result.cancelled || result.timedOut) {
+      console.log(chalk.yellow(`  ${result.error}`));
+      return;
+    }
+
+    if (!result.success) {
+      console.log(chalk.yellow(`Tool ${name} failed: ${result.error}`));
+      return;
+    }
+
+    // Raw output stays collapsed; the model's answer is what gets printed
+    const lineCount = String(result.result).split('\n').length;
+    console.log(chalk.gray(`  ${name} returned ${lineCount} line(s) of output (/tool-output to view)`));
+  });
+
+  chatSession.on('warning', ({ message }) => {
+    console.log(chalk.yellow(message));
+  });
+
+  chatSession.on('summaryUpdated', ({ newlySummarized }) => {
+    console.log(chalk.gray(`Summarized ${newlySummarized} earlier messages (/summary to view)`));
+  });
+
+  chatSession.on('error', ({ error }) => {
+    console.error(chalk.red(`Error: ${error}`));
+  });
+
+  // Ask before running tools that change files or execute commands
+  chatSession.getToolManager().permissions.setPromptHandler(promptToolPermission);
+}
+
+// Helper function to ask the user whether a side-effecting tool may run
+async function promptToolPermission({ tool, args, ruleKey, preview }) {
+  endStreamedResponse();
+  
+  console.log(chalk.yellow(`\nThe assistant wants to run ${tool.name}:`));
+  Object.entries(args).forEach(([name, value]) => {
+    // Multi-line values (file content, patches) are shown by the preview instead
+    if (preview && typeof value === 'string' && value.includes('\n')) {
+      return;
+    }
+    console.log(chalk.gray(`  ${name}: ${typeof value === 'string' ? value : JSON.stringify(value)}`));
+  });
+  
+  if (preview) {
+    console.log('');
+    displayDiff(preview);
+  }
+  
+  const { decision } = await inquirer.prompt({
+    type: 'list',
+    name: 'decision',
+    message: 'Allow this action?',
+    choices: [
+      { name: 'Allow once', value: 'once' },
+      { name: `Always allow ${ruleKey} in this project`, value: 'always' },
+      { name: 'Deny', value: 'deny' }
+    ]
+  });
+  
+  return decision;
+}
+
+// Helper function to print a unified diff with added and removed lines colored
+function displayDiff(diff) {
+  diff.split('\n').forEach(line => {
+    if (line.startsWith('+++') || line.startsWith('---') || line.startsWith('===')) {
+      console.log(chalk.bold(line));
+    } else if (line.startsWith('+')) {
+      console.log(chalk.green(line));
+    } else if (line.startsWith('-')) {
+      console.log(chalk.red(line));
+    } else if (line.startsWith('@@')) {
+      console.log(chalk.cyan(line));
+    } else {
+      console.log(line);
+    }
+  });
+}
 
 // Helper function to display conversation history
 function displayConversationHistory(conversation) {
@@ -115,14 +288,359 @@ function displayConversationHistory(conversation) {
       console.log(chalk.gray(`System: ${msg.content}`));
     } else if (msg.role === 'user') {
       console.log(chalk.blue(`You: ${msg.content}`));
+    } else if (msg.role === 'assistant' && msg.metadata?.toolCalls) {
+      // The model's request to run tools, with any text it wrote first
+      if (msg.content) {
+        displayAssistantMessage(msg.content);
+      }
+      const names = msg.metadata.toolCalls.map(call => call.function?.name).join(', ');
+      console.log(chalk.gray(`Assistant called: ${names}`));
     } else if (msg.role === 'assistant') {
-      console.log(chalk.green(`Assistant: ${msg.content}`));
+      displayAssistantMessage(msg.content);
+      if (msg.metadata?.interrupted) {
+        console.log(chalk.yellow('[interrupted]'));
+      }
+    } else if (msg.role === 'tool') {
+      // Tool output can be long; show only the first line
+      const lines = msg.content.split('\n');
+      const more = lines.length > 1 ? ` (+${lines.length - 1} more lines)` : '';
+      console.log(chalk.magenta(`Tool (${msg.metadata?.toolName || 'unknown'}): ${lines[0]}${more}`));
     }
   });
   
   console.log(chalk.cyan('---------------------------\n'));
 }
 
+// Helper function to summarize the settings stored with a conversation
+function describeConversationSettings(metadata) {
+  const settings = metadata.settings || {};
+  return [
+    metadata.profile && `profile: ${metadata.profile}`,
+    (settings.model || metadata.model) && `model: ${settings.model || metadata.model}`,
+    settings.temperature !== undefined && `temperature: ${settings.temperature}`,
+    settings.maxTokens !== undefined && `max tokens: ${settings.maxTokens}`
+  ].filter(Boolean).join(', ');
+}
+
+// Helper function to display the summary of the earlier messages in the current conversation
+function displaySummary() {
+  const { summary, summarizedMessages, recentMessages, summarizeThreshold } = chatSession.getSummary();
+  
+  if (!summary) {
+    console.log(chalk.yellow(`No summary yet; the oldest messages are summarized once more than ${summarizeThreshold} are sent to the model.`));
+    console.log(chalk.gray('Use /summary regenerate to summarize now'));
+    return;
+  }
+  
+  console.log(chalk.cyan('\n--- Conversation Summary ---'));
+  console.log(summary);
+  console.log(chalk.gray(`\nCovers ${summarizedMessages} earlier messages; the latest ${recentMessages} are sent to the model as they are`));
+  console.log(chalk.cyan('----------------------------\n'));
+}
+
+// Helper function to list the configured profiles
+function displayProfiles(profiles, activeProfile) {
+  const names = Object.keys(profiles);
+  if (names.length === 0) {
+    console.log(chalk.yellow('No profiles configured. Add them to the "profiles" section of a config file.'));
+    return;
+  }
+  
+  console.log(chalk.cyan('\n--- Profiles ---'));
+  names.forEach(name => {
+    const profile = profiles[name];
+    const marker = name === activeProfile ? chalk.green('*') : ' ';
+    console.log(`${marker} ${chalk.yellow(name)}${profile.description ? ` - ${profile.description}` : ''}`);
+    
+    const details = [
+      profile.model && `model: ${profile.model}`,
+      profile.temperature !== undefined && `temperature: ${profile.temperature}`,
+      profile.maxTokens !== undefined && `max tokens: ${profile.maxTokens}`,
+      profile.tools && `tools: ${profile.tools.join(', ') || 'none'}`,
+      profile.contextFiles && `context: ${profile.contextFiles.join(', ')}`
+    ].filter(Boolean);
+    if (details.length > 0) {
+      console.log(chalk.gray(`  ${details.join('; ')}`));
+    }
+  });
+  console.log('');
+}
+
+// Helper function to finish a reply that was printed as it streamed
+function endStreamedResponse() {
+  if (streamingResponse) {
+    process.stdout.write(markdownStream ? markdownStream.end() : '\n');
+    streamingResponse = false;
+  }
+}
+
+// Helper function to print a complete reply
+function displayAssistantMessage(content) {
+  if (markdownStream) {
+    console.log(chalk.green('Assistant:'));
+    console.log(renderMarkdown(content));
+  } else {
+    console.log(chalk.green(`Assistant: ${content}`));
+  }
+}
+
+// Helper function to run a task with Ctrl+C handled by onInterrupt instead of exiting hikma
+async function whileInterruptible(task, onInterrupt) {
+  process.on('SIGINT', onInterrupt);
+  try {
+    return await task();
+  } finally {
+    process.off('SIGINT', onInterrupt);
+  }
+}
+
+// Helper function to handle Ctrl+C while answering: cancel the running tools, or with none running stop generating the reply
+function interruptResponse() {
+  if (chatSession.cancelRunningTools() > 0) {
+    console.log(chalk.yellow('\nCancelling the running tool...'));
+    return;
+  }
+  
+  chatSession.interruptGeneration();
+}
+
+// Helper function to send a message to Ollama and print the reply (tool processing is handled inside ChatSession.sendMessage)
+async function sendChatMessage(message) {
+  console.log(chalk.gray('Assistant is thinking...'));
+  
+  streamingResponse = false;
+  const response = await whileInterruptible(
+    () => chatSession.sendMessage(message),
+    interruptResponse
+  );
+  
+  // Finish the streamed reply before printing anything else
+  const streamed = streamingResponse;
+  endStreamedResponse();
+  
+  if (response.interrupted) {
+    console.log(chalk.yellow(response.message ? 'Interrupted; the reply so far is kept in the conversation' : 'Interrupted'));
+  } else if (response.success) {
+    if (response.isToolResult) {
+      console.log(chalk.green(`\nAssistant (using ${response.toolResult.toolName}):`));
+      console.log(response.toolResult.result);
+    } else if (!streamed) {
+      displayAssistantMessage(response.message.content);
+    }
+  } else {
+    console.log(chalk.red(`Error: ${response.error}`));
+  }
+}
+
+// Helper function to write a message in $EDITOR; returns null if it was left empty
+async function editMessage(initialText) {
+  const { message } = await inquirer.prompt({
+    type: 'editor',
+    name: 'message',
+    message: 'Write your message',
+    default: initialText ? `${initialText}\n` : ''
+  });
+  
+  if (!message.trim()) {
+    console.log(chalk.gray('Message is empty; nothing sent'));
+    return null;
+  }
+  
+  return message.trim();
+}
+
+// Helper function to run a shell command through the execution policy and print the result
+async function runShellCommand(command, source) {
+  const controller = new AbortController();
+  const result = await whileInterruptible(
+    () => chatSession.runShellCommand(command, { source, signal: controller.signal }),
+    () => controller.abort()
+  );
+  
+  if (result.blocked || result.cancelled) {
+    console.error(chalk.red(result.error));
+    return;
+  }
+  
+  if (result.stdout) {
+    console.log(result.stdout);
+  }
+  
+  if (!result.success) {
+    console.error(chalk.red(`Error executing command: ${result.error}`));
+  } else if (result.stderr) {
+    console.log(chalk.gray(result.stderr));
+  }
+}
+
+// Helper function to draft a commit message for the staged changes and commit them
+async function runCommitCommand() {
+  console.log(chalk.gray('Drafting a commit message for the staged changes...'));
+  let draft = await whileInterruptible(() => chatSession.generateCommitMessage(), interruptResponse);
+  
+  while (true) {
+    if (draft.interrupted) {
+      console.log(chalk.yellow('Interrupted; nothing was committed'));
+      return;
+    }
+    
+    if (!draft.success) {
+      console.error(chalk.red(`Error: ${draft.error}`));
+      return;
+    }
+    
+    console.log(chalk.cyan('\n--- Commit Message ---'));
+    console.log(draft.text);
+    console.log(chalk.cyan('----------------------\n'));
+    
+    const { action } = await inquirer.prompt({
+      type: 'list',
+      name: 'action',
+      message: 'Commit with this message?',
+      choices: [
+        { name: 'Commit', value: 'commit' },
+        { name: 'Edit message', value: 'edit' },
+        { name: 'Regenerate', value: 'regenerate' },
+        { name: 'Cancel', value: 'cancel' }
+      ]
+    });
+    
+    if (action === 'cancel') {
+      console.log(chalk.gray('Commit cancelled'));
+      return;
+    }
+    
+    if (action === 'regenerate') {
+      console.log(chalk.gray('Drafting another commit message...'));
+      draft = await whileInterruptible(() => chatSession.generateCommitMessage(), interruptResponse);
+      continue;
+    }
+    
+    if (action === 'edit') {
+      const { message } = await inquirer.prompt({
+        type: 'editor',
+        name: 'message',
+        message: 'Edit the commit message',
+        default: draft.text
+      });
+      draft = message.trim()
+        ? { success: true, text: message.trim() }
+        : { success: false, error: 'Commit message is empty' };
+      continue;
+    }
+    
+    const result = await chatSession.commitChanges(draft.text);
+    if (result.success) {
+      console.log(chalk.green(result.stdout.trim()));
+    } else {
+      console.error(chalk.red(`Error committing: ${result.error}`));
+    }
+    return;
+  }
+}
+
+// Helper function to draft a pull request description for the current branch
+async function runPullRequestDescription(base) {
+  console.log(chalk.gray(`Drafting a pull request description${base ? ` against ${base}` : ''}...`));
+  const result = await whileInterruptible(
+    () => chatSession.generatePullRequestDescription(base || null),
+    interruptResponse
+  );
+  
+  if (result.interrupted) {
+    console.log(chalk.yellow('Interrupted'));
+    return;
+  }
+  
+  if (!result.success) {
+    console.error(chalk.red(`Error: ${result.error}`));
+    return;
+  }
+  
+  console.log(chalk.cyan(`\n--- Pull Request Description (compared to ${result.base}) ---`));
+  console.log(result.text);
+  console.log(chalk.cyan('------------------------------------\n'));
+}
+
+// Helper function to browse the audit log, e.g. /audit tool=git_diff failed limit=50 <text>
+function displayAuditLog(args) {
+  const auditLog = chatSession.getAuditLog();
+  const tokens = args.split(' ').filter(Boolean);
+  
+  if (tokens[0] === 'show') {
+    const entry = tokens[1] ? auditLog.get(tokens[1]) : null;
+    if (!entry) {
+      console.error(chalk.red(tokens[1] ? `No audit entry ${tokens[1]}` : 'Usage: /audit show <id>'));
+      return;
+    }
+    
+    console.log(chalk.cyan(`\n--- Audit Entry ${entry.id} ---`));
+    console.log(chalk.yellow(`Time: ${new Date(entry.timestamp).toLocaleString()}`));
+    console.log(chalk.yellow(`${entry.type === 'tool' ? 'Tool' : 'Command'}: ${entry.name}`));
+    console.log(chalk.yellow(`Arguments: ${typeof entry.args === 'string' ? entry.args : JSON.stringify(entry.args)}`));
+    console.log(chalk.yellow(`Directory: ${entry.cwd}`));
+    console.log(chalk.yellow(`Conversation: ${entry.conversationId || 'none'}`));
+    console.log(chalk.yellow(`Result: ${entry.success ? 'success' : 'failed'}${entry.exitCode !== null ? ` (exit code ${entry.exitCode})` : ''}${entry.duration !== null ? ` in ${entry.duration}ms` : ''}`));
+    if (entry.error) {
+      console.log(chalk.red(`Error: ${entry.error}`));
+    }
+    if (entry.output) {
+      console.log(chalk.cyan('Output:'));
+      console.log(entry.output);
+    }
+    console.log(chalk.cyan('---------------------------\n'));
+    return;
+  }
+  
+  const filter = {};
+  const text = [];
+  for (const token of tokens) {
+    const [key, value] = token.split('=');
+    if (token === 'failed') {
+      filter.failed = true;
+    } else if (key === 'tool' && value) {
+      filter.name = value;
+    } else if (key === 'type' && value) {
+      filter.type = value;
+    } else if (key === 'conversation' && value) {
+      filter.conversationId = value === 'current' ? chatSession.activeConversationId : value;
+    } else if (key === 'since' && value) {
+      const since = new Date(value);
+      if (isNaN(since.getTime())) {
+        console.error(chalk.red(`Invalid date: ${value}`));
+        return;
+      }
+      filter.since = since.toISOString();
+    } else if (key === 'limit' && value) {
+      filter.limit = parseInt(value) || 20;
+    } else {
+      text.push(token);
+    }
+  }
+  if (text.length > 0) {
+    filter.text = text.join(' ');
+  }
+  
+  const entries = auditLog.query(filter);
+  console.log(chalk.cyan('\n--- Audit Log ---'));
+  console.log(chalk.gray(`Stored in ${auditLog.getLocation()}`));
+  
+  if (entries.length === 0) {
+    console.log(chalk.gray('No matching entries'));
+  }
+  
+  entries.forEach(entry => {
+    const status = entry.success ? chalk.green('✓') : chalk.red('✗');
+    const args = typeof entry.args === 'string' ? entry.args : JSON.stringify(entry.args);
+    const time = new Date(entry.timestamp).toLocaleString();
+    const exitCode = entry.exitCode !== null ? ` exit ${entry.exitCode}` : '';
+    console.log(`${status} ${chalk.gray(entry.id.slice(0, 8))} ${chalk.gray(time)} ${chalk.yellow(entry.name)} ${args.length > 60 ? args.slice(0, 57) + '...' : args}${chalk.gray(exitCode)}`);
+  });
+  
+  console.log(chalk.gray('\nUse /audit show <id> for the full entry'));
+  console.log('');
+}
+
 // Helper function to display available commands
 function displayHelp() {
   console.log(chalk.cyan('\nAvailable Commands:'));
@@ -136,9 +654,23 @@ function displayHelp() {
   console.log(chalk.yellow('/temp <value>') + ' - Update the temperature setting');
   console.log(chalk.yellow('/model <name>') + ' - Change the model');
   console.log(chalk.yellow('/models') + ' - List all available models');
+  console.log(chalk.yellow('/profile [name]') + ' - List profiles, or switch to one (/profile none goes back to the configured settings)');
   console.log(chalk.yellow('/context') + ' - Manage context files and hooks for the chat session');
   console.log(chalk.yellow('/tools') + ' - List available tools');
+  console.log(chalk.yellow('/tool-output') + ' - Show the full output of tools used for the last answer');
+  console.log(chalk.yellow('/tools reload') + ' - Reload tool plugins from ~/.hikma/tools and ./.hikma/tools');
+  console.log(chalk.yellow('/tools trust') + ' - Trust the plugins in ./.hikma/tools as they are now and load them');
+  console.log(chalk.yellow('/permissions') + ' - Show tools always allowed in this project');
+  console.log(chalk.yellow('/permissions clear') + ' - Remove all saved tool permissions');
+  console.log(chalk.yellow('/undo') + ' - Undo the last file change made by a tool');
+  console.log(chalk.yellow('/commit') + ' - Draft a commit message for the staged changes and commit them');
+  console.log(chalk.yellow('/audit [filters]') + ' - Browse the log of tool calls and shell commands (tool=, type=, conversation=, since=, limit=, failed)');
+  console.log(chalk.yellow('/audit show <id>') + ' - Show a full audit log entry');
+  console.log(chalk.yellow('/pr-description [base]') + ' - Draft a pull request description for the current branch');
+  console.log(chalk.yellow('/summary') + ' - Show the summary of the earlier messages sent to the model');
+  console.log(chalk.yellow('/summary regenerate') + ' - Summarize everything but the latest exchange now');
   console.log(chalk.yellow('/usage') + ' - Display token usage statistics');
+  console.log(chalk.yellow('/edit [text]') + ' - Write a message in your editor ($VISUAL or $EDITOR), starting from the text if given');
   console.log(chalk.yellow('/exit') + ' - Exit the chat');
   console.log('');
   console.log(chalk.cyan('Special Prefixes:'));
@@ -147,6 +679,14 @@ function displayHelp() {
   console.log(chalk.yellow('gh:pr list') + ' - List pull requests');
   console.log(chalk.yellow('gh:pr view <number>') + ' - View a specific pull request');
   console.log('');
+  console.log(chalk.cyan('Entering Messages:'));
+  console.log(chalk.yellow('Alt+Enter') + ' - Start a new line (also Ctrl+J, or Shift+Enter where the terminal reports it)');
+  console.log(chalk.yellow('"""') + ' - On a line of its own, start or end a block of several lines');
+  console.log(chalk.yellow('Up/Down') + ' - Recall earlier inputs, kept in ~/.hikma/history');
+  console.log(chalk.yellow('Ctrl+R') + ' - Search earlier inputs');
+  console.log(chalk.yellow('Tab') + ' - Complete a slash command');
+  console.log(chalk.yellow('Ctrl+C') + ' - Stop the reply being generated; press it twice at an empty prompt to exit (or Ctrl+D once)');
+  console.log('');
 }
 
 // Helper function to display context help
@@ -155,6 +695,7 @@ function displayContextHelp() {
   console.log(chalk.yellow('/context help') + ' - Show this context help');
   console.log(chalk.yellow('/context show') + ' - Display current context configuration');
   console.log(chalk.yellow('/context tokens') + ' - Display token counts for context files');
+  console.log(chalk.yellow('/context budget') + ' - Show how the next prompt fits the model\'s context window');
   console.log(chalk.yellow('/context add <file1> [file2...]') + ' - Add file(s) to context');
   console.log(chalk.yellow('/context rm <file1> [file2...]') + ' - Remove file(s) from context');
   console.log(chalk.yellow('/context clear') + ' - Clear all files from current context');
@@ -194,11 +735,30 @@ function displayContextStatus(contextManager, conversationId) {
   console.log(chalk.cyan('-----------------------------\n'));
 }
 
+// Helper function to describe how tokens are counted
+function describeTokenizer(tokenizer) {
+  if (tokenizer.exact) {
+    return `Counted with the ${tokenizer.name} vocabulary`;
+  }
+  
+  const family = tokenizer.name === 'estimate' ? 'an unknown model family' : `${tokenizer.name} models`;
+  const calibration = tokenizer.calibration !== 1 ? `, calibrated ×${tokenizer.calibration.toFixed(2)}` : '';
+  const loading = tokenizer.loading ? ` until the ${tokenizer.name} vocabulary is loaded` : '';
+  return `Estimated for ${family}${calibration}${loading}`;
+}
+
 // Helper function to display token counts
 function displayContextTokens(contextManager, conversationId) {
   const tokenCounts = contextManager.getContextTokenCounts(conversationId);
   
   console.log(chalk.cyan('\n--- Context Token Counts ---'));
+  console.log(chalk.gray(describeTokenizer(tokenCounts.tokenizer)));
+  if (tokenCounts.tokenizer.error) {
+    console.log(chalk.red(`Could not load the ${tokenCounts.tokenizer.name} vocabulary: ${tokenCounts.tokenizer.error}`));
+  } else if (tokenCounts.tokenizer.vocabulary && !tokenCounts.tokenizer.loading) {
+    const { url, path: vocabularyPath } = tokenCounts.tokenizer.vocabulary;
+    console.log(chalk.gray(`For exact counts, save ${url} as ${vocabularyPath}, or set tokenizers.download to true in your config`));
+  }
   
   if (tokenCounts.files.length === 0) {
     console.log(chalk.gray('No files in context'));
@@ -217,74 +777,100 @@ function displayContextTokens(contextManager, conversationId) {
   console.log(chalk.cyan('---------------------------\n'));
 }
 
-// Main chat loop
-async function startChat() {
+// Helper function to display how the next prompt fits the context window
+async function displayContextBudget() {
+  const budget = await chatSession.getPromptBudget();
+  const modelInfo = budget.modelContextLength
+    ? `model supports ${budget.modelContextLength}`
+    : 'model length unknown';
+  
+  console.log(chalk.cyan('\n--- Context Budget ---'));
+  console.log(`Context window: ${budget.contextLength} tokens ${chalk.gray(`(${modelInfo})`)}`);
+  console.log(`Reserved for the reply: ${budget.replyTokens} tokens`);
+  console.log(`Prompt: ~${budget.used} of ${budget.budget} tokens`);
+  
+  console.log(chalk.yellow('\nIn priority order:'));
+  budget.parts.forEach(part => {
+    const mark = part.included ? chalk.green('✓') : chalk.red('✗');
+    const note = part.included ? '' : chalk.red(' (left out)');
+    console.log(`  ${mark} ${part.name}: ${chalk.gray(`~${part.tokens} tokens`)}${note}`);
+  });
+  
+  const { history } = budget;
+  console.log(`  ${chalk.green('✓')} Earlier messages: ${history.sent} ${chalk.gray(`~${history.sentTokens} tokens`)}`);
+  if (history.dropped > 0) {
+    console.log(`  ${chalk.red('✗')} Oldest messages: ${history.dropped} ${chalk.gray(`~${history.droppedTokens} tokens`)}${chalk.red(' (left out)')}`);
+  }
+  
+  if (budget.overBudget) {
+    console.log(chalk.red('\nThe required parts alone do not fit; the model may not see all of the prompt.'));
+  }
+  console.log(chalk.gray('Your next message is sent in addition to this.'));
+  console.log(chalk.cyan('----------------------\n'));
+}
+
+// Main chat loop, optionally continuing the conversation with the given ID
+async function startChat(conversationId = null) {
+  chatSession = createChatSession(config, { pinnedSettings });
+  markdownStream = config.settings.renderMarkdown && process.stdout.isTTY ? new MarkdownStreamRenderer() : null;
+  registerEventListeners();
+  
   console.log(chalk.cyan('\n=== Ollama Chat with Memory ==='));
   console.log(chalk.yellow('Type /help for available commands'));
   
   // Initialize the chat session
   await chatSession.initialize();
   
+  if (conversationId && chatSession.switchConversation(conversationId)) {
+    console.log(chalk.green(`Resumed conversation: ${chatSession.getCurrentConversation().metadata.title}`));
+  }
+  
   // Get the current conversation
   const currentConversation = chatSession.getCurrentConversation();
   
-  // Display the current model
+  // Display the current profile and model
+  if (chatSession.activeProfile) {
+    console.log(chalk.green(`Using profile: ${chatSession.activeProfile}`));
+  }
   console.log(chalk.green(`Using model: ${chatSession.settings.model || config.ollama.defaultModel}`));
   
   // Display system prompt if enabled
-  if (config.settings.includeSystemPrompt) {
-    console.log(chalk.gray(`System: ${config.settings.systemPrompt}`));
+  if (chatSession.settings.includeSystemPrompt) {
+    console.log(chalk.gray(`System: ${chatSession.settings.systemPrompt}`));
   }
   
-  // Initialize tab completer
-  const tabCompleter = new InquirerTabCompleter();
+  // Initialize the input editor, with completion for the slash commands
+  const tabCompleter = new InquirerTabCompleter({ profiles: Object.keys(chatSession.getProfiles()) });
+  tabCompleter.initialize();
+  const inputEditor = new InputEditor({ completer: tabCompleter.completer });
   
   // Main loop
   let chatActive = true;
   while (chatActive) {
-    // Use tab completer for input with command completion
-    const { userInput } = await tabCompleter.prompt({
-      message: chalk.blue('You:'),
-      prefix: ''
+    const { userInput } = await inputEditor.prompt({
+      message: chalk.blue('You:')
     });
     
+    // Ctrl+D, Ctrl+C twice on an empty prompt or the end of piped input
+    if (userInput === null) {
+      console.log(chalk.green('Goodbye!'));
+      break;
+    }
+    
     // Process GitHub commands with gh: prefix
     if (userInput.startsWith('gh:')) {
       const ghQuery = userInput.slice(3).trim();
       if (ghQuery) {
-        try {
-          console.log(chalk.gray(`Querying GitHub: ${ghQuery}`));
-          const { execSync } = await import('child_process');
-          
-          // Handle specific GitHub queries
-          if (ghQuery.startsWith('pr')) {
-            // Format: gh:pr list or gh:pr view <number>
-            const prCommand = `gh ${ghQuery}`;
-            console.log(chalk.gray(`Executing: ${prCommand}`));
-            const result = execSync(prCommand, { encoding: 'utf8' });
-            console.log(result);
-          } else {
-            // Default to passing the command to gh CLI
-            const result = execSync(`gh ${ghQuery}`, { encoding: 'utf8' });
-            console.log(result);
-          }
-        } catch (error) {
-          console.error(chalk.red(`Error executing GitHub command: ${error.message}`));
-        }
+        console.log(chalk.gray(`Querying GitHub: ${ghQuery}`));
+        await runShellCommand(`gh ${ghQuery}`, 'gh');
       }
     }
     // Process bash commands with ! prefix
     else if (userInput.startsWith('!')) {
       const bashCommand = userInput.slice(1).trim();
       if (bashCommand) {
-        try {
-          console.log(chalk.gray(`Executing: ${bashCommand}`));
-          const { execSync } = await import('child_process');
-          const result = execSync(bashCommand, { encoding: 'utf8' });
-          console.log(result);
-        } catch (error) {
-          console.error(chalk.red(`Error executing command: ${error.message}`));
-        }
+        console.log(chalk.gray(`Executing: ${bashCommand}`));
+        await runShellCommand(bashCommand, 'shell');
       }
     }
     // Process commands
@@ -316,6 +902,10 @@ async function startChat() {
             const isActive = conv.id === chatSession.activeConversationId;
             const marker = isActive ? chalk.green('*') : ' ';
             console.log(`${marker} ${chalk.yellow(conv.id)} - ${conv.metadata.title} (${conv.metadata.messageCount} messages)`);
+            const convSettings = describeConversationSettings(conv.metadata);
+            if (convSettings) {
+              console.log(chalk.gray(`    ${convSettings}`));
+            }
           });
           console.log('');
           break;
@@ -384,6 +974,22 @@ async function startChat() {
           console.log(chalk.green(`Model updated to ${args}`));
           break;
           
+        case 'profile':
+          if (!args) {
+            displayProfiles(chatSession.getProfiles(), chatSession.activeProfile);
+            break;
+          }
+          
+          const profileResult = await chatSession.useProfile(args === 'none' ? null : args);
+          if (!profileResult.success) {
+            console.log(chalk.red(profileResult.error));
+          } else if (profileResult.profile) {
+            console.log(chalk.green(`Using profile ${profileResult.profile} (model: ${chatSession.settings.model})`));
+          } else {
+            console.log(chalk.green('Profile cleared; using the configured settings'));
+          }
+          break;
+          
         case 'models':
           console.log(chalk.gray('Fetching available models...'));
           const modelResult = await chatSession.listModels();
@@ -425,6 +1031,10 @@ async function startChat() {
               displayContextTokens(contextManager, chatSession.activeConversationId);
               break;
               
+            case 'budget':
+              await displayContextBudget();
+              break;
+              
             case 'add':
               if (contextArgs.length === 0) {
                 console.log(chalk.red('Please provide file(s) to add'));
@@ -511,6 +1121,13 @@ async function startChat() {
           }
           break;
           
+        case 'edit':
+          const editedMessage = await editMessage(args);
+          if (editedMessage) {
+            await sendChatMessage(editedMessage);
+          }
+          break;
+          
         case 'exit':
           console.log(chalk.green('Goodbye!'));
           chatActive = false;
@@ -518,20 +1135,142 @@ async function startChat() {
           
         case 'tools':
           const toolManager = chatSession.getToolManager();
+          
+          if (args === 'reload') {
+            console.log(chalk.gray('Reloading tool plugins...'));
+            const reloadResult = await toolManager.loadPlugins();
+            console.log(chalk.green(`Loaded ${reloadResult.loaded.length} plugin tool(s)${reloadResult.loaded.length > 0 ? ': ' + reloadResult.loaded.join(', ') : ''}`));
+          }
+          
+          if (args === 'trust') {
+            const trustResult = await toolManager.trustProjectPlugins();
+            console.log(chalk.green(`Trusted the project plugins and loaded ${trustResult.loaded.length} plugin tool(s)${trustResult.loaded.length > 0 ? ': ' + trustResult.loaded.join(', ') : ''}`));
+          }
+          
           const tools = toolManager.getAllTools();
           
           console.log(chalk.cyan('\n--- Available Tools ---'));
           if (tools.length === 0) {
             console.log(chalk.gray('No tools available'));
           } else {
+            console.log(chalk.gray(`Tool mode: ${chatSession.settings.toolMode}`));
             tools.forEach(tool => {
-              console.log(`${chalk.yellow(tool.name)} - ${tool.description}`);
-              console.log(chalk.gray(`  Keywords: ${tool.keywords.join(', ')}`));
+              const parameterNames = Object.keys(tool.parameters.properties || {});
+              const sourceLabel = tool.source === 'plugin' ? chalk.magenta(' [plugin]') :
+                tool.source === 'mcp' ? chalk.magenta(` [mcp: ${tool.server}]`) : '';
+              const disabledLabel = toolManager.isToolEnabled(tool.name) ? '' : chalk.gray(' [disabled by profile]');
+              console.log(`${chalk.yellow(tool.name)}${sourceLabel}${disabledLabel} - ${tool.description}`);
+              if (tool.file) {
+                console.log(chalk.gray(`  File: ${tool.file}`));
+              }
+              if (parameterNames.length > 0) {
+                console.log(chalk.gray(`  Parameters: ${parameterNames.join(', ')}`));
+              }
+              if (tool.keywords.length > 0) {
+                console.log(chalk.gray(`  Keywords: ${tool.keywords.join(', ')}`));
+              }
+              if (!tool.readOnly) {
+                console.log(chalk.gray('  Requires approval'));
+              }
+            });
+          }
+          
+          const pluginErrors = toolManager.getPluginErrors();
+          if (pluginErrors.length > 0) {
+            console.log(chalk.red(`\nPlugin load errors (${pluginErrors.length}):`));
+            pluginErrors.forEach(({ file, error }) => {
+              console.log(`  ${chalk.red('✗')} ${file}: ${error}`);
+            });
+          }
+          
+          const untrustedPlugins = toolManager.getUntrustedPlugins();
+          if (untrustedPlugins.length > 0) {
+            console.log(chalk.yellow(`\nUntrusted project plugins, not loaded (${untrustedPlugins.length}):`));
+            untrustedPlugins.forEach(file => {
+              console.log(`  ${chalk.yellow('!')} ${file}`);
+            });
+            console.log(chalk.gray('  Review them, then run /tools trust to load them'));
+          }
+          
+          const mcpErrors = toolManager.getMcpErrors();
+          if (mcpErrors.length > 0) {
+            console.log(chalk.red(`\nMCP server errors (${mcpErrors.length}):`));
+            mcpErrors.forEach(({ server, error }) => {
+              console.log(`  ${chalk.red('✗')} ${server}: ${error}`);
             });
           }
           console.log('');
           break;
           
+        case 'tool-output':
+          const toolMessages = chatSession.getLastToolMessages();
+          if (toolMessages.length === 0) {
+            console.log(chalk.gray('No tools were used for the last answer'));
+            break;
+          }
+          
+          toolMessages.forEach(msg => {
+            console.log(chalk.cyan(`\n--- ${msg.metadata?.toolName || 'tool'} output ---`));
+            console.log(msg.content);
+          });
+          console.log(chalk.cyan('---------------------------\n'));
+          break;
+          
+        case 'permissions':
+          const permissions = chatSession.getToolManager().permissions;
+          
+          if (args === 'clear') {
+            const clearedCount = permissions.clearRules();
+            console.log(chalk.green(`Removed ${clearedCount} saved permission(s)`));
+            break;
+          }
+          
+          const rules = permissions.getRules();
+          console.log(chalk.cyan('\n--- Tool Permissions ---'));
+          console.log(chalk.gray(`Saved in ${permissions.configPath} for ${permissions.projectDir}`));
+          if (rules.length === 0) {
+            console.log(chalk.gray('No tools are always allowed; side-effecting tools ask before running'));
+          } else {
+            rules.forEach(rule => {
+              console.log(`  ${chalk.green('✓')} ${rule}`);
+            });
+          }
+          console.log('');
+          break;
+          
+        case 'undo':
+          const undoResult = chatSession.getToolManager().undoLastEdit();
+          if (undoResult.success) {
+            console.log(chalk.green(undoResult.description));
+          } else {
+            console.error(chalk.red(undoResult.error));
+          }
+          break;
+          
+        case 'commit':
+          await runCommitCommand();
+          break;
+          
+        case 'audit':
+          displayAuditLog(args);
+          break;
+          
+        case 'pr-description':
+          await runPullRequestDescription(args.trim());
+          break;
+          
+        case 'summary':
+          if (args === 'regenerate') {
+            console.log(chalk.gray('Summarizing the conversation...'));
+            const summaryResult = await chatSession.regenerateSummary();
+            if (!summaryResult.success) {
+              console.log(chalk.red(`Error: ${summaryResult.error}`));
+              break;
+            }
+          }
+          displaySummary();
+          break;
+          
         case 'usage':
           const tokenUsage = chatSession.getTokenUsage();
           console.log(chalk.cyan('\n--- Token Usage Statistics ---'));
@@ -546,30 +1285,17 @@ async function startChat() {
           console.log(chalk.yellow('Type /help for available commands'));
       }
     } else if (userInput.trim()) {
-      // Send message to Ollama (tool processing is handled inside ChatSession.sendMessage)
-      console.log(chalk.gray('Assistant is thinking...'));
-      
-      const response = await chatSession.sendMessage(userInput);
-      
-      if (response.success) {
-        if (response.isToolResult) {
-          console.log(chalk.green(`\nAssistant (using ${response.toolResult.toolName}):`));
-          console.log(response.toolResult.result);
-        } else {
-          console.log(chalk.green(`Assistant: ${response.message.content}`));
-        }
-      } else {
-        console.log(chalk.red(`Error: ${response.error}`));
-      }
+      await sendChatMessage(userInput);
     }
   }
   
   // Clean up
+  inputEditor.close();
   await chatSession.close();
 }
 
-// Start the chat
-startChat().catch(error => {
+// Start the chat, or run a subcommand
+program.parseAsync().catch(error => {
   console.error(chalk.red(`Fatal error: ${error.message}`));
   process.exit(1);
 });
@@ -1,5 +1,20 @@
 // src/memory/MemoryManager.js
 import { nanoid } from 'nanoid';
+import { truncateOutput } from '../utils/truncate.js';
+
+// Instructions for the model that writes the rolling summary
+const SUMMARY_PROMPT = `You keep a running summary of a conversation between a user and an assistant, so it can continue after the older messages are gone.
+Update the summary with the new messages. Keep the facts, decisions, names, file paths, code details and open questions that later messages may depend on; drop small talk.
+Write plain prose or short bullet points, at most 300 words, and reply with the summary only.`;
+
+// Longest piece of a single message passed to the summarizer
+const MAX_SUMMARY_INPUT_CHARS = 4000;
+
+// Tokens kept free for the summary the model writes (about 300 words)
+const SUMMARY_REPLY_TOKENS = 1024;
+
+// Context window assumed when none is given: Ollama's default
+const DEFAULT_CONTEXT_LENGTH = 2048;
 
 /**
  * Base class for conversation memory management
@@ -12,6 +27,14 @@ export class MemoryManager {
       ...options
     };
     
+    // Client used to write summaries (an OllamaClient); without one, conversations are not summarized
+    this.client = options.client || null;
+    // Context window to run the summarizer with, and how to count the tokens that go into it
+    this.getContextLength = options.getContextLength || (async () => DEFAULT_CONTEXT_LENGTH);
+    this.countTokens = options.countTokens || (text => Math.ceil((text || '').length / 4));
+    // Summaries being written in the background, by conversation ID (see takePendingSummary)
+    this.pendingSummaries = new Map();
+    
     this.conversations = new Map();
     this.activeConversationId = null;
   }
@@ -71,9 +94,10 @@ export class MemoryManager {
    * @param {String} role - The role of the message sender (user, assistant, system)
    * @param {String} content - The content of the message
    * @param {String} conversationId - Optional conversation ID (uses active conversation if not provided)
+   * @param {Object} metadata - Optional extra data stored with the message (e.g. token usage)
    * @returns {Object|null} - The added message or null if operation failed
    */
-  addMessage(role, content, conversationId = null) {
+  addMessage(role, content, conversationId = null, metadata = null) {
     const targetId = conversationId || this.activeConversationId;
     
     if (!targetId || !this.conversations.has(targetId)) {
@@ -88,25 +112,73 @@ export class MemoryManager {
       timestamp: new Date().toISOString()
     };
     
+    if (metadata) {
+      message.metadata = metadata;
+    }
+    
     conversation.messages.push(message);
     conversation.metadata.messageCount += 1;
     conversation.metadata.lastUpdated = new Date().toISOString();
     
-    // Check if we need to summarize based on threshold
-    if (conversation.messages.length > this.options.summarizeThreshold) {
-      this.summarizeConversation(targetId);
+    // Fold the oldest messages into the summary in the background once there are too many
+    if (this.needsSummary(targetId)) {
+      this.pendingSummaries.set(targetId, this.summarizeConversation(targetId));
     }
     
     // Enforce max messages limit if needed
     if (this.options.maxMessages > 0 && conversation.messages.length > this.options.maxMessages) {
-      // Remove oldest messages but keep the summary
-      const excessCount = conversation.messages.length - this.options.maxMessages;
-      conversation.messages.splice(0, excessCount);
+      this.trimMessages(conversation);
     }
     
     return message;
   }
   
+  /**
+   * Drop the oldest messages over the maxMessages limit. With a summarizer only messages
+   * the summary covers are dropped, so no context is lost; system messages are always kept.
+   * @param {Object} conversation - The conversation
+   * @private
+   */
+  trimMessages(conversation) {
+    let excess = conversation.messages.length - this.options.maxMessages;
+    const limit = this.client ? this.getSummaryBoundary(conversation) : conversation.messages.length;
+    
+    conversation.messages = conversation.messages.filter((message, index) => {
+      if (excess > 0 && index < limit && message.role !== 'system') {
+        excess--;
+        return false;
+      }
+      return true;
+    });
+  }
+  
+  /**
+   * Find where the messages not covered by the summary start
+   * @param {Object} conversation - The conversation
+   * @returns {Number} - Index of the first message the summary does not cover
+   * @private
+   */
+  getSummaryBoundary(conversation) {
+    const index = conversation.messages.findIndex(message => message.id === conversation.metadata.summarizedUntil);
+    return index === -1 ? 0 : index;
+  }
+  
+  /**
+   * Get the messages of a conversation that are not covered by its summary, without system messages
+   * @param {String} conversationId - Optional conversation ID (uses active conversation if not provided)
+   * @returns {Array} - The messages, oldest first
+   */
+  getUnsummarizedMessages(conversationId = null) {
+    const conversation = this.conversations.get(conversationId || this.activeConversationId);
+    if (!conversation) {
+      return [];
+    }
+    
+    return conversation.messages
+      .slice(this.getSummaryBoundary(conversation))
+      .filter(message => message.role !== 'system');
+  }
+  
   /**
    * Get all messages from a conversation
    * @param {String} conversationId - Optional conversation ID (uses active conversation if not provided)
@@ -152,12 +224,215 @@ export class MemoryManager {
   }
   
   /**
-   * Summarize a conversation (placeholder - to be implemented by subclasses)
+   * Check whether a conversation has more unsummarized messages than the summarize threshold
+   * @param {String} conversationId - The ID of the conversation
+   * @returns {Boolean} - True if the conversation should be summarized
+   */
+  needsSummary(conversationId) {
+    return Boolean(this.client) &&
+      this.options.summarizeThreshold > 0 &&
+      !this.pendingSummaries.has(conversationId) &&
+      this.getUnsummarizedMessages(conversationId).length > this.options.summarizeThreshold;
+  }
+  
+  /**
+   * Get the summary started in the background for a conversation, if any, so its result can be
+   * reported. Until it is taken, no further summary is started for the conversation.
+   * @param {String} conversationId - The ID of the conversation
+   * @returns {Promise<Object>|null} - The result of summarizeConversation, or null if none was started
+   */
+  takePendingSummary(conversationId) {
+    const pending = this.pendingSummaries.get(conversationId) || null;
+    this.pendingSummaries.delete(conversationId);
+    return pending;
+  }
+  
+  /**
+   * Fold the oldest messages of a conversation into its rolling summary: the model is given
+   * the current summary and those messages and writes the updated summary. The most recent
+   * messages (half the summarize threshold) stay as they are, starting at a user message.
+   * Messages that don't fit the context window in one request are folded in further passes,
+   * and the summary is saved after each pass.
    * @param {String} conversationId - The ID of the conversation to summarize
+   * @param {Object} options - Optional settings
+   * @param {Boolean} options.force - Summarize everything but the latest exchange now, writing the
+   *   summary again from the messages if they are all still held
+   * @returns {Promise<Object>} - Object with success, the summary and the number of messages it
+   *   now covers, or an error
+   */
+  async summarizeConversation(conversationId, options = {}) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) {
+      return { success: false, error: `Conversation not found: ${conversationId}` };
+    }
+    
+    if (!this.client) {
+      return { success: false, error: 'No model is available to write summaries' };
+    }
+    
+    // Messages dropped by trimMessages only survive in the summary, so it can only be rewritten while none are gone
+    const messages = conversation.messages.filter(message => message.role !== 'system');
+    const covered = conversation.metadata.summarizedMessages || 0;
+    const rewrite = options.force && messages.findIndex(message => message.id === conversation.metadata.summarizedUntil) >= covered;
+    
+    const pending = rewrite ? messages : this.getUnsummarizedMessages(conversationId);
+    const keep = options.force ? 2 : Math.max(Math.floor(this.options.summarizeThreshold / 2), 2);
+    
+    // Keep whole exchanges: the recent messages start at a user message where possible
+    let boundary = pending.length - keep;
+    while (boundary > 0 && pending[boundary].role !== 'user') {
+      boundary--;
+    }
+    if (boundary <= 0) {
+      boundary = Math.max(pending.length - keep, 0);
+    }
+    
+    if (boundary === 0) {
+      return { success: false, error: 'Not enough messages to summarize yet' };
+    }
+    
+    const contextLength = await this.getContextLength() || DEFAULT_CONTEXT_LENGTH;
+    let summary = rewrite ? null : conversation.summary;
+    let summarizedMessages = rewrite ? 0 : covered;
+    let start = 0;
+    
+    while (start < boundary) {
+      const batch = this.takeSummaryBatch(summary, pending.slice(start, boundary), contextLength);
+      
+      const result = await this.client.generateChatCompletion([
+        { role: 'system', content: SUMMARY_PROMPT },
+        { role: 'user', content: this.formatForSummary(summary, batch.messages, batch.maxChars) }
+      ], {
+        model: conversation.metadata.settings?.model || conversation.metadata.model,
+        temperature: 0.2,
+        num_ctx: contextLength,
+        stream: false
+      });
+      
+      if (!result.success) {
+        return { success: false, error: result.error };
+      }
+      
+      summary = (result.response || '').trim();
+      if (!summary) {
+        return { success: false, error: 'The model returned an empty summary' };
+      }
+      
+      start += batch.messages.length;
+      summarizedMessages += batch.messages.length;
+      this.updateSummary(conversationId, summary);
+      this.updateMetadata(conversationId, {
+        summarizedUntil: pending[start].id,
+        summarizedMessages
+      });
+    }
+    
+    return { success: true, summary, summarizedMessages, newlySummarized: boundary };
+  }
+  
+  /**
+   * Take the oldest messages that fit into one summarizer request along with the current summary,
+   * leaving room for the reply. At least one message is taken, shortened if it is too long alone.
+   * @param {String|null} summary - The current summary
+   * @param {Array} messages - The messages still to fold, oldest first
+   * @param {Number} contextLength - The context window in tokens
+   * @returns {Object} - Object with the messages and the character limit for each of them
+   * @private
+   */
+  takeSummaryBatch(summary, messages, contextLength) {
+    const overhead = this.countTokens(SUMMARY_PROMPT) + this.countTokens(this.formatForSummary(summary, []));
+    const budget = Math.max(contextLength - SUMMARY_REPLY_TOKENS - overhead, 256);
+    
+    let tokens = 0;
+    let count = 0;
+    while (count < messages.length) {
+      const messageTokens = this.countTokens(this.formatSummaryMessage(messages[count])) + 2;
+      if (tokens + messageTokens > budget) {
+        break;
+      }
+      tokens += messageTokens;
+      count++;
+    }
+    
+    if (count > 0) {
+      return { messages: messages.slice(0, count), maxChars: MAX_SUMMARY_INPUT_CHARS };
+    }
+    
+    // Scale the character limit by how far over budget the single message is
+    const messageTokens = this.countTokens(this.formatSummaryMessage(messages[0]));
+    return {
+      messages: messages.slice(0, 1),
+      maxChars: Math.max(Math.floor(MAX_SUMMARY_INPUT_CHARS * budget / messageTokens), 200)
+    };
+  }
+  
+  /**
+   * Format one message for the summarizer
+   * @param {Object} message - The message
+   * @param {Number} maxChars - Longest piece of the message to include
+   * @returns {String} - The message with its role
+   * @private
+   */
+  formatSummaryMessage(message, maxChars = MAX_SUMMARY_INPUT_CHARS) {
+    const label = message.role === 'tool'
+      ? `Tool (${message.metadata?.toolName || 'unknown'})`
+      : message.role.charAt(0).toUpperCase() + message.role.slice(1);
+    const interrupted = message.metadata?.interrupted ? ' (interrupted)' : '';
+    const toolCalls = message.metadata?.toolCalls
+      ? `[called ${message.metadata.toolCalls.map(call => call.function?.name).join(', ')}]`
+      : '';
+    const text = truncateOutput(message.content || '', { maxChars, maxLines: Number.MAX_SAFE_INTEGER });
+    const content = [text, toolCalls].filter(Boolean).join(' ');
+    return `${label}${interrupted}: ${content}`;
+  }
+  
+  /**
+   * Build the request for the summarizer from the current summary and the messages to add
+   * @param {String|null} summary - The current summary
+   * @param {Array} messages - The messages to fold into it
+   * @param {Number} maxChars - Longest piece of each message to include
+   * @returns {String} - The request text
+   * @private
+   */
+  formatForSummary(summary, messages, maxChars = MAX_SUMMARY_INPUT_CHARS) {
+    const transcript = messages.map(message => this.formatSummaryMessage(message, maxChars)).join('\n\n');
+    
+    return `Current summary:\n${summary || '(none yet)'}\n\nNew messages:\n\n${transcript}\n\nWrite the updated summary.`;
+  }
+  
+  /**
+   * Replace a conversation's summary
+   * @param {String} conversationId - The ID of the conversation to update
+   * @param {String} summary - The new summary
+   * @returns {Boolean} - Whether the operation was successful
+   */
+  updateSummary(conversationId, summary) {
+    if (!this.conversations.has(conversationId)) {
+      return false;
+    }
+    
+    this.conversations.get(conversationId).summary = summary;
+    return true;
+  }
+  
+  /**
+   * Update a conversation's metadata, e.g. its title
+   * @param {String} conversationId - The ID of the conversation to update
+   * @param {Object} metadata - Fields to merge into the existing metadata
+   * @returns {Boolean} - Whether the operation was successful
    */
-  summarizeConversation(conversationId) {
-    // Base implementation does nothing - subclasses should override
-    console.log(`Summarization requested for conversation ${conversationId}`);
+  updateMetadata(conversationId, metadata) {
+    if (!this.conversations.has(conversationId)) {
+      return false;
+    }
+    
+    const conversation = this.conversations.get(conversationId);
+    conversation.metadata = {
+      ...conversation.metadata,
+      ...metadata
+    };
+    
+    return true;
   }
   
   /**
@@ -40,10 +40,17 @@ export class SqliteMemoryManager extends MemoryManager {
           role TEXT,
           content TEXT,
           timestamp TEXT,
+          metadata TEXT,
           FOREIGN KEY (conversation_id) REFERENCES conversations (id)
         );
       `);
       
+      // Databases created before message metadata existed need the column added
+      const messageColumns = this.db.prepare('PRAGMA table_info(messages)').all();
+      if (!messageColumns.some(column => column.name === 'metadata')) {
+        this.db.exec('ALTER TABLE messages ADD COLUMN metadata TEXT');
+      }
+      
       // Load existing conversations
       const rows = this.db.prepare('SELECT * FROM conversations').all();
       
@@ -59,12 +66,18 @@ export class SqliteMemoryManager extends MemoryManager {
         const messages = this.db.prepare('SELECT * FROM messages WHERE conversation_id = ? ORDER BY timestamp ASC').all(row.id);
         
         for (const msg of messages) {
-          conversation.messages.push({
+          const message = {
             id: msg.id,
             role: msg.role,
             content: msg.content,
             timestamp: msg.timestamp
-          });
+          };
+          
+          if (msg.metadata) {
+            message.metadata = JSON.parse(msg.metadata);
+          }
+          
+          conversation.messages.push(message);
         }
         
         this.conversations.set(row.id, conversation);
@@ -113,10 +126,11 @@ export class SqliteMemoryManager extends MemoryManager {
    * @param {String} role - The role of the message sender (user, assistant, system)
    * @param {String} content - The content of the message
    * @param {String} conversationId - Optional conversation ID (uses active conversation if not provided)
+   * @param {Object} metadata - Optional extra data stored with the message (e.g. token usage)
    * @returns {Object|null} - The added message or null if operation failed
    */
-  addMessage(role, content, conversationId = null) {
-    const message = super.addMessage(role, content, conversationId);
+  addMessage(role, content, conversationId = null, metadata = null) {
+    const message = super.addMessage(role, content, conversationId, metadata);
     
     if (message && this.initialized) {
       try {
@@ -125,14 +139,15 @@ export class SqliteMemoryManager extends MemoryManager {
         
         // Insert message
         this.db.prepare(`
-          INSERT INTO messages (id, conversation_id, role, content, timestamp)
-          VALUES (?, ?, ?, ?, ?)
+          INSERT INTO messages (id, conversation_id, role, content, timestamp, metadata)
+          VALUES (?, ?, ?, ?, ?, ?)
         `).run(
           message.id,
           targetId,
           message.role,
           message.content,
-          message.timestamp
+          message.timestamp,
+          message.metadata ? JSON.stringify(message.metadata) : null
         );
         
         // Update conversation metadata
@@ -176,6 +191,30 @@ export class SqliteMemoryManager extends MemoryManager {
     return result;
   }
   
+  /**
+   * Update conversation metadata with SQLite persistence
+   * @param {String} conversationId - The ID of the conversation to update
+   * @param {Object} metadata - Fields to merge into the existing metadata
+   * @returns {Boolean} - Whether the operation was successful
+   */
+  updateMetadata(conversationId, metadata) {
+    const result = super.updateMetadata(conversationId, metadata);
+    
+    if (result && this.initialized) {
+      try {
+        this.db.prepare(`
+          UPDATE conversations
+          SET metadata = ?
+          WHERE id = ?
+        `).run(JSON.stringify(this.conversations.get(conversationId).metadata), conversationId);
+      } catch (error) {
+        console.error('Failed to update metadata in database:', error);
+      }
+    }
+    
+    return result;
+  }
+  
   /**
    * Update conversation summary with SQLite persistence
    * @param {String} conversationId - The ID of the conversation to update
@@ -183,14 +222,9 @@ export class SqliteMemoryManager extends MemoryManager {
    * @returns {Boolean} - Whether the operation was successful
    */
   updateSummary(conversationId, summary) {
-    if (!this.conversations.has(conversationId)) {
-      return false;
-    }
-    
-    const conversation = this.conversations.get(conversationId);
-    conversation.summary = summary;
+    const result = super.updateSummary(conversationId, summary);
     
-    if (this.initialized) {
+    if (result && this.initialized) {
       try {
         this.db.prepare(`
           UPDATE conversations
@@ -202,7 +236,7 @@ export class SqliteMemoryManager extends MemoryManager {
       }
     }
     
-    return true;
+    return result;
   }
   
   /**
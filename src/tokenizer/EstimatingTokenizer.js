@@ -0,0 +1,104 @@
+// src/tokenizer/EstimatingTokenizer.js
+
+// Splits text the way byte-level BPE tokenizers do before merging: words with their
+// leading space, runs of digits, runs of symbols, and whitespace
+const PIECE_PATTERN = /'(?:[sStTmMdD]|[rR][eE]|[vV][eE]|[lL][lL])|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}+| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu;
+
+// Scripts written without spaces, where tokens cover one or two characters
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/u;
+
+/**
+ * How a family of tokenizers splits text, measured on typical prose and code
+ * @typedef {Object} TokenizerProfile
+ * @property {Number} wordLength - Longest ASCII word usually kept as one token
+ * @property {Number} charsPerWordToken - Characters per token in longer words
+ * @property {Number} digitsPerToken - Digits per token (tokenizers that split numbers into digits use 1)
+ * @property {Number} symbolsPerToken - Punctuation and operator characters per token
+ * @property {Number} spacesPerToken - Spaces of indentation per token
+ * @property {Number} cjkTokensPerChar - Tokens per Chinese, Japanese or Korean character
+ * @property {Number} otherTokensPerChar - Tokens per character of other non-Latin scripts
+ */
+
+// Profile used when the model family is not known, erring on the high side
+export const DEFAULT_PROFILE = {
+  wordLength: 6,
+  charsPerWordToken: 4,
+  digitsPerToken: 2,
+  symbolsPerToken: 2,
+  spacesPerToken: 4,
+  cjkTokensPerChar: 1.2,
+  otherTokensPerChar: 0.6
+};
+
+/**
+ * EstimatingTokenizer estimates token counts without a vocabulary. It splits text into
+ * the pieces a BPE tokenizer would start from and estimates the tokens of each piece from
+ * the model family's profile, so code, numbers and non-Latin text are not undercounted
+ * the way a fixed tokens-per-character ratio undercounts them.
+ */
+export class EstimatingTokenizer {
+  constructor(options = {}) {
+    this.name = options.name || 'estimate';
+    this.profile = { ...DEFAULT_PROFILE, ...options.profile };
+    // Counts are estimates; TokenCounter calibrates them against Ollama's counts
+    this.exact = false;
+  }
+
+  /**
+   * Estimate the tokens of a single piece of text
+   * @param {String} piece - A word, number, symbol run or whitespace run
+   * @returns {Number} - Estimated token count
+   * @private
+   */
+  countPiece(piece) {
+    const profile = this.profile;
+    const text = piece.replace(/^ /, '');
+
+    if (!text.trim()) {
+      // Line breaks usually merge into one token; indentation is split into runs of spaces
+      return /[\r\n]/.test(piece) ? 1 : Math.ceil(piece.length / profile.spacesPerToken);
+    }
+
+    if (/^[A-Za-z']+$/.test(text)) {
+      return text.length <= profile.wordLength ? 1 : Math.ceil(text.length / profile.charsPerWordToken);
+    }
+
+    if (/^\p{N}+$/u.test(text)) {
+      return Math.ceil(text.length / profile.digitsPerToken);
+    }
+
+    if (/^[\x00-\x7f]+$/.test(text)) {
+      return Math.ceil(text.trim().length / profile.symbolsPerToken) || 1;
+    }
+
+    // Non-ASCII text is estimated per character, by script
+    let tokens = 0;
+    for (const char of text) {
+      if (CJK_PATTERN.test(char)) {
+        tokens += profile.cjkTokensPerChar;
+      } else if (char.charCodeAt(0) < 0x80) {
+        tokens += 1 / profile.charsPerWordToken;
+      } else {
+        tokens += profile.otherTokensPerChar;
+      }
+    }
+    return Math.max(1, Math.ceil(tokens));
+  }
+
+  /**
+   * Estimate the tokens of a text
+   * @param {String} text - The text
+   * @returns {Number} - Estimated token count
+   */
+  count(text) {
+    if (!text) return 0;
+
+    let tokens = 0;
+    for (const [piece] of text.matchAll(PIECE_PATTERN)) {
+      tokens += this.countPiece(piece);
+    }
+    return tokens;
+  }
+}
+
+export default EstimatingTokenizer;
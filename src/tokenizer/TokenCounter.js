@@ -0,0 +1,334 @@
+// src/tokenizer/TokenCounter.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import { EstimatingTokenizer } from './EstimatingTokenizer.js';
+import { VocabularyTokenizer } from './VocabularyTokenizer.js';
+
+// Vocabularies are downloaded, when allowed, from copies of the models that can be fetched
+// without signing in
+const HUGGING_FACE_URL = 'https://huggingface.co';
+
+// Time allowed for downloading a vocabulary (Gemma's are over 30 MB)
+const DOWNLOAD_TIMEOUT = 300000;
+
+/**
+ * Model families with their own tokenizers. `match` is tested against the model name and
+ * `profile` tunes the estimates used until the vocabulary is loaded, or when it can't be
+ * (see EstimatingTokenizer). `vocabularyUrl` is the family's tokenizer.json, read from
+ * <tokenizerDir>/<name>.json and, if downloads are turned on, downloaded there on first use.
+ * Families without one are always estimated.
+ */
+export const MODEL_FAMILIES = [
+  {
+    name: 'llama3',
+    match: /llama-?3/i,
+    vocabularyUrl: `${HUGGING_FACE_URL}/unsloth/Llama-3.2-1B-Instruct/resolve/main/tokenizer.json`,
+    profile: { wordLength: 8, digitsPerToken: 3, spacesPerToken: 8, cjkTokensPerChar: 1, otherTokensPerChar: 0.5 }
+  },
+  {
+    // Qwen 2 and later, and QwQ, share one vocabulary
+    name: 'qwen',
+    match: /qwen|qwq/i,
+    vocabularyUrl: `${HUGGING_FACE_URL}/Qwen/Qwen2.5-0.5B-Instruct/resolve/main/tokenizer.json`,
+    profile: { wordLength: 8, digitsPerToken: 1, spacesPerToken: 8, cjkTokensPerChar: 0.7, otherTokensPerChar: 0.5 }
+  },
+  {
+    // Newer Mistral models use the Tekken vocabulary instead of the SentencePiece one below
+    name: 'tekken',
+    match: /mistral-nemo|mistral-small3|devstral|ministral|magistral/i,
+    profile: { wordLength: 8, digitsPerToken: 1, spacesPerToken: 8, cjkTokensPerChar: 0.8, otherTokensPerChar: 0.5 }
+  },
+  {
+    name: 'mistral',
+    match: /mistral|mixtral|codestral/i,
+    vocabularyUrl: `${HUGGING_FACE_URL}/unsloth/mistral-7b-instruct-v0.3/resolve/main/tokenizer.json`,
+    profile: { wordLength: 6, charsPerWordToken: 3.5, digitsPerToken: 1, symbolsPerToken: 1.5, cjkTokensPerChar: 1.3, otherTokensPerChar: 0.7 }
+  },
+  {
+    name: 'gemma3',
+    match: /gemma-?3/i,
+    vocabularyUrl: `${HUGGING_FACE_URL}/unsloth/gemma-3-1b-it/resolve/main/tokenizer.json`,
+    profile: { wordLength: 8, digitsPerToken: 1, spacesPerToken: 8, cjkTokensPerChar: 0.6, otherTokensPerChar: 0.4 }
+  },
+  {
+    // Gemma and Gemma 2
+    name: 'gemma',
+    match: /gemma/i,
+    vocabularyUrl: `${HUGGING_FACE_URL}/unsloth/gemma-2-2b-it/resolve/main/tokenizer.json`,
+    profile: { wordLength: 8, digitsPerToken: 1, spacesPerToken: 8, cjkTokensPerChar: 0.6, otherTokensPerChar: 0.4 }
+  }
+];
+
+// Samples whose ratio to the estimate falls outside this range are ignored: Ollama only
+// counts the part of a prompt it has not cached, and short prompts are mostly template
+const MIN_SAMPLE_RATIO = 0.5;
+const MAX_SAMPLE_RATIO = 2;
+const MIN_SAMPLE_TOKENS = 200;
+
+// Weight of a new sample in the calibration factor
+const CALIBRATION_WEIGHT = 0.3;
+
+/**
+ * TokenCounter counts tokens with the tokenizer of the model in use. Once a family's
+ * vocabulary is loaded (see load), its counts are exact; until then, and for other models,
+ * they are estimated, and the estimates are calibrated against the prompt token counts
+ * Ollama reports.
+ */
+export class TokenCounter {
+  constructor(options = {}) {
+    this.tokenizerDir = options.tokenizerDir || path.join(os.homedir(), '.hikma', 'tokenizers');
+    this.calibrationPath = options.calibrationPath !== undefined
+      ? options.calibrationPath
+      : path.join(this.tokenizerDir, 'calibration.json');
+    // Returns the name of the model in use
+    this.getModel = options.getModel || (() => null);
+    // Whether vocabularies missing from the tokenizer directory are downloaded; off unless
+    // asked for, so counting tokens sends nothing to a third party
+    this.download = options.download === true;
+
+    this.families = [...MODEL_FAMILIES];
+    // Tokenizer per family name, created on first use
+    this.tokenizers = new Map();
+    // Vocabularies being loaded and those that could not be, by family name
+    this.loading = new Map();
+    this.errors = new Map();
+    // Factor applied to each family's estimates, kept between sessions
+    this.calibration = this.loadCalibration();
+  }
+
+  /**
+   * Add a model family, or replace a built-in one with the same name. A family may give its
+   * own `create` function returning a tokenizer with `name`, `exact` and `count(text)`.
+   * @param {Object} family - Object with name, match and optionally create, vocabularyUrl and profile
+   */
+  registerFamily(family) {
+    this.families = [family, ...this.families.filter(existing => existing.name !== family.name)];
+    this.tokenizers.delete(family.name);
+    this.errors.delete(family.name);
+  }
+
+  /**
+   * Find the family of a model by its name
+   * @param {String} model - The model name
+   * @returns {Object|null} - The family, or null if the model is not from a known family
+   */
+  getFamily(model) {
+    return (model && this.families.find(family => family.match.test(model))) || null;
+  }
+
+  /**
+   * Get the tokenizer for a model
+   * @param {String} model - The model name (default: the model in use)
+   * @returns {Object} - The tokenizer
+   */
+  getTokenizer(model = this.getModel()) {
+    const family = this.getFamily(model);
+    const name = family ? family.name : 'default';
+
+    if (!this.tokenizers.has(name)) {
+      this.tokenizers.set(name, this.createTokenizer(family));
+    }
+    return this.tokenizers.get(name);
+  }
+
+  /**
+   * Create the tokenizer for a family until its vocabulary is loaded: its own, or an estimate
+   * @param {Object} family - The family, or null for unknown models
+   * @returns {Object} - The tokenizer
+   * @private
+   */
+  createTokenizer(family) {
+    if (!family) {
+      return new EstimatingTokenizer();
+    }
+
+    if (family.create) {
+      return family.create();
+    }
+
+    return new EstimatingTokenizer({ name: family.name, profile: family.profile });
+  }
+
+  /**
+   * Get the path a family's vocabulary is read from
+   * @param {Object} family - The family
+   * @returns {String} - Path of its tokenizer.json in the tokenizer directory
+   * @private
+   */
+  getVocabularyPath(family) {
+    return path.join(this.tokenizerDir, `${family.name}.json`);
+  }
+
+  /**
+   * Load the vocabulary of a model's family from the tokenizer directory, downloading it
+   * first if it is missing and downloads are turned on. Counts are estimated until it is
+   * loaded. A vocabulary that fails to load is not tried again in this session; its error
+   * is shown by describe.
+   * @param {String} model - The model name (default: the model in use)
+   * @returns {Promise<void>} - Rejects with the error if this call's load failed
+   */
+  async load(model = this.getModel()) {
+    const family = this.getFamily(model);
+    if (!family || !family.vocabularyUrl || family.create || this.errors.has(family.name) ||
+        this.tokenizers.get(family.name)?.exact) {
+      return;
+    }
+
+    if (!this.download && !fs.existsSync(this.getVocabularyPath(family))) {
+      return;
+    }
+
+    if (!this.loading.has(family.name)) {
+      const loading = this.loadVocabulary(family)
+        .then(tokenizer => {
+          this.tokenizers.set(family.name, tokenizer);
+        }, error => {
+          this.errors.set(family.name, error.message);
+          throw error;
+        })
+        .finally(() => this.loading.delete(family.name));
+      this.loading.set(family.name, loading);
+    }
+    return this.loading.get(family.name);
+  }
+
+  /**
+   * Read a family's vocabulary from the tokenizer directory, downloading it if it is missing
+   * @param {Object} family - The family
+   * @returns {Promise<VocabularyTokenizer>} - The tokenizer
+   * @private
+   */
+  async loadVocabulary(family) {
+    const vocabularyPath = this.getVocabularyPath(family);
+
+    if (!fs.existsSync(vocabularyPath)) {
+      await this.downloadVocabulary(family.vocabularyUrl, vocabularyPath);
+    }
+
+    return VocabularyTokenizer.load(family.name, vocabularyPath);
+  }
+
+  /**
+   * Download a vocabulary. It is written under a temporary name first, so an interrupted
+   * download is not mistaken for a vocabulary.
+   * @param {String} url - The tokenizer.json URL
+   * @param {String} vocabularyPath - Where to save it
+   * @private
+   */
+  async downloadVocabulary(url, vocabularyPath) {
+    let response;
+    try {
+      response = await axios.get(url, { responseType: 'arraybuffer', timeout: DOWNLOAD_TIMEOUT });
+    } catch (error) {
+      throw new Error(`Could not download ${url}: ${error.message}`);
+    }
+
+    const partialPath = `${vocabularyPath}.download`;
+    await fs.promises.mkdir(path.dirname(vocabularyPath), { recursive: true });
+    await fs.promises.writeFile(partialPath, Buffer.from(response.data));
+    await fs.promises.rename(partialPath, vocabularyPath);
+  }
+
+  /**
+   * Count the tokens of a text
+   * @param {String} text - The text
+   * @param {String} model - The model name (default: the model in use)
+   * @returns {Number} - Token count, exact or calibrated estimate
+   */
+  count(text, model = this.getModel()) {
+    if (!text) return 0;
+
+    const tokenizer = this.getTokenizer(model);
+    try {
+      const tokens = tokenizer.count(text);
+      return tokenizer.exact ? tokens : Math.ceil(tokens * (this.calibration[tokenizer.name] || 1));
+    } catch (error) {
+      // A vocabulary that fails to count falls back to estimates for the rest of the session
+      this.errors.set(tokenizer.name, error.message);
+      this.tokenizers.delete(tokenizer.name);
+      return this.count(text, model);
+    }
+  }
+
+  /**
+   * Adjust the estimates for a model with the number of prompt tokens Ollama evaluated
+   * @param {Number} estimatedTokens - The count estimated for the prompt
+   * @param {Number} actualTokens - The prompt_eval_count Ollama reported
+   * @param {String} model - The model name (default: the model in use)
+   */
+  calibrate(estimatedTokens, actualTokens, model = this.getModel()) {
+    const tokenizer = this.getTokenizer(model);
+    if (tokenizer.exact || !actualTokens || estimatedTokens < MIN_SAMPLE_TOKENS) {
+      return;
+    }
+
+    const ratio = actualTokens / estimatedTokens;
+    if (ratio < MIN_SAMPLE_RATIO || ratio > MAX_SAMPLE_RATIO) {
+      return;
+    }
+
+    const factor = this.calibration[tokenizer.name] || 1;
+    this.calibration[tokenizer.name] = factor * (1 + CALIBRATION_WEIGHT * (ratio - 1));
+    this.saveCalibration();
+  }
+
+  /**
+   * Describe how tokens are counted for a model
+   * @param {String} model - The model name (default: the model in use)
+   * @returns {Object} - Object with the tokenizer name, whether counts are exact, the calibration
+   *   factor of estimates, whether the vocabulary is being loaded, the error that prevented
+   *   loading it, if any, and, while counts are estimated, the vocabulary's URL and path
+   */
+  describe(model = this.getModel()) {
+    const tokenizer = this.getTokenizer(model);
+    const family = this.getFamily(model);
+    const hasVocabulary = !tokenizer.exact && family && family.vocabularyUrl && !family.create;
+
+    return {
+      name: tokenizer.name,
+      exact: tokenizer.exact,
+      calibration: tokenizer.exact ? null : this.calibration[tokenizer.name] || 1,
+      loading: this.loading.has(tokenizer.name),
+      error: this.errors.get(tokenizer.name) || null,
+      vocabulary: hasVocabulary ? { url: family.vocabularyUrl, path: this.getVocabularyPath(family) } : null
+    };
+  }
+
+  /**
+   * Load the calibration factors saved by earlier sessions
+   * @returns {Object} - Factor per tokenizer name
+   * @private
+   */
+  loadCalibration() {
+    if (!this.calibrationPath) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.calibrationPath, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Save the calibration factors
+   * @private
+   */
+  saveCalibration() {
+    if (!this.calibrationPath) {
+      return;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.calibrationPath), { recursive: true });
+      fs.writeFileSync(this.calibrationPath, JSON.stringify(this.calibration, null, 2));
+    } catch (error) {
+      // Calibration is only kept for this session
+    }
+  }
+}
+
+export default TokenCounter;
@@ -0,0 +1,70 @@
+// src/tokenizer/VocabularyTokenizer.js
+import fs from 'fs';
+
+// Texts kept in the count cache before it is cleared
+const MAX_CACHED_TEXTS = 1000;
+
+/**
+ * VocabularyTokenizer counts tokens exactly with a model's tokenizer.json, the format Hugging
+ * Face publishes with each model. It covers byte-level BPE vocabularies (Llama 3, Qwen) and
+ * SentencePiece vocabularies (Mistral, Gemma), with the model's normalizer and pre-tokenizer.
+ */
+export class VocabularyTokenizer {
+  /**
+   * @param {Object} options - Tokenizer options
+   * @param {String} options.name - Name shown in token counts, usually the model family
+   * @param {Object} options.tokenizer - Tokenizer with an encode(text, options) method
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'vocabulary';
+    this.tokenizer = options.tokenizer;
+    this.exact = true;
+
+    // Messages are counted again for every prompt, so counts are kept by text
+    this.cache = new Map();
+  }
+
+  /**
+   * Load a tokenizer from a tokenizer.json file
+   * @param {String} name - Name shown in token counts
+   * @param {String} vocabularyPath - Path of the tokenizer.json file
+   * @returns {Promise<VocabularyTokenizer>} - The tokenizer
+   */
+  static async load(name, vocabularyPath) {
+    let tokenizerJSON;
+    try {
+      tokenizerJSON = JSON.parse(await fs.promises.readFile(vocabularyPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read ${vocabularyPath}: ${error.message}`);
+    }
+    if (!tokenizerJSON.model) {
+      throw new Error(`No tokenizer model found in ${vocabularyPath}`);
+    }
+
+    const { TokenizerLoader } = await import('@lenml/tokenizers');
+    const tokenizer = TokenizerLoader.fromPreTrained({ tokenizerJSON, tokenizerConfig: {} });
+    return new VocabularyTokenizer({ name, tokenizer });
+  }
+
+  /**
+   * Count the tokens of a text
+   * @param {String} text - The text
+   * @returns {Number} - Token count, without the tokens the chat template adds
+   */
+  count(text) {
+    if (!text) return 0;
+
+    let tokens = this.cache.get(text);
+    if (tokens === undefined) {
+      tokens = this.tokenizer.encode(text, { add_special_tokens: false }).length;
+
+      if (this.cache.size >= MAX_CACHED_TEXTS) {
+        this.cache.clear();
+      }
+      this.cache.set(text, tokens);
+    }
+    return tokens;
+  }
+}
+
+export default VocabularyTokenizer;
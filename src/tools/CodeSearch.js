@@ -0,0 +1,218 @@
+// src/tools/CodeSearch.js
+import path from 'path';
+
+/**
+ * CodeSearch finds matching lines in the project with the fastest searcher available:
+ * ripgrep, then git grep, then plain grep. ripgrep and git grep skip files ignored by
+ * .gitignore; grep only skips .git and node_modules.
+ */
+export class CodeSearch {
+  constructor(options = {}) {
+    this.executor = options.executor;
+    this.maxResults = options.maxResults || 50;
+    this.maxSnippetLength = options.maxSnippetLength || 200;
+    this.searchers = options.searchers || ['rg', 'git', 'grep'];
+  }
+
+  /**
+   * Resolve the path to search, keeping it inside the working directory unless the
+   * execution policy allows leaving it
+   * @param {String} target - File or directory, relative to the working directory
+   * @returns {String} - The path relative to the working directory
+   * @private
+   */
+  resolveTarget(target = '.') {
+    const workingDirectory = this.executor.workingDirectory;
+    const resolved = path.resolve(workingDirectory, target);
+    const relative = path.relative(workingDirectory, resolved);
+
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      if (this.executor.policy.confineToWorkingDirectory) {
+        throw new Error(`${target} is outside the working directory ${workingDirectory}`);
+      }
+      return resolved;
+    }
+
+    return relative || '.';
+  }
+
+  /**
+   * Read a path or text from ripgrep's JSON output, which gives base64 bytes for data that isn't valid UTF-8
+   * @param {Object} data - Object with text or bytes
+   * @returns {String} - The text
+   * @private
+   */
+  decodeRgData(data = {}) {
+    if (typeof data.text === 'string') {
+      return data.text;
+    }
+    return data.bytes ? Buffer.from(data.bytes, 'base64').toString('utf8') : '';
+  }
+
+  /**
+   * Build the command line for a searcher
+   * @param {String} searcher - rg, git or grep
+   * @param {Object} query - The search query
+   * @returns {Array} - Program and arguments
+   * @private
+   */
+  buildCommand(searcher, query) {
+    const { pattern, literal, ignoreCase, glob } = query;
+    const target = query.path || '.';
+
+    if (searcher === 'rg') {
+      const args = ['--json', '--no-messages'];
+      if (literal) args.push('--fixed-strings');
+      if (ignoreCase) args.push('--ignore-case');
+      if (glob) args.push('--glob', glob);
+      return ['rg', [...args, '-e', pattern, '--', target]];
+    }
+
+    if (searcher === 'git') {
+      // --untracked with --exclude-standard also finds new files that aren't ignored;
+      // -z ends file names with NUL so names containing colons parse correctly
+      const args = ['grep', '-n', '-z', '-I', '--no-color', '--untracked', '--exclude-standard'];
+      args.push(literal ? '-F' : '-E');
+      if (ignoreCase) args.push('-i');
+      // Wildcards in git pathspecs also match across directories, so dir/*.js finds nested files
+      const pathspec = glob ? path.join(target, glob) : target;
+      return ['git', [...args, '-e', pattern, '--', pathspec]];
+    }
+
+    // -H prints the file name even when the target is a single file; --null ends it with NUL
+    const args = ['-r', '-n', '-H', '--null', '-I', '-s', '--exclude-dir=.git', '--exclude-dir=node_modules'];
+    args.push(literal ? '-F' : '-E');
+    if (ignoreCase) args.push('-i');
+    if (glob) args.push(`--include=${glob}`);
+    return ['grep', [...args, '-e', pattern, '--', target]];
+  }
+
+  /**
+   * Parse searcher output into matches
+   * @param {String} searcher - rg, git or grep
+   * @param {String} output - The searcher's stdout
+   * @returns {Array} - Array of { file, line, text } matches
+   * @private
+   */
+  parseOutput(searcher, output) {
+    const matches = [];
+
+    for (const line of output.split('\n')) {
+      if (!line) continue;
+
+      if (searcher === 'rg') {
+        try {
+          const event = JSON.parse(line);
+          if (event.type === 'match') {
+            matches.push({
+              file: this.decodeRgData(event.data.path),
+              line: event.data.line_number,
+              text: this.decodeRgData(event.data.lines).replace(/\r?\n$/, '')
+            });
+          }
+        } catch (error) {
+          // Partial line from truncated output
+        }
+        continue;
+      }
+
+      // git grep -z gives file\0line\0text, grep --null gives file\0line:text
+      const separator = line.indexOf('\0');
+      if (separator === -1) continue;
+
+      const match = line.slice(separator + 1).match(/^(\d+)[:\0](.*)$/);
+      if (match) {
+        matches.push({ file: line.slice(0, separator), line: Number(match[1]), text: match[2] });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Search the project
+   * @param {Object} query - The search query
+   * @param {String} query.pattern - Regular expression, or literal text when query.literal is set
+   * @param {Boolean} query.literal - Treat the pattern as plain text
+   * @param {Boolean} query.ignoreCase - Match case-insensitively
+   * @param {String} query.path - File or directory to search, relative to the working directory
+   * @param {String} query.glob - Only search files matching this glob (e.g. *.js)
+   * @param {Number} query.maxResults - Maximum number of matches to return
+   * @param {Object} options - Optional settings
+   * @param {AbortSignal} options.signal - Aborting the signal stops the search
+   * @returns {Promise<Object>} - Object with success status, matches, total count and the searcher used
+   */
+  async search(query = {}, options = {}) {
+    if (!query.pattern) {
+      return { success: false, error: 'No search pattern specified' };
+    }
+
+    let target;
+    try {
+      target = this.resolveTarget(query.path);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+
+    const maxResults = query.maxResults || this.maxResults;
+    let lastError = null;
+
+    for (const searcher of this.searchers) {
+      const [file, args] = this.buildCommand(searcher, { ...query, path: target });
+      const result = await this.executor.runFile(file, args, { signal: options.signal });
+      if (result.cancelled) {
+        return { success: false, error: 'Search cancelled' };
+      }
+
+      // Exit code 1 means no matches for all three searchers
+      if (result.exitCode === 1 && !result.stderr.trim()) {
+        return { success: true, searcher, matches: [], total: 0, truncated: false };
+      }
+
+      // No output means the searcher is missing, this isn't a git repository or the pattern is bad.
+      // Unreadable files also cause an error exit, but the other matches are still usable.
+      if (!result.success && !result.stdout) {
+        lastError = result.error;
+        continue;
+      }
+
+      const allMatches = this.parseOutput(searcher, result.stdout);
+      const matches = allMatches.slice(0, maxResults).map(match => ({
+        file: path.normalize(match.file),
+        line: match.line,
+        text: match.text.length > this.maxSnippetLength
+          ? match.text.slice(0, this.maxSnippetLength) + '…'
+          : match.text
+      }));
+
+      return {
+        success: true,
+        searcher,
+        matches,
+        total: allMatches.length,
+        truncated: allMatches.length > maxResults || Boolean(result.truncated)
+      };
+    }
+
+    return { success: false, error: `Search failed: ${lastError}` };
+  }
+
+  /**
+   * Format search results as text for the model
+   * @param {Object} results - Results from search()
+   * @returns {String} - One match per line
+   */
+  formatResults(results) {
+    if (results.matches.length === 0) {
+      return 'No matches found';
+    }
+
+    const lines = results.matches.map(match => `${match.file}:${match.line}: ${match.text.trim()}`);
+    if (results.truncated) {
+      lines.push(`[Showing the first ${results.matches.length} matches; narrow the search with path or glob]`);
+    }
+    return lines.join('\n');
+  }
+}
+
+export default CodeSearch;
@@ -0,0 +1,335 @@
+// src/tools/CommandExecutor.js
+import { spawn } from 'child_process';
+import { StringDecoder } from 'string_decoder';
+import path from 'path';
+
+/**
+ * Default execution policy. Denied patterns are regular expressions matched
+ * case-insensitively against the whole command line. They catch common spellings of
+ * destructive commands, not every way a shell can run them, so they are a safety net
+ * rather than a sandbox; commands the model runs still need approval.
+ */
+export const DEFAULT_EXECUTION_POLICY = {
+  allowedCommands: [], // Program names that may run; empty allows any program
+  deniedPatterns: [
+    // rm with both a recursive and a force flag, combined (-rf, -fr) or not (-r -f, --recursive --force)
+    '\\brm\\b(?=[^;&|\\n]*\\s(?:-[a-z]*r|--recursive\\b))(?=[^;&|\\n]*\\s(?:-[a-z]*f|--force\\b))',
+    '\\bsudo\\b',
+    '\\bmkfs',
+    '\\bdd\\s+if=',
+    ':\\(\\)\\s*\\{', // fork bomb
+    '\\b(shutdown|reboot|halt|poweroff)\\b',
+    '>\\s*/dev/(sd|nvme|disk)'
+  ],
+  timeout: 30000, // Milliseconds before the command is killed
+  maxOutputBytes: 1024 * 1024, // Output beyond this is discarded
+  workingDirectory: null, // Defaults to the directory hikma was started in
+  confineToWorkingDirectory: true, // Reject commands that run outside the working directory
+  stripEnv: ['*_TOKEN', '*_SECRET', '*_KEY', '*PASSWORD*', 'AWS_*'] // Variables hidden from commands
+};
+
+/**
+ * CommandExecutor runs shell commands under a configurable policy. Every command
+ * hikma runs on the user's behalf (the ! prefix, gh: commands and the execute_command
+ * tool) goes through this class so limits are enforced in one place.
+ */
+export class CommandExecutor {
+  constructor(policy = {}) {
+    this.policy = {
+      ...DEFAULT_EXECUTION_POLICY,
+      ...policy
+    };
+    this.workingDirectory = path.resolve(this.policy.workingDirectory || process.cwd());
+    this.deniedPatterns = this.policy.deniedPatterns.map(pattern => new RegExp(pattern, 'i'));
+  }
+
+  /**
+   * Split a command line into the individual commands it runs
+   * @param {String} command - The command line
+   * @returns {Array} - Array of command segments
+   * @private
+   */
+  splitCommands(command) {
+    return command
+      .split(/&&|\|\||[;|\n]|(?<![<>&])&(?![>&])/)
+      .map(segment => segment.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the program name a command segment runs, skipping leading VAR=value assignments
+   * @param {String} segment - A single command
+   * @returns {String} - The program name
+   * @private
+   */
+  getProgram(segment) {
+    const tokens = segment.split(/\s+/).filter(token => !/^[A-Za-z_][A-Za-z0-9_]*=/.test(token));
+    return tokens.length > 0 ? path.basename(tokens[0].replace(/^['"]|['"]$/g, '')) : '';
+  }
+
+  /**
+   * Check whether a directory is inside the working directory
+   * @param {String} directory - Absolute directory path
+   * @returns {Boolean} - True if the directory is inside the working directory
+   * @private
+   */
+  isInsideWorkingDirectory(directory) {
+    const relative = path.relative(this.workingDirectory, directory);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  }
+
+  /**
+   * Check a command against the policy
+   * @param {String} command - The command line
+   * @param {String} cwd - The directory the command would run in
+   * @returns {Object} - Object with allowed flag and, when blocked, the reason
+   */
+  checkCommand(command, cwd = this.workingDirectory) {
+    const deniedPattern = this.deniedPatterns.find(pattern => pattern.test(command));
+    if (deniedPattern) {
+      return { allowed: false, reason: `matches denied pattern /${deniedPattern.source}/` };
+    }
+
+    const allowedCommands = this.policy.allowedCommands || [];
+    if (allowedCommands.length > 0) {
+      // Substitutions could run programs the allowlist can't see
+      if (/\$\(|`|<\(/.test(command)) {
+        return { allowed: false, reason: 'command substitution is not allowed when an allowlist is configured' };
+      }
+
+      for (const segment of this.splitCommands(command)) {
+        const program = this.getProgram(segment);
+        if (program && !allowedCommands.includes(program)) {
+          return { allowed: false, reason: `"${program}" is not in the allowed commands (${allowedCommands.join(', ')})` };
+        }
+      }
+    }
+
+    if (this.policy.confineToWorkingDirectory) {
+      if (!this.isInsideWorkingDirectory(cwd)) {
+        return { allowed: false, reason: `${cwd} is outside the working directory ${this.workingDirectory}` };
+      }
+
+      for (const segment of this.splitCommands(command)) {
+        // Only directory changes are checked; arguments such as absolute paths are not
+        const cdMatch = segment.match(/^(cd|pushd)(?:\s+(.+))?$/);
+        if (cdMatch) {
+          const target = (cdMatch[2] || '~').replace(/^['"]|['"]$/g, '');
+          const resolved = target.startsWith('~') ? null : path.resolve(cwd, target);
+          if (!resolved || !this.isInsideWorkingDirectory(resolved)) {
+            return { allowed: false, reason: `${cdMatch[1]} to ${target} leaves the working directory ${this.workingDirectory}` };
+          }
+        }
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Build the environment for child processes with sensitive variables removed
+   * @returns {Object} - Environment variables
+   * @private
+   */
+  buildEnv() {
+    const patterns = (this.policy.stripEnv || []).map(pattern =>
+      new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i')
+    );
+
+    const env = {};
+    for (const [name, value] of Object.entries(process.env)) {
+      if (!patterns.some(pattern => pattern.test(name))) {
+        env[name] = value;
+      }
+    }
+    return env;
+  }
+
+  /**
+   * Run a shell command after checking it against the policy
+   * @param {String} command - The command line
+   * @param {Object} options - Optional settings
+   * @param {String} options.cwd - Directory to run in, relative to the working directory
+   * @param {AbortSignal} options.signal - Aborting the signal kills the command
+   * @returns {Promise<Object>} - Result with success, stdout, stderr, exitCode and, when blocked, error
+   */
+  async run(command, options = {}) {
+    const cwd = path.resolve(this.workingDirectory, options.cwd || '.');
+    const check = this.checkCommand(command, cwd);
+
+    if (!check.allowed) {
+      return {
+        success: false,
+        blocked: true,
+        error: `Command blocked: ${check.reason}`,
+        stdout: '',
+        stderr: '',
+        exitCode: null
+      };
+    }
+
+    return this.spawnProcess(command, [], { cwd, shell: true, signal: options.signal });
+  }
+
+  /**
+   * Run a program directly without a shell. Used for commands hikma builds itself
+   * (e.g. git invocations), so only the timeout, output and environment limits apply.
+   * @param {String} file - The program to run
+   * @param {Array} args - Program arguments
+   * @param {Object} options - Optional settings
+   * @param {String} options.cwd - Directory to run in, relative to the working directory
+   * @param {AbortSignal} options.signal - Aborting the signal kills the program
+   * @returns {Promise<Object>} - Result with success, stdout, stderr and exitCode
+   */
+  async runFile(file, args = [], options = {}) {
+    const cwd = path.resolve(this.workingDirectory, options.cwd || '.');
+    return this.spawnProcess(file, args, { cwd, shell: false, signal: options.signal });
+  }
+
+  /**
+   * Spawn a process and collect its output within the policy limits
+   * @param {String} file - The program or command line
+   * @param {Array} args - Program arguments
+   * @param {Object} options - Spawn options (cwd, shell, signal)
+   * @returns {Promise<Object>} - The process result
+   * @private
+   */
+  spawnProcess(file, args, options) {
+    return new Promise((resolve) => {
+      const startTime = Date.now();
+      let stdout = '';
+      let stderr = '';
+      let outputBytes = 0;
+      let truncated = false;
+      let timedOut = false;
+      let cancelled = false;
+
+      if (options.signal?.aborted) {
+        resolve({
+          success: false,
+          cancelled: true,
+          error: 'Command cancelled',
+          stdout,
+          stderr,
+          exitCode: null,
+          duration: 0
+        });
+        return;
+      }
+
+      const child = spawn(file, args, {
+        cwd: options.cwd,
+        shell: options.shell,
+        env: this.buildEnv(),
+        stdio: ['ignore', 'pipe', 'pipe'],
+        // Own process group so a timeout kills everything the command started
+        detached: process.platform !== 'win32'
+      });
+
+      const kill = () => {
+        try {
+          if (process.platform !== 'win32') {
+            process.kill(-child.pid, 'SIGKILL');
+          } else {
+            child.kill('SIGKILL');
+          }
+        } catch (error) {
+          // The process already exited
+        }
+      };
+
+      const timer = this.policy.timeout > 0 ? setTimeout(() => {
+        timedOut = true;
+        kill();
+      }, this.policy.timeout) : null;
+
+      const onAbort = () => {
+        cancelled = true;
+        kill();
+      };
+      options.signal?.addEventListener('abort', onAbort, { once: true });
+
+      const cleanup = () => {
+        if (timer) clearTimeout(timer);
+        options.signal?.removeEventListener('abort', onAbort);
+      };
+
+      // Decoders keep a character split across chunks until its last byte arrives
+      const decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') };
+
+      const collect = (stream) => (data) => {
+        if (outputBytes >= this.policy.maxOutputBytes) {
+          truncated = true;
+          return;
+        }
+
+        const remaining = this.policy.maxOutputBytes - outputBytes;
+        if (data.length > remaining) {
+          data = data.subarray(0, remaining);
+          truncated = true;
+        }
+        outputBytes += data.length;
+
+        if (stream === 'stdout') {
+          stdout += decoders.stdout.write(data);
+        } else {
+          stderr += decoders.stderr.write(data);
+        }
+      };
+
+      const flush = () => {
+        stdout += decoders.stdout.end();
+        stderr += decoders.stderr.end();
+      };
+
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+
+      child.on('error', (error) => {
+        cleanup();
+        flush();
+        resolve({
+          success: false,
+          error: error.code === 'ENOENT' ? `Command not found: ${file}` : error.message,
+          stdout,
+          stderr,
+          exitCode: null,
+          duration: Date.now() - startTime
+        });
+      });
+
+      child.on('close', (exitCode, signal) => {
+        cleanup();
+        flush();
+
+        if (truncated) {
+          stdout += `\n[Output truncated at ${this.policy.maxOutputBytes} bytes]`;
+        }
+
+        const result = {
+          success: exitCode === 0 && !timedOut && !cancelled,
+          stdout,
+          stderr,
+          exitCode,
+          signal,
+          timedOut,
+          cancelled,
+          truncated,
+          duration: Date.now() - startTime
+        };
+
+        if (cancelled) {
+          result.error = 'Command cancelled';
+        } else if (timedOut) {
+          result.error = `Command timed out after ${this.policy.timeout}ms`;
+        } else if (exitCode !== 0) {
+          result.error = stderr.trim() || `Command failed with exit code ${exitCode}`;
+        }
+
+        resolve(result);
+      });
+    });
+  }
+}
+
+export default CommandExecutor;
@@ -0,0 +1,290 @@
+// src/tools/FileEditor.js
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { createTwoFilesPatch, applyPatch } from 'diff';
+
+// Symbolic links followed while resolving a path that doesn't exist yet
+const MAX_SYMLINKS = 40;
+
+/**
+ * Resolve a path to where it really is on disk, following symbolic links. The part of the
+ * path that doesn't exist yet, such as a file about to be written, is resolved from its
+ * nearest existing parent; a link whose target is missing is followed to that target.
+ * @param {String} target - Absolute path
+ * @param {Number} links - Links followed so far
+ * @returns {String} - The real absolute path
+ */
+function realPath(target, links = 0) {
+  try {
+    return fs.realpathSync(target);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  const parent = path.dirname(target);
+  if (parent === target) {
+    return target;
+  }
+  const realParent = realPath(parent, links);
+
+  let isLink = false;
+  try {
+    isLink = fs.lstatSync(target).isSymbolicLink();
+  } catch (error) {
+    // Doesn't exist yet
+  }
+
+  if (isLink) {
+    if (links >= MAX_SYMLINKS) {
+      throw new Error(`Too many symbolic links in ${target}`);
+    }
+    return realPath(path.resolve(realParent, fs.readlinkSync(target)), links + 1);
+  }
+
+  return path.join(realParent, path.basename(target));
+}
+
+/**
+ * FileEditor plans and applies workspace changes for the file tools. A change is
+ * planned first so its diff can be previewed, then applied with a backup of the
+ * previous content so it can be undone later in the session.
+ */
+export class FileEditor {
+  constructor(options = {}) {
+    this.workingDirectory = path.resolve(options.workingDirectory || process.cwd());
+    this.confineToWorkingDirectory = options.confineToWorkingDirectory !== false;
+    this.backupDir = options.backupDir || path.join(os.homedir(), '.hikma', 'backups');
+    this.history = []; // Applied changes, most recent last
+  }
+
+  /**
+   * Resolve a path relative to the working directory. When confined, the path must stay in
+   * the working directory after symbolic links are followed, so a link in the project can't
+   * lead outside it.
+   * @param {String} filePath - The requested path
+   * @returns {String} - The absolute path
+   * @throws {Error} - If the path is outside the working directory
+   */
+  resolvePath(filePath) {
+    if (!filePath) {
+      throw new Error('No path specified');
+    }
+
+    const resolved = path.resolve(this.workingDirectory, filePath);
+    if (!this.confineToWorkingDirectory) {
+      return resolved;
+    }
+
+    const relative = path.relative(realPath(this.workingDirectory), realPath(resolved));
+    if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+      throw new Error(`${filePath} is outside the working directory ${this.workingDirectory}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Build a unified diff between two versions of a file
+   * @param {String} filePath - Absolute file path
+   * @param {String} before - Previous content
+   * @param {String} after - New content
+   * @returns {String} - The unified diff
+   */
+  createDiff(filePath, before, after) {
+    const relativePath = path.relative(this.workingDirectory, filePath);
+    return createTwoFilesPatch(`a/${relativePath}`, `b/${relativePath}`, before, after, '', '', { context: 3 });
+  }
+
+  /**
+   * Plan writing a whole file
+   * @param {String} filePath - The file to write
+   * @param {String} content - The new content
+   * @returns {Object} - The planned change with its diff preview
+   */
+  planWrite(filePath, content) {
+    const target = this.resolvePath(filePath);
+    const exists = fs.existsSync(target);
+
+    if (exists && !fs.statSync(target).isFile()) {
+      throw new Error(`${filePath} is not a file`);
+    }
+
+    const before = exists ? fs.readFileSync(target, 'utf8') : '';
+    return {
+      type: 'file',
+      path: target,
+      before: exists ? before : null,
+      after: content,
+      preview: this.createDiff(target, before, content)
+    };
+  }
+
+  /**
+   * Plan editing a file with a search/replace or a unified diff
+   * @param {String} filePath - The file to edit
+   * @param {Object} edit - The edit to make
+   * @param {String} edit.search - Exact text to find
+   * @param {String} edit.replace - Replacement text
+   * @param {Boolean} edit.replaceAll - Replace every occurrence instead of requiring a unique match
+   * @param {String} edit.patch - Unified diff hunks to apply instead of search/replace
+   * @returns {Object} - The planned change with its diff preview
+   */
+  planEdit(filePath, edit = {}) {
+    const target = this.resolvePath(filePath);
+
+    if (!fs.existsSync(target) || !fs.statSync(target).isFile()) {
+      throw new Error(`${filePath} does not exist`);
+    }
+
+    const before = fs.readFileSync(target, 'utf8');
+    let after;
+
+    if (edit.patch) {
+      after = applyPatch(before, edit.patch);
+      if (after === false) {
+        throw new Error(`The patch does not apply cleanly to ${filePath}`);
+      }
+    } else if (typeof edit.search === 'string' && edit.search.length > 0) {
+      const occurrences = before.split(edit.search).length - 1;
+
+      if (occurrences === 0) {
+        throw new Error(`The search text was not found in ${filePath}`);
+      }
+      if (occurrences > 1 && !edit.replaceAll) {
+        throw new Error(`The search text occurs ${occurrences} times in ${filePath}; include more context or set replace_all`);
+      }
+
+      // split/join avoids special replacement patterns like $& in the new text
+      after = edit.replaceAll
+        ? before.split(edit.search).join(edit.replace ?? '')
+        : before.replace(edit.search, () => edit.replace ?? '');
+    } else {
+      throw new Error('Provide either search and replace, or a patch');
+    }
+
+    if (after === before) {
+      throw new Error(`The edit does not change ${filePath}`);
+    }
+
+    return {
+      type: 'file',
+      path: target,
+      before,
+      after,
+      preview: this.createDiff(target, before, after)
+    };
+  }
+
+  /**
+   * Plan creating a directory (and any missing parents)
+   * @param {String} dirPath - The directory to create
+   * @returns {Object} - The planned change with a preview
+   */
+  planCreateDirectory(dirPath) {
+    const target = this.resolvePath(dirPath);
+
+    if (fs.existsSync(target)) {
+      throw new Error(`${dirPath} already exists`);
+    }
+
+    // Remember which directories are new so undo removes only those
+    const created = [];
+    let current = target;
+    while (!fs.existsSync(current)) {
+      created.unshift(current);
+      current = path.dirname(current);
+    }
+
+    return {
+      type: 'directory',
+      path: target,
+      created,
+      preview: created.map(dir => `+ ${path.relative(this.workingDirectory, dir)}/`).join('\n')
+    };
+  }
+
+  /**
+   * Apply a planned change, backing up the previous content
+   * @param {Object} plan - A plan from planWrite, planEdit or planCreateDirectory
+   * @returns {Object} - Description of the applied change
+   */
+  apply(plan) {
+    const entry = { type: plan.type, path: plan.path, timestamp: new Date().toISOString() };
+
+    if (plan.type === 'directory') {
+      fs.mkdirSync(plan.path, { recursive: true });
+      entry.created = plan.created;
+    } else {
+      if (plan.before !== null) {
+        fs.mkdirSync(this.backupDir, { recursive: true });
+        entry.backupPath = path.join(this.backupDir, `${Date.now()}-${path.basename(plan.path)}`);
+        fs.writeFileSync(entry.backupPath, plan.before);
+      } else {
+        // Parent directories created for a new file are removed again on undo
+        entry.created = [];
+        let current = path.dirname(plan.path);
+        while (!fs.existsSync(current)) {
+          entry.created.unshift(current);
+          current = path.dirname(current);
+        }
+        fs.mkdirSync(path.dirname(plan.path), { recursive: true });
+      }
+      fs.writeFileSync(plan.path, plan.after);
+    }
+
+    this.history.push(entry);
+    return entry;
+  }
+
+  /**
+   * Undo the most recent applied change
+   * @returns {Object} - Object with success status and a description of what was undone
+   */
+  undo() {
+    const entry = this.history.pop();
+
+    if (!entry) {
+      return { success: false, error: 'No edits to undo in this session' };
+    }
+
+    const relativePath = path.relative(this.workingDirectory, entry.path);
+
+    try {
+      if (entry.backupPath) {
+        fs.writeFileSync(entry.path, fs.readFileSync(entry.backupPath));
+        return { success: true, description: `Restored ${relativePath} from ${entry.backupPath}` };
+      }
+
+      if (entry.type === 'file' && fs.existsSync(entry.path)) {
+        fs.unlinkSync(entry.path);
+      }
+
+      // Remove created directories deepest first, keeping any that now hold other files
+      for (const dir of [...(entry.created || [])].reverse()) {
+        if (fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+          fs.rmdirSync(dir);
+        }
+      }
+
+      return {
+        success: true,
+        description: entry.type === 'directory' ? `Removed directory ${relativePath}` : `Deleted new file ${relativePath}`
+      };
+    } catch (error) {
+      return { success: false, error: `Error undoing change to ${relativePath}: ${error.message}` };
+    }
+  }
+
+  /**
+   * Get the changes applied in this session
+   * @returns {Array} - Array of applied changes, most recent last
+   */
+  getHistory() {
+    return [...this.history];
+  }
+}
+
+export default FileEditor;
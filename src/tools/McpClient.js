@@ -0,0 +1,235 @@
+// src/tools/McpClient.js
+import { spawn } from 'child_process';
+import readline from 'readline';
+
+const PROTOCOL_VERSION = '2024-11-05';
+
+/**
+ * Client for a Model Context Protocol server running as a local process.
+ * Messages are JSON-RPC 2.0, one JSON object per line over the server's stdin/stdout.
+ */
+export class McpClient {
+  /**
+   * @param {String} name - The server name from the configuration
+   * @param {Object} config - Server configuration
+   * @param {String} config.command - The program that starts the server
+   * @param {Array} config.args - Program arguments
+   * @param {Object} config.env - Extra environment variables
+   * @param {String} config.cwd - Directory to start the server in
+   * @param {Number} config.timeout - Milliseconds to wait for a response (default 60000)
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+    this.timeout = config.timeout || 60000;
+    this.process = null;
+    this.nextId = 1;
+    this.pending = new Map(); // request id -> { resolve, reject, timer }
+    this.stderr = '';
+    this.serverInfo = null;
+  }
+
+  /**
+   * Start the server process and perform the initialize handshake
+   * @returns {Promise<Object>} - The server's initialize result
+   */
+  async connect() {
+    if (!this.config.command) {
+      throw new Error(`MCP server ${this.name} has no command configured`);
+    }
+
+    this.process = spawn(this.config.command, this.config.args || [], {
+      cwd: this.config.cwd || process.cwd(),
+      env: { ...process.env, ...this.config.env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    // Writes to a server that already exited fail with EPIPE; the exit handler reports it
+    this.process.stdin.on('error', () => {});
+
+    // Keep the tail of stderr for error messages
+    this.process.stderr.on('data', (data) => {
+      this.stderr = (this.stderr + data.toString('utf8')).slice(-2000);
+    });
+
+    this.process.on('error', (error) => {
+      const message = error.code === 'ENOENT'
+        ? `MCP server ${this.name}: command not found: ${this.config.command}`
+        : `MCP server ${this.name}: ${error.message}`;
+      this.rejectAll(new Error(message));
+    });
+
+    this.process.on('exit', (code) => {
+      const details = this.stderr.trim() ? `: ${this.stderr.trim().split('\n').pop()}` : '';
+      this.rejectAll(new Error(`MCP server ${this.name} exited with code ${code}${details}`));
+      this.process = null;
+    });
+
+    const lines = readline.createInterface({ input: this.process.stdout });
+    lines.on('line', (line) => this.handleLine(line));
+
+    const result = await this.request('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'hikma', version: '1.0.0' }
+    });
+
+    this.serverInfo = result.serverInfo || null;
+    this.notify('notifications/initialized');
+    return result;
+  }
+
+  /**
+   * Handle a line of output from the server
+   * @param {String} line - One JSON-RPC message
+   * @private
+   */
+  handleLine(line) {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      // Servers sometimes log to stdout; ignore anything that isn't JSON
+      return;
+    }
+
+    // Response to one of our requests
+    if (message.id !== undefined && this.pending.has(message.id) && !message.method) {
+      const { resolve, reject, timer } = this.pending.get(message.id);
+      clearTimeout(timer);
+      this.pending.delete(message.id);
+
+      if (message.error) {
+        reject(new Error(`MCP server ${this.name}: ${message.error.message || 'request failed'}`));
+      } else {
+        resolve(message.result || {});
+      }
+      return;
+    }
+
+    // Request from the server; only ping is supported
+    if (message.id !== undefined && message.method) {
+      if (message.method === 'ping') {
+        this.send({ jsonrpc: '2.0', id: message.id, result: {} });
+      } else {
+        this.send({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+      }
+    }
+  }
+
+  /**
+   * Write a message to the server
+   * @param {Object} message - The JSON-RPC message
+   * @private
+   */
+  send(message) {
+    if (!this.process) {
+      throw new Error(`MCP server ${this.name} is not running`);
+    }
+    this.process.stdin.write(JSON.stringify(message) + '\n');
+  }
+
+  /**
+   * Send a request and wait for its response
+   * @param {String} method - The JSON-RPC method
+   * @param {Object} params - Method parameters
+   * @returns {Promise<Object>} - The result of the request
+   */
+  request(method, params = {}) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`MCP server ${this.name} did not answer ${method} within ${this.timeout}ms`));
+      }, this.timeout);
+
+      this.pending.set(id, { resolve, reject, timer });
+
+      try {
+        this.send({ jsonrpc: '2.0', id, method, params });
+      } catch (error) {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Send a notification (no response expected)
+   * @param {String} method - The JSON-RPC method
+   * @param {Object} params - Method parameters
+   */
+  notify(method, params = {}) {
+    this.send({ jsonrpc: '2.0', method, params });
+  }
+
+  /**
+   * Reject every request waiting for a response
+   * @param {Error} error - The error to reject with
+   * @private
+   */
+  rejectAll(error) {
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * List the tools the server provides, following pagination
+   * @returns {Promise<Array>} - Array of tool descriptions (name, description, inputSchema)
+   */
+  async listTools() {
+    const tools = [];
+    let cursor;
+
+    do {
+      const result = await this.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(result.tools || []));
+      cursor = result.nextCursor;
+    } while (cursor);
+
+    return tools;
+  }
+
+  /**
+   * Call a tool on the server
+   * @param {String} name - The tool name as reported by the server
+   * @param {Object} args - Tool arguments
+   * @returns {Promise<Object>} - Object with success and the text result or error
+   */
+  async callTool(name, args = {}) {
+    const result = await this.request('tools/call', { name, arguments: args });
+
+    // Text content is returned as-is; other content types are summarized
+    const text = (result.content || []).map(item => {
+      if (item.type === 'text') return item.text;
+      if (item.type === 'resource') return item.resource?.text || `[resource: ${item.resource?.uri}]`;
+      return `[${item.type} content]`;
+    }).join('\n');
+
+    if (result.isError) {
+      return { success: false, error: text || `Tool ${name} failed` };
+    }
+
+    return { success: true, result: text };
+  }
+
+  /**
+   * Stop the server process
+   */
+  close() {
+    this.rejectAll(new Error(`MCP server ${this.name} was closed`));
+    if (this.process) {
+      this.process.stdin.end();
+      this.process.kill();
+      this.process = null;
+    }
+  }
+}
+
+export default McpClient;
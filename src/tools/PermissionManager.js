@@ -0,0 +1,149 @@
+// src/tools/PermissionManager.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * PermissionManager decides whether a tool may run. Read-only tools always run;
+ * side-effecting tools need approval from the user, either interactively or through
+ * an allow rule saved for the current project.
+ *
+ * Rules are kept in the user's home directory, keyed by the absolute project path, so a
+ * repository cannot ship rules that approve tools before the user has been asked.
+ */
+export class PermissionManager {
+  constructor(options = {}) {
+    this.projectDir = path.resolve(options.projectDir || process.cwd());
+    this.configPath = options.configPath || path.join(os.homedir(), '.hikma', 'permissions.json');
+    this.promptHandler = options.promptHandler || null;
+    this.allowRules = new Set();
+    this.loadRules();
+  }
+
+  /**
+   * Read the rules file
+   * @returns {Object} - Map of absolute project path to { allow: [rule keys] }
+   * @private
+   */
+  readProjects() {
+    if (!fs.existsSync(this.configPath)) {
+      return {};
+    }
+
+    const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+    return config.projects && typeof config.projects === 'object' ? config.projects : {};
+  }
+
+  /**
+   * Load saved allow rules for the project
+   */
+  loadRules() {
+    try {
+      const rules = this.readProjects()[this.projectDir]?.allow;
+      this.allowRules = new Set(Array.isArray(rules) ? rules : []);
+    } catch (error) {
+      console.error(`Error loading permissions from ${this.configPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save allow rules for the project, keeping the rules of other projects
+   */
+  saveRules() {
+    try {
+      const projects = this.readProjects();
+      if (this.allowRules.size > 0) {
+        projects[this.projectDir] = { allow: this.getRules() };
+      } else {
+        delete projects[this.projectDir];
+      }
+
+      fs.mkdirSync(path.dirname(this.configPath), { recursive: true });
+      fs.writeFileSync(this.configPath, JSON.stringify({ projects }, null, 2) + '\n');
+    } catch (error) {
+      console.error(`Error saving permissions to ${this.configPath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set the function used to ask the user for approval
+   * @param {Function} handler - Async function called with { tool, args, ruleKey, preview } that
+   *   resolves to 'once', 'always' or 'deny'
+   */
+  setPromptHandler(handler) {
+    this.promptHandler = handler;
+  }
+
+  /**
+   * Get the rule key an approval for this call would be saved under
+   * @param {Object} tool - The tool definition
+   * @param {Object} args - The tool arguments
+   * @returns {String} - The rule key
+   */
+  getRuleKey(tool, args = {}) {
+    return tool.permissionKey ? tool.permissionKey(args) : tool.name;
+  }
+
+  /**
+   * Check whether a tool call may run, asking the user if needed
+   * @param {Object} tool - The tool definition
+   * @param {Object} args - The tool arguments
+   * @param {String} preview - Optional preview of the change (e.g. a diff) shown to the user
+   * @returns {Promise<Object>} - Object with allowed flag and, when denied, the reason
+   */
+  async check(tool, args = {}, preview = null) {
+    if (tool.readOnly) {
+      return { allowed: true };
+    }
+
+    const ruleKey = this.getRuleKey(tool, args);
+    if (this.allowRules.has(ruleKey)) {
+      return { allowed: true };
+    }
+
+    if (!this.promptHandler) {
+      return {
+        allowed: false,
+        reason: `Tool ${tool.name} requires approval, but no interactive prompt is available`
+      };
+    }
+
+    const decision = await this.promptHandler({ tool, args, ruleKey, preview });
+
+    if (decision === 'always') {
+      this.allowRules.add(ruleKey);
+      this.saveRules();
+      return { allowed: true };
+    }
+
+    if (decision === 'once') {
+      return { allowed: true };
+    }
+
+    return {
+      allowed: false,
+      reason: `Permission denied for tool ${tool.name}`
+    };
+  }
+
+  /**
+   * Get all saved allow rules
+   * @returns {Array} - Array of rule keys
+   */
+  getRules() {
+    return Array.from(this.allowRules);
+  }
+
+  /**
+   * Remove all saved allow rules for the project
+   * @returns {Number} - The number of rules removed
+   */
+  clearRules() {
+    const count = this.allowRules.size;
+    this.allowRules.clear();
+    this.saveRules();
+    return count;
+  }
+}
+
+export default PermissionManager;
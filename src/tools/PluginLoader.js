@@ -0,0 +1,209 @@
+// src/tools/PluginLoader.js
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { pathToFileURL } from 'url';
+
+/**
+ * PluginLoader discovers tool modules in the user and project tool directories.
+ *
+ * A plugin is an ES module whose default export (or named exports) describe one tool:
+ *   export default {
+ *     name: 'word_count',
+ *     description: 'Count words in a file',
+ *     parameters: { type: 'object', properties: { path: { type: 'string' } }, required: ['path'] },
+ *     readOnly: true,
+ *     keywords: ['word count'],
+ *     async handler(args, context) { return { success: true, result: '42' }; }
+ *   };
+ *
+ * Project plugins come with the code that is checked out, so they are only imported once the
+ * user has trusted them. Trust is kept in the user's home directory, keyed by the absolute
+ * project path, and records a hash of each file: a plugin that is added or changed later has
+ * to be trusted again. A plugin's own readOnly flag is only honoured when the user config
+ * allows it through allowReadOnly.
+ */
+export class PluginLoader {
+  constructor(options = {}) {
+    this.userDirectory = options.userDirectory || path.join(os.homedir(), '.hikma', 'tools');
+    this.projectDir = path.resolve(options.projectDir || process.cwd());
+    this.projectDirectory = options.projectDirectory || path.join(this.projectDir, '.hikma', 'tools');
+    this.trustPath = options.trustPath || path.join(os.homedir(), '.hikma', 'trusted-plugins.json');
+    // true for every plugin, or an array of the plugin names that may skip approval
+    this.allowReadOnly = options.allowReadOnly || false;
+  }
+
+  /**
+   * Find plugin files in a tool directory
+   * @param {String} directory - The directory to search
+   * @returns {Array} - Array of absolute file paths
+   */
+  findPluginFiles(directory) {
+    if (!fs.existsSync(directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(directory, { withFileTypes: true })
+      .filter(entry => entry.isFile() && /\.(m?js)$/.test(entry.name))
+      .map(entry => path.join(directory, entry.name))
+      .sort();
+  }
+
+  /**
+   * Hash a plugin file so a trusted file that changes is no longer trusted
+   * @param {String} file - Absolute file path
+   * @returns {String} - Hex SHA-256 of the file content
+   * @private
+   */
+  hashFile(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+  }
+
+  /**
+   * Read the trust file
+   * @returns {Object} - Map of absolute project path to { files: { file name: hash } }
+   * @private
+   */
+  readTrust() {
+    if (!fs.existsSync(this.trustPath)) {
+      return {};
+    }
+
+    const trust = JSON.parse(fs.readFileSync(this.trustPath, 'utf8'));
+    return trust.projects && typeof trust.projects === 'object' ? trust.projects : {};
+  }
+
+  /**
+   * Split the project plugin files into trusted and untrusted ones
+   * @returns {Object} - Object with the trusted and untrusted file paths
+   */
+  checkProjectPlugins() {
+    const trusted = [];
+    const untrusted = [];
+    let hashes = {};
+
+    // Started from the home directory, the project plugins are the user plugins
+    if (path.resolve(this.projectDirectory) === path.resolve(this.userDirectory)) {
+      return { trusted, untrusted };
+    }
+
+    try {
+      hashes = this.readTrust()[this.projectDir]?.files || {};
+    } catch (error) {
+      console.error(`Error reading trusted plugins from ${this.trustPath}: ${error.message}`);
+    }
+
+    for (const file of this.findPluginFiles(this.projectDirectory)) {
+      if (hashes[path.basename(file)] === this.hashFile(file)) {
+        trusted.push(file);
+      } else {
+        untrusted.push(file);
+      }
+    }
+
+    return { trusted, untrusted };
+  }
+
+  /**
+   * Trust the project's current plugin files, replacing any earlier trust for the project
+   * @returns {Array} - The trusted file paths
+   */
+  trustProjectPlugins() {
+    const files = this.findPluginFiles(this.projectDirectory);
+    const projects = this.readTrust();
+
+    if (files.length > 0) {
+      projects[this.projectDir] = {
+        files: Object.fromEntries(files.map(file => [path.basename(file), this.hashFile(file)]))
+      };
+    } else {
+      delete projects[this.projectDir];
+    }
+
+    fs.mkdirSync(path.dirname(this.trustPath), { recursive: true });
+    fs.writeFileSync(this.trustPath, JSON.stringify({ projects }, null, 2) + '\n');
+    return files;
+  }
+
+  /**
+   * Check whether the user config lets a plugin run without approval
+   * @param {String} name - The plugin tool name
+   * @returns {Boolean} - True if the plugin's readOnly flag is honoured
+   */
+  isReadOnlyAllowed(name) {
+    return this.allowReadOnly === true ||
+      (Array.isArray(this.allowReadOnly) && this.allowReadOnly.includes(name));
+  }
+
+  /**
+   * Check that a plugin definition has the required shape
+   * @param {Object} definition - The exported tool definition
+   * @returns {String|null} - A description of the problem, or null if the definition is valid
+   */
+  validate(definition) {
+    if (!definition || typeof definition !== 'object') {
+      return 'module does not export a tool definition';
+    }
+
+    if (typeof definition.name !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(definition.name)) {
+      return 'name must be a string of letters, digits, underscores or dashes';
+    }
+
+    if (typeof definition.description !== 'string' || !definition.description.trim()) {
+      return 'description must be a non-empty string';
+    }
+
+    if (!definition.parameters || typeof definition.parameters !== 'object' || definition.parameters.type !== 'object') {
+      return 'parameters must be a JSON schema with type "object"';
+    }
+
+    if (typeof definition.handler !== 'function') {
+      return 'handler must be a function';
+    }
+
+    if (definition.keywords !== undefined &&
+        (!Array.isArray(definition.keywords) || !definition.keywords.every(keyword => typeof keyword === 'string'))) {
+      return 'keywords must be an array of strings';
+    }
+
+    if (definition.readOnly !== undefined && typeof definition.readOnly !== 'boolean') {
+      return 'readOnly must be a boolean';
+    }
+
+    return null;
+  }
+
+  /**
+   * Import and validate the user plugins and the trusted project plugins
+   * @returns {Promise<Object>} - Object with the valid plugins, the load errors and the
+   *   project plugin files that were skipped because they are not trusted
+   */
+  async load() {
+    const plugins = [];
+    const errors = [];
+    const { trusted, untrusted } = this.checkProjectPlugins();
+
+    // Project plugins come last so they replace user plugins with the same name
+    for (const file of [...this.findPluginFiles(this.userDirectory), ...trusted]) {
+      try {
+        // The query string bypasses the module cache so reloads pick up edits
+        const module = await import(`${pathToFileURL(file).href}?t=${Date.now()}`);
+        const definition = module.default || module;
+        const problem = this.validate(definition);
+
+        if (problem) {
+          errors.push({ file, error: problem });
+        } else {
+          plugins.push({ file, definition });
+        }
+      } catch (error) {
+        errors.push({ file, error: error.message });
+      }
+    }
+
+    return { plugins, errors, untrusted };
+  }
+}
+
+export default PluginLoader;
@@ -2,35 +2,239 @@
  * ToolManager handles the registration and execution of tools
  * that can be used by the agent to perform actions based on user prompts
  */
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import fs from 'fs';
 import path from 'path';
-
-const execAsync = promisify(exec);
+import { PermissionManager } from './PermissionManager.js';
+import { CommandExecutor } from './CommandExecutor.js';
+import { PluginLoader } from './PluginLoader.js';
+import { McpClient } from './McpClient.js';
+import { FileEditor } from './FileEditor.js';
+import { CodeSearch } from './CodeSearch.js';
+import { truncateOutput } from '../utils/truncate.js';
 
 export class ToolManager {
-  constructor() {
+  constructor(options = {}) {
     this.tools = new Map();
+    this.permissions = options.permissionManager || new PermissionManager(options.permissions);
+    this.executor = options.executor || new CommandExecutor(options.execution);
+    this.fileEditor = new FileEditor({
+      workingDirectory: this.executor.workingDirectory,
+      confineToWorkingDirectory: this.executor.policy.confineToWorkingDirectory,
+      ...options.fileEditor
+    });
+    this.codeSearch = new CodeSearch({ executor: this.executor, ...options.search });
+    this.contextManager = options.contextManager || null;
+    this.pluginLoader = new PluginLoader(options.plugins);
+    this.pluginErrors = [];
+    this.untrustedPlugins = [];
+    this.mcpServers = options.mcpServers || {};
+    this.mcpClients = new Map(); // server name -> McpClient
+    this.mcpErrors = [];
+    // Limits for a single tool call; per-tool timeouts come from options.timeouts or registerTool
+    this.timeout = options.timeout ?? 120000;
+    this.timeouts = options.timeouts || {};
+    this.maxOutputLines = options.maxOutputLines || 400;
+    this.maxOutputChars = options.maxOutputChars || 20000;
+    this.runningTools = new Set(); // AbortControllers of tool calls in progress
+    this.enabledTools = null; // Name patterns of the tools that may be used; null enables all
+    this.auditLog = options.auditLog || null;
     this.registerDefaultTools();
   }
 
   /**
    * Register a new tool
    * @param {String} name - The name of the tool
-   * @param {Function} handler - The function that handles the tool execution
-   * @param {Array} keywords - Keywords that trigger this tool
+   * @param {Function} handler - The function that handles the tool execution, called with (args, context)
+   * @param {Array} keywords - Keywords that trigger this tool when keyword routing is used
    * @param {String} description - Description of what the tool does
+   * @param {Object} options - Optional settings
+   * @param {Object} options.parameters - JSON schema describing the tool arguments
+   * @param {Boolean} options.readOnly - Whether the tool only reads state (side-effecting tools need approval)
+   * @param {Function} options.parsePrompt - Extracts arguments from the prompt when keyword routing is used
+   * @param {Function} options.permissionKey - Builds the allow-rule key for a call (defaults to the tool name)
+   * @param {Function} options.prepare - Plans the call before approval; returns { preview } which is shown to
+   *   the user and passed to the handler as context.prepared
+   * @param {Number} options.timeout - Milliseconds before the call is cancelled (0 disables the limit)
+   * @param {String} options.source - Where the tool comes from ('builtin', 'plugin' or 'mcp')
+   * @param {String} options.file - The module a plugin tool was loaded from
+   * @param {String} options.server - The MCP server an MCP tool belongs to
    */
-  registerTool(name, handler, keywords, description) {
+  registerTool(name, handler, keywords, description, options = {}) {
     this.tools.set(name, {
       name,
       handler,
       keywords,
-      description
+      description,
+      parameters: options.parameters || { type: 'object', properties: {}, required: [] },
+      readOnly: options.readOnly || false,
+      parsePrompt: options.parsePrompt || null,
+      permissionKey: options.permissionKey || null,
+      prepare: options.prepare || null,
+      timeout: options.timeout ?? null,
+      source: options.source || 'builtin',
+      file: options.file || null,
+      server: options.server || null
     });
   }
 
+  /**
+   * Remove a tool
+   * @param {String} name - The name of the tool
+   * @returns {Boolean} - Whether a tool was removed
+   */
+  unregisterTool(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * Load (or reload) tool plugins from the user and project tool directories
+   * @returns {Promise<Object>} - Object with the loaded tool names, the load errors and the
+   *   project plugin files skipped because they are not trusted
+   */
+  async loadPlugins() {
+    // Drop previously loaded plugins so removed or renamed files disappear on reload
+    for (const tool of this.getAllTools()) {
+      if (tool.source === 'plugin') {
+        this.unregisterTool(tool.name);
+      }
+    }
+    
+    const { plugins, errors, untrusted } = await this.pluginLoader.load();
+    const loaded = [];
+    
+    for (const { file, definition } of plugins) {
+      const existing = this.tools.get(definition.name);
+      if (existing && existing.source !== 'plugin') {
+        errors.push({ file, error: `name ${definition.name} conflicts with a built-in tool` });
+        continue;
+      }
+      
+      this.registerTool(
+        definition.name,
+        definition.handler,
+        definition.keywords || [],
+        definition.description,
+        {
+          parameters: definition.parameters,
+          readOnly: definition.readOnly === true && this.pluginLoader.isReadOnlyAllowed(definition.name),
+          timeout: definition.timeout,
+          source: 'plugin',
+          file
+        }
+      );
+      loaded.push(definition.name);
+    }
+    
+    this.pluginErrors = errors;
+    this.untrustedPlugins = untrusted;
+    return { loaded, errors, untrusted };
+  }
+
+  /**
+   * Trust the project's current plugin files and load them
+   * @returns {Promise<Object>} - The result of loadPlugins
+   */
+  async trustProjectPlugins() {
+    this.pluginLoader.trustProjectPlugins();
+    return this.loadPlugins();
+  }
+
+  /**
+   * Get the errors from the last plugin load
+   * @returns {Array} - Array of objects with file and error
+   */
+  getPluginErrors() {
+    return [...this.pluginErrors];
+  }
+
+  /**
+   * Get the project plugin files the last plugin load skipped because they are not trusted
+   * @returns {Array} - Array of absolute file paths
+   */
+  getUntrustedPlugins() {
+    return [...this.untrustedPlugins];
+  }
+
+  /**
+   * Start the configured MCP servers and register their tools
+   * @returns {Promise<Object>} - Object with the connected server names and the connection errors
+   */
+  async connectMcpServers() {
+    const entries = Object.entries(this.mcpServers).filter(([, config]) => !config.disabled);
+    
+    const results = await Promise.all(entries.map(async ([serverName, config]) => {
+      const client = new McpClient(serverName, config);
+      try {
+        await client.connect();
+        const tools = await client.listTools();
+        return { serverName, client, tools };
+      } catch (error) {
+        client.close();
+        return { serverName, error: error.message };
+      }
+    }));
+    
+    const errors = [];
+    for (const { serverName, client, tools, error } of results) {
+      if (error) {
+        errors.push({ server: serverName, error });
+        continue;
+      }
+      
+      this.mcpClients.set(serverName, client);
+      tools.forEach(tool => this.registerMcpTool(serverName, client, tool));
+    }
+    
+    this.mcpErrors = errors;
+    return { connected: Array.from(this.mcpClients.keys()), errors };
+  }
+
+  /**
+   * Register a tool provided by an MCP server. Its name is prefixed with the server
+   * name (server__tool) so tools from different servers can't collide.
+   * @param {String} serverName - The configured server name
+   * @param {McpClient} client - The connected client
+   * @param {Object} tool - The tool description from tools/list
+   * @private
+   */
+  registerMcpTool(serverName, client, tool) {
+    const name = `${serverName}__${tool.name}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+    
+    this.registerTool(
+      name,
+      async (args) => {
+        const result = await client.callTool(tool.name, args);
+        return { ...result, toolName: name };
+      },
+      [],
+      tool.description || `${tool.name} from MCP server ${serverName}`,
+      {
+        parameters: tool.inputSchema || { type: 'object', properties: {}, required: [] },
+        readOnly: tool.annotations?.readOnlyHint === true,
+        source: 'mcp',
+        server: serverName
+      }
+    );
+  }
+
+  /**
+   * Get the errors from the last MCP connection attempt
+   * @returns {Array} - Array of objects with server and error
+   */
+  getMcpErrors() {
+    return [...this.mcpErrors];
+  }
+
+  /**
+   * Stop MCP servers and release resources
+   */
+  close() {
+    for (const client of this.mcpClients.values()) {
+      client.close();
+    }
+    this.mcpClients.clear();
+  }
+
   /**
    * Register default tools
    */
@@ -40,42 +244,410 @@ export class ToolManager {
       'git_pull_request',
       this.handleGitPullRequest.bind(this),
       ['pull request', 'pr', 'github pr', 'check pr', 'show pr'],
-      'Check current branch pull request details'
+      'Check current branch pull request details',
+      { readOnly: true }
     );
 
     this.registerTool(
       'git_diff',
       this.handleGitDiff.bind(this),
-      ['diff', 'changes', 'git diff', 'check changes', 'show changes', 'what changed', 'changes made', 'modifications', 'git status changes', 'working directory changes'],
-      'Show git diff of current changes'
+      ['diff', 'changes', 'git diff', 'check changes', 'show changes', 'what changed', 'changes made', 'modifications', 'git status changes', 'working directory changes', 'staged changes', 'staged diff'],
+      'Show git diff of uncommitted changes, or of the staged changes',
+      {
+        readOnly: true,
+        parameters: {
+          type: 'object',
+          properties: {
+            staged: {
+              type: 'boolean',
+              description: 'Show changes staged for the next commit instead of unstaged changes'
+            },
+            path: {
+              type: 'string',
+              description: 'Only show changes to this file or directory'
+            }
+          },
+          required: []
+        },
+        parsePrompt: (prompt) => ({
+          staged: /\b(staged|cached|index)\b/i.test(prompt),
+          ...this.parsePathFromPrompt(prompt)
+        })
+      }
+    );
+
+    this.registerTool(
+      'git_branch_diff',
+      this.handleGitBranchDiff.bind(this),
+      ['branch diff', 'compare branch', 'compare with', 'diff against', 'changes on this branch', 'branch changes', 'compared to main', 'compared to master'],
+      'Show what the current branch changes compared to a base branch (defaults to main or master)',
+      {
+        readOnly: true,
+        parameters: {
+          type: 'object',
+          properties: {
+            base: {
+              type: 'string',
+              description: 'Base branch to compare against, e.g. main or origin/main'
+            },
+            stat: {
+              type: 'boolean',
+              description: 'Only list changed files with line counts instead of the full diff'
+            },
+            path: {
+              type: 'string',
+              description: 'Only show changes to this file or directory'
+            }
+          },
+          required: []
+        },
+        parsePrompt: (prompt) => {
+          const match = prompt.match(/(?:against|compared? (?:to|with)|vs\.?|versus|with)\s+([\w./-]+)/i);
+          return {
+            ...(match ? { base: match[1] } : {}),
+            stat: /\b(stat|summary|files changed)\b/i.test(prompt)
+          };
+        }
+      }
+    );
+
+    this.registerTool(
+      'git_log',
+      this.handleGitLog.bind(this),
+      ['git log', 'commit history', 'recent commits', 'last commits', 'commit log', 'history of', 'commits by'],
+      'Show commit history, optionally filtered by path, author, revision range or date',
+      {
+        readOnly: true,
+        parameters: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Only show commits that touched this file or directory'
+            },
+            author: {
+              type: 'string',
+              description: 'Only show commits whose author matches this name or email'
+            },
+            range: {
+              type: 'string',
+              description: 'Revision range, e.g. main..HEAD or v1.0..v2.0'
+            },
+            since: {
+              type: 'string',
+              description: 'Only show commits after this date, e.g. "2 weeks ago" or 2024-01-31'
+            },
+            grep: {
+              type: 'string',
+              description: 'Only show commits whose message matches this pattern'
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum number of commits to show (default 20)'
+            }
+          },
+          required: []
+        },
+        parsePrompt: (prompt) => {
+          const args = { ...this.parsePathFromPrompt(prompt) };
+          const author = prompt.match(/\bby\s+([\w.@-]+)/i);
+          const range = prompt.match(/\b([\w./-]*\.\.\.?[\w./-]*)/);
+          const limit = prompt.match(/\b(?:last|latest|recent)\s+(\d+)/i);
+          if (author) args.author = author[1];
+          if (range) args.range = range[1];
+          if (limit) args.limit = Number(limit[1]);
+          return args;
+        }
+      }
+    );
+
+    this.registerTool(
+      'git_show',
+      this.handleGitShow.bind(this),
+      ['git show', 'show commit', 'commit details', 'what did commit', 'what changed in commit'],
+      'Show the message and changes of a commit',
+      {
+        readOnly: true,
+        parameters: {
+          type: 'object',
+          properties: {
+            commit: {
+              type: 'string',
+              description: 'Commit SHA, tag or revision such as HEAD~1 (defaults to HEAD)'
+            },
+            stat: {
+              type: 'boolean',
+              description: 'Only list changed files with line counts instead of the full diff'
+            },
+            path: {
+              type: 'string',
+              description: 'Only show changes to this file or directory'
+            }
+          },
+          required: []
+        },
+        parsePrompt: (prompt) => {
+          const match = prompt.match(/\b([0-9a-f]{7,40}|HEAD(?:[~^]\d*)*)\b/);
+          return {
+            ...(match ? { commit: match[1] } : {}),
+            stat: /\b(stat|summary|files changed)\b/i.test(prompt)
+          };
+        }
+      }
+    );
+
+    this.registerTool(
+      'git_blame',
+      this.handleGitBlame.bind(this),
+      ['git blame', 'blame', 'who wrote', 'who changed line', 'who last changed'],
+      'Show who last changed each line of a file, optionally for a line range',
+      {
+        readOnly: true,
+        parameters: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Path of the file, relative to the working directory'
+            },
+            start_line: {
+              type: 'number',
+              description: 'First line to show'
+            },
+            end_line: {
+              type: 'number',
+              description: 'Last line to show (defaults to start_line)'
+            }
+          },
+          required: ['path']
+        },
+        parsePrompt: (prompt) => {
+          const file = prompt.match(/\bblame\s+([\w./-]*[./][\w./-]*\w)/i);
+          const args = file ? { path: file[1] } : { ...this.parsePathFromPrompt(prompt) };
+          const lines = prompt.match(/(?::|\blines?\s+)(\d+)(?:\s*(?:-|to|,)\s*(\d+))?/i);
+          if (lines) {
+            args.start_line = Number(lines[1]);
+            if (lines[2]) args.end_line = Number(lines[2]);
+          }
+          return args;
+        }
+      }
     );
 
     this.registerTool(
       'git_status',
       this.handleGitStatus.bind(this),
       ['git status', 'status', 'repository status', 'repo status', 'working tree status'],
-      'Show git repository status'
+      'Show git repository status',
+      { readOnly: true }
     );
 
     this.registerTool(
       'list_directory',
       this.handleListDirectory.bind(this),
       ['list files', 'ls', 'show files', 'directory contents', 'current directory', 'list directory'],
-      'List files in the current directory'
+      'List files in a directory',
+      {
+        readOnly: true,
+        parameters: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Directory to list, relative to the working directory. Defaults to the working directory.'
+            }
+          },
+          required: []
+        }
+      }
     );
 
     this.registerTool(
       'read_file',
       this.handleReadFile.bind(this),
       ['read file', 'show file', 'cat file', 'display file', 'view file'],
-      'Read and display file contents'
+      'Read and display file contents',
+      {
+        readOnly: true,
+        parameters: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Path of the file to read, relative to the working directory'
+            }
+          },
+          required: ['path']
+        },
+        parsePrompt: (prompt) => {
+          const match = prompt.match(/(?:read|show|cat|display|view) file\s+([^\s]+)/i);
+          return match ? { path: match[1] } : {};
+        }
+      }
+    );
+
+    this.registerTool(
+      'search_code',
+      this.handleSearchCode.bind(this),
+      ['search code', 'search the code', 'find in code', 'grep for', 'where is', 'find usages'],
+      'Search the project for a regular expression or literal text and list matching lines with file and line number',
+      {
+        readOnly: true,
+        parameters: {
+          type: 'object',
+          properties: {
+            pattern: {
+              type: 'string',
+              description: 'Regular expression to search for (plain text when literal is true)'
+            },
+            literal: {
+              type: 'boolean',
+              description: 'Treat the pattern as plain text instead of a regular expression'
+            },
+            ignore_case: {
+              type: 'boolean',
+              description: 'Match case-insensitively'
+            },
+            path: {
+              type: 'string',
+              description: 'File or directory to search, relative to the working directory (defaults to the whole project)'
+            },
+            glob: {
+              type: 'string',
+              description: 'Only search files matching this glob, e.g. *.js'
+            },
+            max_results: {
+              type: 'number',
+              description: 'Maximum number of matches to return (default 50)'
+            },
+            add_to_context: {
+              type: 'boolean',
+              description: 'Add the files that matched to the conversation context'
+            }
+          },
+          required: ['pattern']
+        },
+        parsePrompt: (prompt) => {
+          const quoted = prompt.match(/[`"']([^`"']+)[`"']/);
+          if (quoted) {
+            return { pattern: quoted[1], literal: true };
+          }
+          const match = prompt.match(/(?:search (?:the )?code|find in code|grep) for\s+(\S+)|(?:where is|find usages of)\s+(\S+?)[?.]?$/i);
+          return match ? { pattern: match[1] || match[2], literal: true } : {};
+        }
+      }
     );
 
     this.registerTool(
       'execute_command',
       this.handleExecuteCommand.bind(this),
-      ['run command', 'execute', 'shell command', 'bash command', 'terminal command'],
-      'Execute a shell command'
+      ['run command', 'execute command', 'shell command', 'bash command', 'terminal command'],
+      'Execute a shell command',
+      {
+        parameters: {
+          type: 'object',
+          properties: {
+            command: {
+              type: 'string',
+              description: 'The shell command to run in the working directory'
+            }
+          },
+          required: ['command']
+        },
+        // Only an explicitly quoted command is run, never the whole prompt
+        parsePrompt: (prompt) => {
+          const match = prompt.match(/`([^`]+)`/) || prompt.match(/(?:run|execute) command:\s*(.+)$/i);
+          return match ? { command: match[1].trim() } : {};
+        },
+        // Approvals are remembered per program, e.g. execute_command:git
+        permissionKey: (args) => `execute_command:${(args.command || '').trim().split(/\s+/)[0]}`
+      }
+    );
+
+    // File tools: changes are previewed as a diff and need approval
+    this.registerTool(
+      'write_file',
+      this.handleWriteFile.bind(this),
+      ['write file', 'create file', 'save file'],
+      'Create a file or replace its entire content',
+      {
+        parameters: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Path of the file to write, relative to the working directory'
+            },
+            content: {
+              type: 'string',
+              description: 'The complete new content of the file'
+            }
+          },
+          required: ['path', 'content']
+        },
+        prepare: (args) => this.fileEditor.planWrite(args.path, args.content ?? '')
+      }
+    );
+
+    this.registerTool(
+      'edit_file',
+      this.handleEditFile.bind(this),
+      ['edit file', 'modify file', 'change file', 'apply patch'],
+      'Edit part of a file, either by replacing an exact piece of text or by applying unified diff hunks',
+      {
+        parameters: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Path of the file to edit, relative to the working directory'
+            },
+            search: {
+              type: 'string',
+              description: 'Exact text to replace; must occur once unless replace_all is true'
+            },
+            replace: {
+              type: 'string',
+              description: 'Text to put in place of the search text'
+            },
+            replace_all: {
+              type: 'boolean',
+              description: 'Replace every occurrence of the search text'
+            },
+            patch: {
+              type: 'string',
+              description: 'Unified diff hunks to apply instead of search/replace'
+            }
+          },
+          required: ['path']
+        },
+        prepare: (args) => this.fileEditor.planEdit(args.path, {
+          search: args.search,
+          replace: args.replace,
+          replaceAll: args.replace_all,
+          patch: args.patch
+        })
+      }
+    );
+
+    this.registerTool(
+      'create_directory',
+      this.handleCreateDirectory.bind(this),
+      ['create directory', 'make directory', 'mkdir', 'new folder'],
+      'Create a directory, including missing parent directories',
+      {
+        parameters: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'Path of the directory to create, relative to the working directory'
+            }
+          },
+          required: ['path']
+        },
+        prepare: (args) => this.fileEditor.planCreateDirectory(args.path)
+      }
     );
   }
 
@@ -90,7 +662,7 @@ export class ToolManager {
     let bestScore = 0;
     
     // Check each tool's keywords for matches and score them
-    for (const [name, tool] of this.tools.entries()) {
+    for (const tool of this.getEnabledTools()) {
       let score = 0;
       let matchedKeywords = [];
       
@@ -125,9 +697,10 @@ export class ToolManager {
   /**
    * Execute a tool based on the user prompt
    * @param {String} prompt - The user prompt
+   * @param {Object} context - Extra information for the handler (e.g. the active conversation)
    * @returns {Promise<Object>} - Result of the tool execution
    */
-  async executeToolFromPrompt(prompt) {
+  async executeToolFromPrompt(prompt, context = {}) {
     const tool = this.findMatchingTool(prompt);
     
     if (!tool) {
@@ -137,57 +710,189 @@ export class ToolManager {
       };
     }
     
+    const args = tool.parsePrompt ? tool.parsePrompt(prompt) : {};
+    return await this.runTool(tool, args, { ...context, prompt });
+  }
+
+  /**
+   * Run a tool and record the call in the audit log
+   * @param {Object} tool - The tool definition
+   * @param {Object} args - The tool arguments
+   * @param {Object} context - Extra information for the handler
+   * @returns {Promise<Object>} - Result of the tool execution
+   * @private
+   */
+  async runTool(tool, args, context) {
+    const startTime = Date.now();
+    const result = await this.invokeTool(tool, args, context);
+    
+    if (this.auditLog) {
+      this.auditLog.record({
+        conversationId: context.conversationId,
+        type: 'tool',
+        name: tool.name,
+        args,
+        cwd: this.executor.workingDirectory,
+        success: result.success,
+        exitCode: result.exitCode,
+        duration: Date.now() - startTime,
+        output: result.result,
+        error: result.error
+      });
+    }
+    
+    return result;
+  }
+
+  /**
+   * Run a tool after checking that it is permitted
+   * @param {Object} tool - The tool definition
+   * @param {Object} args - The tool arguments
+   * @param {Object} context - Extra information for the handler
+   * @returns {Promise<Object>} - Result of the tool execution
+   * @private
+   */
+  async invokeTool(tool, args, context) {
+    // Plan the call first so problems are reported before asking, and the user sees what will change
+    let prepared = null;
+    if (tool.prepare) {
+      try {
+        prepared = await tool.prepare(args);
+      } catch (error) {
+        return {
+          success: false,
+          error: `Error preparing tool ${tool.name}: ${error.message}`,
+          toolName: tool.name
+        };
+      }
+    }
+    
+    const permission = await this.permissions.check(tool, args, prepared?.preview);
+    if (!permission.allowed) {
+      return {
+        success: false,
+        denied: true,
+        error: permission.reason,
+        toolName: tool.name
+      };
+    }
+    
+    const controller = new AbortController();
+    const timeout = this.timeouts[tool.name] ?? tool.timeout ?? this.timeout;
+    let timedOut = false;
+    const timer = timeout > 0 ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout) : null;
+    
+    // Handlers that ignore the signal (e.g. plugins) are abandoned rather than awaited
+    const aborted = new Promise(resolve => {
+      controller.signal.addEventListener('abort', () => resolve(null), { once: true });
+    });
+    
+    this.runningTools.add(controller);
+    
     try {
-      return await tool.handler(prompt);
+      const result = await Promise.race([
+        tool.handler(args, { ...context, prepared, executor: this.executor, signal: controller.signal }),
+        aborted
+      ]);
+      
+      if (controller.signal.aborted) {
+        return {
+          success: false,
+          cancelled: !timedOut,
+          timedOut,
+          error: timedOut ? `Tool ${tool.name} timed out after ${timeout}ms` : `Tool ${tool.name} was cancelled by the user`,
+          toolName: tool.name
+        };
+      }
+      
+      // Plugins may return plain text instead of a result object
+      const output = typeof result === 'string' ? { success: true, result, toolName: tool.name } : result;
+      
+      if (output && typeof output.result === 'string') {
+        output.result = truncateOutput(output.result, {
+          maxLines: this.maxOutputLines,
+          maxChars: this.maxOutputChars
+        });
+      }
+      return output;
     } catch (error) {
       return {
         success: false,
         error: `Error executing tool ${tool.name}: ${error.message}`
       };
+    } finally {
+      if (timer) clearTimeout(timer);
+      this.runningTools.delete(controller);
     }
   }
 
+  /**
+   * Cancel every tool call in progress
+   * @returns {Number} - The number of tool calls cancelled
+   */
+  cancelRunningTools() {
+    const count = this.runningTools.size;
+    for (const controller of this.runningTools) {
+      controller.abort();
+    }
+    return count;
+  }
+
+  /**
+   * Execute a tool by name with structured arguments (as requested by the model)
+   * @param {String} name - The name of the tool
+   * @param {Object} args - Arguments matching the tool's parameter schema
+   * @param {Object} context - Extra information for the handler (e.g. the original prompt)
+   * @returns {Promise<Object>} - Result of the tool execution
+   */
+  async executeTool(name, args = {}, context = {}) {
+    const tool = this.tools.get(name);
+    
+    if (!tool) {
+      return {
+        success: false,
+        error: `Unknown tool: ${name}`
+      };
+    }
+    
+    if (!this.isToolEnabled(name)) {
+      return {
+        success: false,
+        error: `Tool ${name} is not enabled in this profile`
+      };
+    }
+    
+    return await this.runTool(tool, args || {}, context);
+  }
+
   /**
    * Handle git pull request command
-   * @param {String} prompt - The user prompt
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Execution context
    * @returns {Promise<Object>} - Result of the command
    */
-  async handleGitPullRequest(prompt) {
-    try {
-      // Check if gh CLI is installed
-      const { stdout: ghVersion, stderr: ghError } = await execAsync('gh --version', { cwd: process.cwd() });
-      
-      if (ghError) {
+  async handleGitPullRequest(args = {}, context = {}) {
+    const result = await this.executor.runFile('gh', ['pr', 'view'], { signal: context.signal });
+    
+    if (!result.success) {
+      if (/Command not found/.test(result.error || '')) {
         return {
           success: false,
           error: 'GitHub CLI (gh) is not installed or not in PATH. Please install it first.'
         };
       }
       
-      // Execute gh pr view command
-      const { stdout, stderr } = await execAsync('gh pr view', { cwd: process.cwd() });
-      
-      if (stderr && stderr.includes('no pull requests found')) {
-        return {
-          success: false,
-          error: 'No pull request found for the current branch'
-        };
-      }
-      
-      return {
-        success: true,
-        result: stdout,
-        toolName: 'git_pull_request'
-      };
-    } catch (error) {
-      if (error.message.includes('not a git repository')) {
+      if (/not a git repository/.test(result.error || '')) {
         return {
           success: false,
           error: 'Current directory is not a git repository'
         };
       }
       
-      if (error.message.includes('no pull requests found')) {
+      if (/no pull requests found/i.test(result.error || '')) {
         return {
           success: false,
           error: 'No pull request found for the current branch'
@@ -196,150 +901,332 @@ export class ToolManager {
       
       return {
         success: false,
-        error: `Error checking pull request: ${error.message}`
+        error: `Error checking pull request: ${result.error}`
       };
     }
+    
+    return {
+      success: true,
+      result: result.stdout,
+      toolName: 'git_pull_request'
+    };
   }
 
   /**
-   * Handle git diff command
-   * @param {String} prompt - The user prompt
-   * @returns {Promise<Object>} - Result of the command
+   * Run a git command in the working directory
+   * @param {Array} args - Arguments for git
+   * @param {Object} context - Execution context; its signal cancels the command
+   * @returns {Promise<Object>} - Object with success status and stdout, or an error
+   * @private
    */
-  async handleGitDiff(prompt) {
-    try {
-      // Execute git diff command
-      const { stdout, stderr } = await execAsync('git diff', { cwd: process.cwd() });
-      
-      if (stderr) {
-        return {
-          success: false,
-          error: `Error: ${stderr}`
-        };
+  async runGit(args, context = {}) {
+    const result = await this.executor.runFile('git', args, { signal: context.signal });
+    
+    if (!result.success) {
+      if ((result.error || '').includes('not a git repository')) {
+        return { success: false, error: 'Current directory is not a git repository' };
       }
-      
-      if (!stdout.trim()) {
-        return {
-          success: true,
-          result: 'No changes detected in the working directory',
-          toolName: 'git_diff'
-        };
+      return { success: false, error: result.error };
+    }
+    
+    return { success: true, stdout: result.stdout };
+  }
+
+  /**
+   * Check that a revision argument can't be mistaken for a git option
+   * @param {String} revision - A commit, branch or range supplied by the model
+   * @returns {Boolean} - True if the revision is safe to pass to git
+   * @private
+   */
+  isValidRevision(revision) {
+    // These tools run without approval, so options like --output=<file> must not slip through
+    return typeof revision === 'string' && revision.length > 0 && !revision.startsWith('-');
+  }
+
+  /**
+   * Pull a file path out of a prompt, e.g. "log for src/index.js"
+   * @param {String} prompt - The user prompt
+   * @returns {Object} - Object with a path property, or empty if none was found
+   * @private
+   */
+  parsePathFromPrompt(prompt) {
+    const match = prompt.match(/(?:\bfor|\bof|\bin|\bto|\bfile)\s+([\w./-]*[./][\w./-]*\w)/i);
+    return match ? { path: match[1] } : {};
+  }
+
+  /**
+   * Find the branch to compare against when none is given
+   * @param {Object} context - Execution context; its signal cancels the lookup
+   * @returns {Promise<String|null>} - The default branch name, or null if none was found
+   * @private
+   */
+  async findBaseBranch(context = {}) {
+    const remoteHead = await this.runGit(['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD'], context);
+    if (remoteHead.success && remoteHead.stdout.trim()) {
+      return remoteHead.stdout.trim();
+    }
+    
+    for (const candidate of ['main', 'master', 'origin/main', 'origin/master']) {
+      const check = await this.runGit(['rev-parse', '--verify', '--quiet', candidate], context);
+      if (check.success) {
+        return candidate;
       }
-      
+    }
+    
+    return null;
+  }
+
+  /**
+   * Handle git diff command
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Execution context
+   * @returns {Promise<Object>} - Result of the command
+   */
+  async handleGitDiff(args = {}, context = {}) {
+    const gitArgs = ['diff', '--no-color'];
+    if (args.staged) gitArgs.push('--staged');
+    if (args.path) gitArgs.push('--', args.path);
+    
+    const result = await this.runGit(gitArgs, context);
+    if (!result.success) {
+      return { success: false, error: `Error checking git diff: ${result.error}` };
+    }
+    
+    if (!result.stdout.trim()) {
       return {
         success: true,
-        result: stdout,
+        result: args.staged ? 'No changes are staged for commit' : 'No changes detected in the working directory',
+        empty: true,
         toolName: 'git_diff'
       };
-    } catch (error) {
-      if (error.message.includes('not a git repository')) {
-        return {
-          success: false,
-          error: 'Current directory is not a git repository'
-        };
-      }
-      
-      return {
-        success: false,
-        error: `Error checking git diff: ${error.message}`
-      };
     }
+    
+    return {
+      success: true,
+      result: result.stdout,
+      toolName: 'git_diff'
+    };
   }
 
   /**
-   * Handle git status command
-   * @param {String} prompt - The user prompt
+   * Handle git branch diff command
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Execution context
    * @returns {Promise<Object>} - Result of the command
    */
-  async handleGitStatus(prompt) {
-    try {
-      // Execute git status command
-      const { stdout, stderr } = await execAsync('git status', { cwd: process.cwd() });
-      
-      if (stderr) {
-        return {
-          success: false,
-          error: `Error: ${stderr}`
-        };
-      }
-      
+  async handleGitBranchDiff(args = {}, context = {}) {
+    const base = args.base || await this.findBaseBranch(context);
+    if (!base) {
+      return { success: false, error: 'Could not find a base branch; specify one, e.g. main' };
+    }
+    if (!this.isValidRevision(base)) {
+      return { success: false, error: `Invalid base branch: ${base}` };
+    }
+    
+    // Three dots compare against the merge base, so changes made on the base since branching are left out
+    const gitArgs = ['diff', '--no-color', args.stat ? '--stat' : '--patch', `${base}...HEAD`];
+    if (args.path) gitArgs.push('--', args.path);
+    
+    const result = await this.runGit(gitArgs, context);
+    if (!result.success) {
+      return { success: false, error: `Error comparing with ${base}: ${result.error}` };
+    }
+    
+    if (!result.stdout.trim()) {
       return {
         success: true,
-        result: stdout,
-        toolName: 'git_status'
+        result: `The current branch has no changes compared to ${base}`,
+        empty: true,
+        base,
+        toolName: 'git_branch_diff'
       };
-    } catch (error) {
-      if (error.message.includes('not a git repository')) {
-        return {
-          success: false,
-          error: 'Current directory is not a git repository'
-        };
+    }
+    
+    return {
+      success: true,
+      result: `Changes on the current branch compared to ${base}:\n\n${result.stdout}`,
+      base,
+      toolName: 'git_branch_diff'
+    };
+  }
+
+  /**
+   * Handle git log command
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Execution context
+   * @returns {Promise<Object>} - Result of the command
+   */
+  async handleGitLog(args = {}, context = {}) {
+    const gitArgs = [
+      'log',
+      '--no-color',
+      `--max-count=${args.limit || 20}`,
+      '--date=short',
+      '--pretty=format:%h %ad %an%d%n    %s'
+    ];
+    if (args.author) gitArgs.push(`--author=${args.author}`);
+    if (args.since) gitArgs.push(`--since=${args.since}`);
+    if (args.grep) gitArgs.push(`--grep=${args.grep}`, '--regexp-ignore-case');
+    if (args.range) {
+      if (!this.isValidRevision(args.range)) {
+        return { success: false, error: `Invalid revision range: ${args.range}` };
       }
-      
+      gitArgs.push(args.range);
+    }
+    if (args.path) gitArgs.push('--', args.path);
+    
+    const result = await this.runGit(gitArgs, context);
+    if (!result.success) {
+      return { success: false, error: `Error reading git log: ${result.error}` };
+    }
+    
+    return {
+      success: true,
+      result: result.stdout.trim() ? result.stdout : 'No commits match these filters',
+      toolName: 'git_log'
+    };
+  }
+
+  /**
+   * Handle git show command
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Execution context
+   * @returns {Promise<Object>} - Result of the command
+   */
+  async handleGitShow(args = {}, context = {}) {
+    const commit = args.commit || 'HEAD';
+    if (!this.isValidRevision(commit)) {
+      return { success: false, error: `Invalid commit: ${commit}` };
+    }
+    const gitArgs = ['show', '--no-color', args.stat ? '--stat' : '--patch', commit];
+    if (args.path) gitArgs.push('--', args.path);
+    
+    const result = await this.runGit(gitArgs, context);
+    if (!result.success) {
+      return { success: false, error: `Error showing commit ${commit}: ${result.error}` };
+    }
+    
+    return {
+      success: true,
+      result: result.stdout,
+      toolName: 'git_show'
+    };
+  }
+
+  /**
+   * Handle git blame command
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Execution context
+   * @returns {Promise<Object>} - Result of the command
+   */
+  async handleGitBlame(args = {}, context = {}) {
+    if (!args.path) {
+      return { success: false, error: 'No file specified to blame' };
+    }
+    
+    const gitArgs = ['blame', '--date=short'];
+    if (args.start_line) {
+      gitArgs.push('-L', `${args.start_line},${args.end_line || args.start_line}`);
+    }
+    gitArgs.push('--', args.path);
+    
+    const result = await this.runGit(gitArgs, context);
+    if (!result.success) {
+      return { success: false, error: `Error running git blame on ${args.path}: ${result.error}` };
+    }
+    
+    return {
+      success: true,
+      result: result.stdout,
+      toolName: 'git_blame'
+    };
+  }
+
+  /**
+   * Handle git status command
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Execution context
+   * @returns {Promise<Object>} - Result of the command
+   */
+  async handleGitStatus(args = {}, context = {}) {
+    const result = await this.runGit(['status'], context);
+    
+    if (!result.success) {
       return {
         success: false,
-        error: `Error checking git status: ${error.message}`
+        error: `Error checking git status: ${result.error}`
       };
     }
+    
+    return {
+      success: true,
+      result: result.stdout,
+      toolName: 'git_status'
+    };
   }
 
   /**
    * Handle list directory command
-   * @param {String} prompt - The user prompt
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Execution context
    * @returns {Promise<Object>} - Result of the command
    */
-  async handleListDirectory(prompt) {
+  async handleListDirectory(args = {}, context = {}) {
+    const directory = args.path || '.';
+    
+    // Confined to the working directory like file edits, since listing needs no approval
+    let resolved;
     try {
-      // Execute ls command
-      const { stdout, stderr } = await execAsync('ls', { cwd: process.cwd() });
-      
-      if (stderr) {
-        return {
-          success: false,
-          error: `Error: ${stderr}`
-        };
-      }
-      
+      resolved = this.fileEditor.resolvePath(directory);
+    } catch (error) {
       return {
-        success: true,
-        result: stdout,
-        toolName: 'list_directory'
+        success: false,
+        error: error.message
       };
-    } catch (error) {
-      if (error.message.includes('not a directory')) {
-        return {
-          success: false,
-          error: 'Current directory is not a directory'
-        };
-      }
-      
+    }
+    
+    if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+      return {
+        success: false,
+        error: `${directory} is not a directory`
+      };
+    }
+    
+    const result = await this.executor.runFile('ls', [], { cwd: resolved, signal: context.signal });
+    
+    if (!result.success) {
       return {
         success: false,
-        error: `Error listing directory: ${error.message}`
+        error: `Error listing directory: ${result.error}`
       };
     }
+    
+    return {
+      success: true,
+      result: result.stdout,
+      toolName: 'list_directory'
+    };
   }
 
   /**
    * Handle read file command
-   * @param {String} prompt - The user prompt
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Execution context
    * @returns {Promise<Object>} - Result of the command
    */
-  async handleReadFile(prompt) {
-    // Extract filename from prompt
-    const fileNameMatch = prompt.match(/read file\s+([^\s]+)|show file\s+([^\s]+)|cat file\s+([^\s]+)|display file\s+([^\s]+)|view file\s+([^\s]+)/i);
+  async handleReadFile(args = {}, context = {}) {
+    const fileName = args.path;
     
-    if (!fileNameMatch) {
+    if (!fileName) {
       return {
         success: false,
         error: 'No filename specified. Please specify a file to read.'
       };
     }
     
-    const fileName = fileNameMatch[1] || fileNameMatch[2] || fileNameMatch[3] || fileNameMatch[4] || fileNameMatch[5];
-    
     try {
-      const filePath = path.resolve(process.cwd(), fileName);
+      // Confined to the working directory like file edits, since reading needs no approval
+      const filePath = this.fileEditor.resolvePath(fileName);
       const content = fs.readFileSync(filePath, 'utf8');
       
       return {
@@ -358,32 +1245,142 @@ export class ToolManager {
 
   /**
    * Handle execute command
-   * @param {String} prompt - The user prompt
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Execution context
    * @returns {Promise<Object>} - Result of the command
    */
-  async handleExecuteCommand(prompt) {
-    try {
-      // Execute the command
-      const { stdout, stderr } = await execAsync(prompt, { cwd: process.cwd() });
-      
-      if (stderr) {
-        return {
-          success: false,
-          error: `Error: ${stderr}`
-        };
-      }
-      
+  async handleExecuteCommand(args = {}, context = {}) {
+    const command = args.command;
+    
+    if (!command) {
       return {
-        success: true,
-        result: stdout,
-        toolName: 'execute_command'
+        success: false,
+        error: 'No command specified. Put the command in backticks, e.g. run command `npm test`.'
       };
-    } catch (error) {
+    }
+    
+    // Run through the executor so the execution policy applies
+    const result = await this.executor.run(command, { signal: context.signal });
+    
+    if (!result.success) {
       return {
         success: false,
-        error: `Error executing command: ${error.message}`
+        error: result.blocked ? result.error : `Error executing command: ${result.error}`,
+        exitCode: result.exitCode
       };
     }
+    
+    return {
+      success: true,
+      result: result.stderr ? `${result.stdout}\n[stderr]\n${result.stderr}` : result.stdout,
+      toolName: 'execute_command',
+      exitCode: result.exitCode
+    };
+  }
+
+  /**
+   * Handle search code command
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Execution context with the active conversation
+   * @returns {Promise<Object>} - Result of the command
+   */
+  async handleSearchCode(args = {}, context = {}) {
+    const results = await this.codeSearch.search({
+      pattern: args.pattern,
+      literal: args.literal,
+      ignoreCase: args.ignore_case,
+      path: args.path,
+      glob: args.glob,
+      maxResults: args.max_results
+    }, { signal: context.signal });
+    
+    if (!results.success) {
+      return { success: false, error: results.error, toolName: 'search_code' };
+    }
+    
+    let output = this.codeSearch.formatResults(results);
+    
+    if (args.add_to_context && results.matches.length > 0) {
+      if (!this.contextManager || !context.conversationId) {
+        output += '\n\n[Matched files were not added to the context: no active conversation]';
+      } else {
+        const files = [...new Set(results.matches.map(match => path.resolve(this.executor.workingDirectory, match.file)))];
+        const added = await this.contextManager.addFiles(context.conversationId, files);
+        const addedCount = added.results.filter(result => result.success).length;
+        output += `\n\n[Added ${addedCount} of ${files.length} matched file(s) to the context]`;
+      }
+    }
+    
+    return {
+      success: true,
+      result: output,
+      matches: results.matches,
+      toolName: 'search_code'
+    };
+  }
+
+  /**
+   * Handle write file command
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Execution context with the prepared plan
+   * @returns {Promise<Object>} - Result of the command
+   */
+  async handleWriteFile(args = {}, context = {}) {
+    const plan = context.prepared || this.fileEditor.planWrite(args.path, args.content ?? '');
+    this.fileEditor.apply(plan);
+    
+    return {
+      success: true,
+      result: `${plan.before === null ? 'Created' : 'Wrote'} ${args.path}\n\n${plan.preview}`,
+      toolName: 'write_file'
+    };
+  }
+
+  /**
+   * Handle edit file command
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Execution context with the prepared plan
+   * @returns {Promise<Object>} - Result of the command
+   */
+  async handleEditFile(args = {}, context = {}) {
+    const plan = context.prepared || this.fileEditor.planEdit(args.path, {
+      search: args.search,
+      replace: args.replace,
+      replaceAll: args.replace_all,
+      patch: args.patch
+    });
+    this.fileEditor.apply(plan);
+    
+    return {
+      success: true,
+      result: `Edited ${args.path}\n\n${plan.preview}`,
+      toolName: 'edit_file'
+    };
+  }
+
+  /**
+   * Handle create directory command
+   * @param {Object} args - Tool arguments
+   * @param {Object} context - Execution context with the prepared plan
+   * @returns {Promise<Object>} - Result of the command
+   */
+  async handleCreateDirectory(args = {}, context = {}) {
+    const plan = context.prepared || this.fileEditor.planCreateDirectory(args.path);
+    this.fileEditor.apply(plan);
+    
+    return {
+      success: true,
+      result: `Created directory ${args.path}`,
+      toolName: 'create_directory'
+    };
+  }
+
+  /**
+   * Undo the most recent change made by a file tool in this session
+   * @returns {Object} - Object with success status and a description or error
+   */
+  undoLastEdit() {
+    return this.fileEditor.undo();
   }
 
   /**
@@ -393,6 +1390,48 @@ export class ToolManager {
   getAllTools() {
     return Array.from(this.tools.values());
   }
+
+  /**
+   * Limit the tools that are offered to the model and may be run
+   * @param {Array|null} patterns - Tool names, with * as a wildcard (e.g. git_*); null enables every tool
+   */
+  setEnabledTools(patterns) {
+    this.enabledTools = patterns ? patterns.map(pattern =>
+      new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$')
+    ) : null;
+  }
+
+  /**
+   * Check whether a tool may be used
+   * @param {String} name - The name of the tool
+   * @returns {Boolean} - True if the tool is enabled
+   */
+  isToolEnabled(name) {
+    return !this.enabledTools || this.enabledTools.some(pattern => pattern.test(name));
+  }
+
+  /**
+   * Get the tools that may be used
+   * @returns {Array} - Array of enabled tool objects
+   */
+  getEnabledTools() {
+    return this.getAllTools().filter(tool => this.isToolEnabled(tool.name));
+  }
+
+  /**
+   * Get tool definitions in the format expected by Ollama's /api/chat `tools` field
+   * @returns {Array} - Array of function tool definitions
+   */
+  getToolDefinitions() {
+    return this.getEnabledTools().map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  }
 }
 
 export default ToolManager;
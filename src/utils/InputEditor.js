@@ -0,0 +1,896 @@
+// src/utils/InputEditor.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import chalk from 'chalk';
+import stringWidth from 'string-width';
+
+// A line holding only this opens a block of several lines, and another one closes it
+const BLOCK_DELIMITER = '"""';
+
+// What terminals that report modifier keys (CSI u, xterm's modifyOtherKeys) send for Shift+Enter
+const SHIFT_ENTER_SEQUENCES = new Set(['\x1b[13;2u', '\x1b[27;2;13~']);
+
+// Most slash command suggestions shown below the input
+const MAX_HINTS = 8;
+
+/**
+ * Find the start of the character before a position, keeping surrogate pairs together
+ * @param {String} text - The text
+ * @param {Number} index - The position
+ * @returns {Number} - Position of the previous character
+ */
+function previousIndex(text, index) {
+  const code = text.charCodeAt(index - 1);
+  return index >= 2 && code >= 0xdc00 && code <= 0xdfff ? index - 2 : index - 1;
+}
+
+/**
+ * Find the end of the character after a position, keeping surrogate pairs together
+ * @param {String} text - The text
+ * @param {Number} index - The position
+ * @returns {Number} - Position after the next character
+ */
+function nextIndex(text, index) {
+  const code = text.charCodeAt(index);
+  return code >= 0xd800 && code <= 0xdbff && index + 2 <= text.length ? index + 2 : index + 1;
+}
+
+/**
+ * Make text safe to print: tabs become spaces and other control characters are shown as '?'
+ * @param {String} text - The text
+ * @returns {String} - The text as displayed
+ */
+function displayText(text) {
+  return text.replace(/\t/g, '    ').replace(/[\x00-\x1f\x7f]/g, '?');
+}
+
+/**
+ * Cut text to fit on one terminal row
+ * @param {String} text - Plain text (without colors)
+ * @param {Number} width - Columns available
+ * @returns {String} - The text, shortened with '…' if needed
+ */
+function fitWidth(text, width) {
+  if (stringWidth(text) <= width) {
+    return text;
+  }
+
+  let fitted = '';
+  for (const character of text) {
+    if (stringWidth(fitted + character) > width - 1) {
+      break;
+    }
+    fitted += character;
+  }
+  return `${fitted}…`;
+}
+
+/**
+ * Editor for chat input in the terminal. Messages can span several lines: Alt+Enter,
+ * Shift+Enter (where the terminal reports it) and Ctrl+J start a new line, a line with
+ * only """ opens a block that runs until the next """, and pasted text is kept
+ * together instead of being sent line by line. Earlier inputs are recalled with
+ * Up/Down or searched with Ctrl+R, and are saved in a history file so they are
+ * available in the next session. When the input is not a terminal, lines are read
+ * as they come, with """ blocks still joined into one message.
+ */
+export class InputEditor {
+  constructor(options = {}) {
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.completer = options.completer || null;
+    this.historyPath = options.historyPath || path.join(os.homedir(), '.hikma', 'history');
+    this.historySize = options.historySize || 1000;
+    this.history = null;
+    this.historyFileEntries = 0;
+
+    // Line reading when the input is not a terminal
+    this.lineReader = null;
+    this.queuedLines = [];
+    this.inputClosed = false;
+    this.lineWaiter = null;
+
+    // The prompt being edited
+    this.state = null;
+  }
+
+  /**
+   * Read the next input
+   * @param {Object} options - Prompt options
+   * @param {String} options.message - Text shown before the input
+   * @returns {Promise<Object>} - Object with userInput, which is null when the input ends
+   *   or the user leaves with Ctrl+D or Ctrl+C twice on an empty prompt
+   */
+  async prompt(options = {}) {
+    const message = options.message || 'You:';
+
+    if (!this.input.isTTY) {
+      return { userInput: await this.readMessage() };
+    }
+
+    this.loadHistory();
+    return { userInput: await this.edit(message) };
+  }
+
+  /**
+   * Stop reading input so the process can exit
+   */
+  close() {
+    if (this.lineReader) {
+      this.lineReader.close();
+      this.lineReader = null;
+    }
+  }
+
+  /**
+   * Read the history file
+   * @private
+   */
+  loadHistory() {
+    if (this.history) {
+      return;
+    }
+
+    this.history = [];
+    try {
+      const lines = fs.readFileSync(this.historyPath, 'utf8').split('\n').filter(Boolean);
+      this.historyFileEntries = lines.length;
+
+      for (const line of lines) {
+        try {
+          this.history.push(JSON.parse(line));
+        } catch (error) {
+          // Skip lines damaged by an interrupted write
+        }
+      }
+      this.history = this.history.filter(entry => typeof entry === 'string').slice(-this.historySize);
+    } catch (error) {
+      // No history yet
+    }
+  }
+
+  /**
+   * Add an input to the history and append it to the history file
+   * @param {String} entry - The input as typed
+   * @private
+   */
+  addHistory(entry) {
+    if (!entry.trim() || this.history[this.history.length - 1] === entry) {
+      return;
+    }
+
+    this.history.push(entry);
+    if (this.history.length > this.historySize) {
+      this.history = this.history.slice(-this.historySize);
+    }
+
+    // History is a convenience, so a home directory that cannot be written does not stop the chat
+    try {
+      fs.mkdirSync(path.dirname(this.historyPath), { recursive: true });
+
+      // Appending keeps inputs from sessions running side by side; the file is compacted once it doubles
+      if (this.historyFileEntries >= this.historySize * 2) {
+        fs.writeFileSync(this.historyPath, this.history.map(item => `${JSON.stringify(item)}\n`).join(''));
+        this.historyFileEntries = this.history.length;
+      } else {
+        fs.appendFileSync(this.historyPath, `${JSON.stringify(entry)}\n`);
+        this.historyFileEntries++;
+      }
+    } catch (error) {
+      // Keep the in-memory history only
+    }
+  }
+
+  /**
+   * Read one line when the input is not a terminal
+   * @returns {Promise<String|null>} - The line, or null at the end of the input
+   * @private
+   */
+  readLine() {
+    if (!this.lineReader && !this.inputClosed) {
+      this.lineReader = readline.createInterface({ input: this.input, terminal: false });
+      this.lineReader.on('line', (line) => {
+        this.queuedLines.push(line);
+        this.wakeLineWaiter();
+      });
+      this.lineReader.on('close', () => {
+        this.inputClosed = true;
+        this.wakeLineWaiter();
+      });
+    }
+
+    if (this.queuedLines.length > 0) {
+      return Promise.resolve(this.queuedLines.shift());
+    }
+    if (this.inputClosed) {
+      return Promise.resolve(null);
+    }
+
+    this.lineReader.resume();
+    return new Promise((resolve) => {
+      this.lineWaiter = resolve;
+    });
+  }
+
+  /**
+   * Hand the next line to a waiting readLine call
+   * @private
+   */
+  wakeLineWaiter() {
+    if (!this.lineWaiter) {
+      return;
+    }
+
+    const resolve = this.lineWaiter;
+    this.lineWaiter = null;
+    resolve(this.queuedLines.length > 0 ? this.queuedLines.shift() : null);
+
+    // Hold further lines until they are asked for
+    if (this.lineReader) {
+      this.lineReader.pause();
+    }
+  }
+
+  /**
+   * Read one message when the input is not a terminal, joining """ blocks
+   * @returns {Promise<String|null>} - The message, or null at the end of the input
+   * @private
+   */
+  async readMessage() {
+    const first = await this.readLine();
+    if (first === null || first.trim() !== BLOCK_DELIMITER) {
+      return first;
+    }
+
+    const lines = [];
+    let line = await this.readLine();
+    while (line !== null && line.trim() !== BLOCK_DELIMITER) {
+      lines.push(line);
+      line = await this.readLine();
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Edit one input in the terminal
+   * @param {String} message - Text shown before the input
+   * @returns {Promise<String|null>} - The input, or null if the user left
+   * @private
+   */
+  edit(message) {
+    return new Promise((resolve) => {
+      const prompt = `${message} `;
+      const promptWidth = stringWidth(prompt);
+
+      this.state = {
+        lines: [''],
+        row: 0,
+        col: 0,
+        prompt,
+        continuation: chalk.gray(`${'.'.repeat(Math.max(promptWidth - 1, 1))} `),
+        historyIndex: this.history.length,
+        draft: '',
+        pasting: false,
+        search: null,
+        pendingReturn: null,
+        exitRequested: false,
+        renderScheduled: false,
+        renderedRow: 0,
+        resolve
+      };
+
+      this.onKeypress = (text, key) => this.handleKeypress(text, key || {});
+      this.onResize = () => this.render();
+      this.wasRaw = this.input.isRaw;
+
+      readline.emitKeypressEvents(this.input);
+      this.input.setRawMode(true);
+      this.input.on('keypress', this.onKeypress);
+      this.input.resume();
+      this.output.on('resize', this.onResize);
+
+      // Ask the terminal to mark pasted text so it is not sent line by line
+      this.output.write('\x1b[?2004h');
+      this.render();
+    });
+  }
+
+  /**
+   * Finish editing and hand back the input
+   * @param {String|null} userInput - The input, or null if the user left
+   * @private
+   */
+  finish(userInput) {
+    const { state } = this;
+
+    clearImmediate(state.pendingReturn);
+    this.render(true);
+    this.output.write('\x1b[?2004l\n');
+
+    this.input.off('keypress', this.onKeypress);
+    this.input.setRawMode(this.wasRaw);
+    this.input.pause();
+    this.output.off('resize', this.onResize);
+
+    this.state = null;
+    state.resolve(userInput);
+  }
+
+  /**
+   * Get the text being edited
+   * @returns {String} - The lines joined with newlines
+   * @private
+   */
+  getText() {
+    return this.state.lines.join('\n');
+  }
+
+  /**
+   * Replace the text being edited
+   * @param {String} text - The new text
+   * @param {Boolean} cursorAtStart - Put the cursor at the end of the first line instead of the end of the text
+   * @private
+   */
+  setText(text, cursorAtStart = false) {
+    const { state } = this;
+    state.lines = text.split('\n');
+    state.row = cursorAtStart ? 0 : state.lines.length - 1;
+    state.col = state.lines[state.row].length;
+  }
+
+  /**
+   * Check whether the text opens a """ block that is not closed yet
+   * @returns {Boolean} - True while inside a block
+   * @private
+   */
+  isInOpenBlock() {
+    const { lines } = this.state;
+    if (lines[0].trim() !== BLOCK_DELIMITER) {
+      return false;
+    }
+    return lines.length === 1 || lines[lines.length - 1].trim() !== BLOCK_DELIMITER;
+  }
+
+  /**
+   * Insert text at the cursor
+   * @param {String} text - The text, which may contain newlines
+   * @private
+   */
+  insertText(text) {
+    const { state } = this;
+    const line = state.lines[state.row];
+    const before = line.slice(0, state.col);
+    const after = line.slice(state.col);
+    const parts = text.split('\n');
+    const last = parts[parts.length - 1];
+
+    if (parts.length === 1) {
+      state.lines[state.row] = before + text + after;
+      state.col += text.length;
+      return;
+    }
+
+    state.lines.splice(state.row, 1, before + parts[0], ...parts.slice(1, -1), last + after);
+    state.row += parts.length - 1;
+    state.col = last.length;
+  }
+
+  /**
+   * Delete the character before the cursor, joining lines at the start of a line
+   * @private
+   */
+  deleteBackward() {
+    const { state } = this;
+    const line = state.lines[state.row];
+
+    if (state.col > 0) {
+      const start = previousIndex(line, state.col);
+      state.lines[state.row] = line.slice(0, start) + line.slice(state.col);
+      state.col = start;
+    } else if (state.row > 0) {
+      const previous = state.lines[state.row - 1];
+      state.lines.splice(state.row - 1, 2, previous + line);
+      state.row--;
+      state.col = previous.length;
+    }
+  }
+
+  /**
+   * Delete the character under the cursor, joining lines at the end of a line
+   * @private
+   */
+  deleteForward() {
+    const { state } = this;
+    const line = state.lines[state.row];
+
+    if (state.col < line.length) {
+      state.lines[state.row] = line.slice(0, state.col) + line.slice(nextIndex(line, state.col));
+    } else if (state.row < state.lines.length - 1) {
+      state.lines.splice(state.row, 2, line + state.lines[state.row + 1]);
+    }
+  }
+
+  /**
+   * Find where the word before the cursor starts
+   * @returns {Number} - The position in the current line
+   * @private
+   */
+  wordStart() {
+    const { state } = this;
+    const match = state.lines[state.row].slice(0, state.col).match(/(\S+\s*|\s+)$/);
+    return match ? state.col - match[0].length : state.col;
+  }
+
+  /**
+   * Find where the word after the cursor ends
+   * @returns {Number} - The position in the current line
+   * @private
+   */
+  wordEnd() {
+    const { state } = this;
+    const match = state.lines[state.row].slice(state.col).match(/^(\s*\S+|\s+)/);
+    return match ? state.col + match[0].length : state.col;
+  }
+
+  /**
+   * Move the cursor one character left or right, crossing line ends
+   * @param {Number} direction - -1 for left, 1 for right
+   * @private
+   */
+  moveCursor(direction) {
+    const { state } = this;
+    const line = state.lines[state.row];
+
+    if (direction < 0) {
+      if (state.col > 0) {
+        state.col = previousIndex(line, state.col);
+      } else if (state.row > 0) {
+        state.row--;
+        state.col = state.lines[state.row].length;
+      }
+    } else if (state.col < line.length) {
+      state.col = nextIndex(line, state.col);
+    } else if (state.row < state.lines.length - 1) {
+      state.row++;
+      state.col = 0;
+    }
+  }
+
+  /**
+   * Move the cursor up or down a line, or through the history from the first or last line
+   * @param {Number} direction - -1 for up, 1 for down
+   * @private
+   */
+  moveVertically(direction) {
+    const { state } = this;
+    const row = state.row + direction;
+
+    if (row >= 0 && row < state.lines.length) {
+      state.row = row;
+      state.col = Math.min(state.col, state.lines[row].length);
+      return;
+    }
+
+    const index = state.historyIndex + direction;
+    if (index < 0 || index > this.history.length) {
+      return;
+    }
+
+    // Keep what was being typed so moving back down restores it
+    if (state.historyIndex === this.history.length) {
+      state.draft = this.getText();
+    }
+
+    state.historyIndex = index;
+    this.setText(index === this.history.length ? state.draft : this.history[index], direction < 0);
+  }
+
+  /**
+   * Complete the slash command being typed
+   * @private
+   */
+  complete() {
+    const { state } = this;
+    if (!this.completer || state.lines.length > 1) {
+      return;
+    }
+
+    const line = state.lines[0];
+    const completions = this.completer.getCompletions(line);
+    if (completions.length === 0) {
+      return;
+    }
+
+    // Command completions are whole inputs; later subcommands only replace the last word
+    const replace = (completion) => completion.startsWith('/')
+      ? completion
+      : line.slice(0, line.lastIndexOf(' ') + 1) + completion;
+
+    const candidates = completions.map(replace);
+    let completed = candidates[0];
+    for (const candidate of candidates.slice(1)) {
+      while (!candidate.startsWith(completed)) {
+        completed = completed.slice(0, -1);
+      }
+    }
+
+    if (candidates.length === 1) {
+      completed += ' ';
+    }
+    if (completed.length > line.length) {
+      this.setText(completed);
+    }
+  }
+
+  /**
+   * Search the history for the query, starting at an entry and going back
+   * @param {Number} from - Index of the first entry to check
+   * @private
+   */
+  searchHistory(from) {
+    const { state } = this;
+    const { search } = state;
+
+    if (!search.query) {
+      search.failed = false;
+      return;
+    }
+
+    for (let index = Math.min(from, this.history.length - 1); index >= 0; index--) {
+      const position = this.history[index].indexOf(search.query);
+      if (position !== -1) {
+        search.index = index;
+        search.failed = false;
+
+        // Put the cursor on the match
+        const before = this.history[index].slice(0, position).split('\n');
+        state.lines = this.history[index].split('\n');
+        state.row = before.length - 1;
+        state.col = before[before.length - 1].length;
+        return;
+      }
+    }
+
+    search.failed = true;
+  }
+
+  /**
+   * Handle a key during a Ctrl+R search
+   * @param {String} text - The typed text
+   * @param {Object} key - The key
+   * @returns {Boolean} - True if the key was used by the search
+   * @private
+   */
+  handleSearchKey(text, key) {
+    const { state } = this;
+    const { search } = state;
+
+    if (key.ctrl && key.name === 'r') {
+      this.searchHistory(search.index - 1);
+      return true;
+    }
+
+    if (key.ctrl && (key.name === 'g' || key.name === 'c')) {
+      Object.assign(state, search.original);
+      state.search = null;
+      return true;
+    }
+
+    if (key.name === 'backspace') {
+      search.query = search.query.slice(0, -1);
+      this.searchHistory(this.history.length - 1);
+      return true;
+    }
+
+    if (text && !key.ctrl && !key.meta && !/[\x00-\x1f\x7f]/.test(text)) {
+      search.query += text;
+      this.searchHistory(search.index);
+      return true;
+    }
+
+    // Any other key takes the match and is then handled as usual
+    state.search = null;
+    state.historyIndex = this.history.length;
+    return key.name === 'escape';
+  }
+
+  /**
+   * Handle Enter: submit, unless inside a """ block
+   * @private
+   */
+  handleReturn() {
+    const { state } = this;
+
+    if (this.isInOpenBlock()) {
+      this.insertText('\n');
+      return;
+    }
+
+    // Wait for the rest of the keys that arrived together: if more follow, the Enter
+    // was part of pasted text from a terminal that does not mark pastes
+    state.pendingReturn = setImmediate(() => {
+      state.pendingReturn = null;
+      this.submit();
+    });
+  }
+
+  /**
+   * Submit the input
+   * @private
+   */
+  submit() {
+    const { lines } = this.state;
+    const text = this.getText();
+
+    this.addHistory(text);
+
+    // A """ block is sent without its delimiters
+    const block = lines.length > 1 && lines[0].trim() === BLOCK_DELIMITER && lines[lines.length - 1].trim() === BLOCK_DELIMITER;
+    this.finish(block ? lines.slice(1, -1).join('\n') : text);
+  }
+
+  /**
+   * Handle a key
+   * @param {String} text - The typed text
+   * @param {Object} key - The key, as emitted by readline
+   * @private
+   */
+  handleKeypress(text, key) {
+    const { state } = this;
+    if (!state) {
+      return;
+    }
+
+    // A key arriving together with Enter means the Enter was pasted
+    if (state.pendingReturn) {
+      clearImmediate(state.pendingReturn);
+      state.pendingReturn = null;
+      this.insertText('\n');
+    }
+
+    if (key.name === 'paste-start' || key.name === 'paste-end') {
+      state.pasting = key.name === 'paste-start';
+      this.scheduleRender();
+      return;
+    }
+
+    if (state.pasting) {
+      if (key.name === 'return' || key.name === 'enter') {
+        this.insertText('\n');
+      } else if (text) {
+        this.insertText(text.replace(/\r\n?/g, '\n'));
+      }
+      this.scheduleRender();
+      return;
+    }
+
+    if (state.search && this.handleSearchKey(text, key)) {
+      this.scheduleRender();
+      return;
+    }
+
+    const empty = state.lines.length === 1 && state.lines[0] === '';
+
+    // Leaving takes a second Ctrl+C right after the first, so one meant for a reply that just finished is harmless
+    const exitRequested = state.exitRequested;
+    state.exitRequested = false;
+
+    if (key.ctrl && key.name === 'c') {
+      if (empty && exitRequested) {
+        this.finish(null);
+        return;
+      }
+      state.exitRequested = empty;
+      this.setText('');
+      state.historyIndex = this.history.length;
+    } else if (key.ctrl && key.name === 'd') {
+      if (empty) {
+        this.finish(null);
+        return;
+      }
+      this.deleteForward();
+    } else if (key.name === 'return' && !key.meta && !key.shift) {
+      this.handleReturn();
+    } else if (key.name === 'return' || key.name === 'enter' || SHIFT_ENTER_SEQUENCES.has(key.sequence)) {
+      this.insertText('\n');
+    } else if (key.name === 'backspace' || (key.ctrl && key.name === 'h')) {
+      if (key.meta) {
+        const start = this.wordStart();
+        const line = state.lines[state.row];
+        state.lines[state.row] = line.slice(0, start) + line.slice(state.col);
+        state.col = start;
+      } else {
+        this.deleteBackward();
+      }
+    } else if (key.name === 'delete') {
+      this.deleteForward();
+    } else if ((key.meta && key.name === 'left') || (key.meta && key.name === 'b') || (key.ctrl && key.name === 'left')) {
+      state.col = this.wordStart();
+    } else if ((key.meta && key.name === 'right') || (key.meta && key.name === 'f') || (key.ctrl && key.name === 'right')) {
+      state.col = this.wordEnd();
+    } else if (key.name === 'left' || (key.ctrl && key.name === 'b')) {
+      this.moveCursor(-1);
+    } else if (key.name === 'right' || (key.ctrl && key.name === 'f')) {
+      this.moveCursor(1);
+    } else if (key.name === 'up' || (key.ctrl && key.name === 'p')) {
+      this.moveVertically(-1);
+    } else if (key.name === 'down' || (key.ctrl && key.name === 'n')) {
+      this.moveVertically(1);
+    } else if (key.name === 'home' || (key.ctrl && key.name === 'a')) {
+      state.col = 0;
+    } else if (key.name === 'end' || (key.ctrl && key.name === 'e')) {
+      state.col = state.lines[state.row].length;
+    } else if (key.ctrl && key.name === 'u') {
+      state.lines[state.row] = state.lines[state.row].slice(state.col);
+      state.col = 0;
+    } else if (key.ctrl && key.name === 'k') {
+      state.lines[state.row] = state.lines[state.row].slice(0, state.col);
+    } else if (key.ctrl && key.name === 'w') {
+      const start = this.wordStart();
+      const line = state.lines[state.row];
+      state.lines[state.row] = line.slice(0, start) + line.slice(state.col);
+      state.col = start;
+    } else if (key.ctrl && key.name === 'l') {
+      this.output.write('\x1b[2J\x1b[H');
+      state.renderedRow = 0;
+    } else if (key.ctrl && key.name === 'r') {
+      state.search = {
+        query: '',
+        index: this.history.length,
+        failed: false,
+        original: { lines: [...state.lines], row: state.row, col: state.col }
+      };
+    } else if (key.name === 'tab') {
+      this.complete();
+    } else if (text && !key.ctrl && !key.meta && !/[\x00-\x1f\x7f]/.test(text)) {
+      this.insertText(text);
+    }
+
+    this.scheduleRender();
+  }
+
+  /**
+   * Render once the keys that arrived together have been handled
+   * @private
+   */
+  scheduleRender() {
+    const { state } = this;
+    if (state.renderScheduled) {
+      return;
+    }
+
+    state.renderScheduled = true;
+    setImmediate(() => {
+      state.renderScheduled = false;
+      if (this.state === state) {
+        this.render();
+      }
+    });
+  }
+
+  /**
+   * Get the lines shown below the input: the Ctrl+R search, matching slash commands or how to exit
+   * @param {Number} columns - Terminal width
+   * @returns {Array} - Lines to show, each fitting on one row
+   * @private
+   */
+  getFooter(columns) {
+    const { state } = this;
+
+    if (state.search) {
+      const label = state.search.failed ? 'failing reverse-i-search' : 'reverse-i-search';
+      return [chalk.gray(fitWidth(`(${label})'${state.search.query}'`, columns - 1))];
+    }
+
+    if (state.exitRequested) {
+      return [chalk.gray('Press Ctrl+C again to exit')];
+    }
+
+    const line = state.lines[0];
+    if (!this.completer || state.lines.length > 1 || !line.startsWith('/')) {
+      return [];
+    }
+
+    const completions = this.completer.getCompletions(line);
+    if (completions.length === 1 && completions[0] === line.trim()) {
+      return [];
+    }
+
+    return completions.slice(0, MAX_HINTS).map((completion) => {
+      const command = this.completer.commands.get(completion.slice(1));
+      const hint = command?.description ? `${completion} - ${command.description}` : completion;
+      return chalk.gray(fitWidth(`  ${hint}`, columns - 1));
+    });
+  }
+
+  /**
+   * Draw the input, replacing what was drawn before
+   * @param {Boolean} final - Draw all of the input without hints, as it stays on screen once submitted
+   * @private
+   */
+  render(final = false) {
+    const { state } = this;
+    const columns = this.output.columns || 80;
+    const footer = final ? [] : this.getFooter(columns);
+
+    const lines = state.lines.map((line, index) => {
+      const prefix = index === 0 ? state.prompt : state.continuation;
+      const width = stringWidth(prefix) + stringWidth(displayText(line));
+      return {
+        text: prefix + displayText(line),
+        width,
+        rows: Math.floor(width / columns) + 1,
+        cursorOffset: stringWidth(prefix) + stringWidth(displayText(line.slice(0, state.col)))
+      };
+    });
+
+    // Input taller than the terminal is shown around the cursor, so redrawing stays on screen
+    let first = 0;
+    let last = lines.length - 1;
+    const available = Math.max((this.output.rows || 24) - 1 - footer.length, 3);
+    if (!final && lines.reduce((total, line) => total + line.rows, 0) > available) {
+      first = state.row;
+      last = state.row;
+      let used = lines[state.row].rows + 2;
+      while (true) {
+        if (last < lines.length - 1 && used + lines[last + 1].rows <= available) {
+          used += lines[++last].rows;
+        } else if (first > 0 && used + lines[first - 1].rows <= available) {
+          used += lines[--first].rows;
+        } else {
+          break;
+        }
+      }
+    }
+
+    let output = '';
+    let rows = 0;
+    let cursorRow = 0;
+    let cursorCol = 0;
+
+    if (first > 0) {
+      output += `${chalk.gray(`(${first} more ${first === 1 ? 'line' : 'lines'} above)`)}\n`;
+      rows++;
+    }
+
+    for (let index = first; index <= last; index++) {
+      const line = lines[index];
+      if (index === state.row) {
+        cursorRow = rows + Math.floor(line.cursorOffset / columns);
+        cursorCol = line.cursorOffset % columns;
+      }
+
+      // A line that exactly fills its last row leaves the cursor there, so step to the next row ourselves
+      output += line.text + (line.width > 0 && line.width % columns === 0 ? '\n' : '');
+      output += index < last ? '\n' : '';
+      rows += line.rows;
+    }
+
+    const below = lines.length - 1 - last;
+    const extra = below > 0 ? [chalk.gray(`(${below} more ${below === 1 ? 'line' : 'lines'} below)`), ...footer] : footer;
+    for (const line of extra) {
+      output += `\n${line}`;
+    }
+
+    const endRow = rows - 1 + extra.length;
+    if (final) {
+      cursorRow = endRow;
+      cursorCol = 0;
+    }
+
+    // Go back to where the previous drawing started and clear it
+    let move = state.renderedRow > 0 ? `\x1b[${state.renderedRow}A` : '';
+    move += '\r\x1b[J';
+
+    // Then from the end of the new drawing to the cursor
+    let cursor = endRow > cursorRow ? `\x1b[${endRow - cursorRow}A` : '';
+    cursor += final ? '' : `\r${cursorCol > 0 ? `\x1b[${cursorCol}C` : ''}`;
+
+    this.output.write(move + output + cursor);
+    state.renderedRow = cursorRow;
+  }
+}
+
+export default InputEditor;
@@ -7,8 +7,9 @@ import chalk from 'chalk';
  * Custom prompt with tab completion for inquirer
  */
 export class InquirerTabCompleter {
-  constructor() {
+  constructor(options = {}) {
     this.completer = new CommandCompleter();
+    this.profiles = options.profiles || [];
     this.initialized = false;
   }
 
@@ -38,8 +39,17 @@ export class InquirerTabCompleter {
     this.completer.registerCommand('temp', [], 'Update the temperature setting');
     this.completer.registerCommand('model', [], 'Change the model');
     this.completer.registerCommand('models', [], 'List all available models');
-    this.completer.registerCommand('tools', [], 'List available tools and their keywords');
+    this.completer.registerCommand('profile', ['none', ...this.profiles], 'List profiles or switch to one');
+    this.completer.registerCommand('tools', ['reload'], 'List available tools and their keywords');
+    this.completer.registerCommand('tool-output', [], 'Show the full output of tools used for the last answer');
+    this.completer.registerCommand('permissions', ['clear'], 'Show or clear saved tool permissions');
+    this.completer.registerCommand('undo', [], 'Undo the last file change made by a tool');
+    this.completer.registerCommand('commit', [], 'Draft a commit message for the staged changes and commit them');
+    this.completer.registerCommand('audit', ['show', 'failed'], 'Browse the log of tool calls and shell commands');
+    this.completer.registerCommand('pr-description', [], 'Draft a pull request description for the current branch');
+    this.completer.registerCommand('summary', ['regenerate'], 'Show or regenerate the conversation summary');
     this.completer.registerCommand('usage', [], 'Display token usage statistics');
+    this.completer.registerCommand('edit', [], 'Write a message in your editor');
     this.completer.registerCommand('exit', [], 'Exit the chat');
     
     // Register context commands with subcommands
@@ -47,6 +57,7 @@ export class InquirerTabCompleter {
       'help',
       'show',
       'tokens',
+      'budget',
       'add',
       'rm',
       'clear',
@@ -69,8 +80,17 @@ export class InquirerTabCompleter {
       '/temp': 'Update the temperature setting',
       '/model': 'Change the model',
       '/models': 'List all available models',
+      '/profile': 'List profiles or switch to one',
       '/tools': 'List available tools and their keywords',
+      '/tool-output': 'Show the full output of tools used for the last answer',
+      '/permissions': 'Show or clear saved tool permissions',
+      '/undo': 'Undo the last file change made by a tool',
+      '/commit': 'Draft a commit message for the staged changes and commit them',
+      '/audit': 'Browse the log of tool calls and shell commands',
+      '/pr-description': 'Draft a pull request description for the current branch',
+      '/summary': 'Show or regenerate the conversation summary',
       '/usage': 'Display token usage statistics',
+      '/edit': 'Write a message in your editor',
       '/exit': 'Exit the chat',
       '/context': 'Manage context files and hooks'
     };
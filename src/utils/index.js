@@ -2,4 +2,6 @@
 export { CommandCompleter } from './CommandCompleter.js';
 export { TabCompleter } from './TabCompleter.js';
 export { InquirerTabCompleter } from './InquirerTabCompleter.js';
-export { SimpleTabCompleter } from './SimpleTabCompleter.js';
\ No newline at end of file
+export { SimpleTabCompleter } from './SimpleTabCompleter.js';
+export { truncateOutput } from './truncate.js';
+export { renderMarkdown, MarkdownStreamRenderer } from './markdown.js';
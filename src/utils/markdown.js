@@ -0,0 +1,142 @@
+// src/utils/markdown.js
+import { Marked } from 'marked';
+import { markedTerminal } from 'marked-terminal';
+
+// Parsers keyed by output width, created on first use
+const parsers = new Map();
+
+/**
+ * Get a Markdown parser that renders for the terminal
+ * @param {Number} width - Column to wrap text at
+ * @returns {Marked} - The parser
+ */
+function getParser(width) {
+  if (!parsers.has(width)) {
+    parsers.set(width, new Marked(markedTerminal({
+      width,
+      reflowText: true,
+      tab: 2,
+      emoji: false
+    })));
+  }
+  return parsers.get(width);
+}
+
+/**
+ * Render Markdown for the terminal, with headings, lists and tables formatted,
+ * code blocks highlighted for their language and text wrapped to the terminal width
+ * @param {String} text - The Markdown text
+ * @param {Object} options - Optional settings
+ * @param {Number} options.width - Column to wrap at (default: terminal width, at most 100)
+ * @returns {String} - The rendered text, without trailing newlines
+ */
+export function renderMarkdown(text, options = {}) {
+  const width = options.width || Math.min(process.stdout.columns || 80, 100);
+
+  try {
+    return getParser(width).parse(text).replace(/\n+$/, '');
+  } catch (error) {
+    // Malformed input is better shown as written than not at all
+    return text.replace(/\n+$/, '');
+  }
+}
+
+/**
+ * Find where the complete blocks of a streamed Markdown text end: after the last
+ * blank line or closing code fence that is not inside a code block
+ * @param {String} text - The text received so far
+ * @returns {Number} - Length of the complete part, or 0 if no block is complete yet
+ */
+function findCompleteLength(text) {
+  let fence = null;
+  let complete = 0;
+  let position = 0;
+
+  // Only whole lines count; the last one may still be arriving
+  while (position < text.length) {
+    const lineEnd = text.indexOf('\n', position);
+    if (lineEnd === -1) {
+      break;
+    }
+
+    const line = text.slice(position, lineEnd);
+    position = lineEnd + 1;
+
+    const fenceMatch = line.match(/^ {0,3}(`{3,}|~{3,})/);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && !line.trim().slice(fenceMatch[1].length)) {
+        fence = null;
+        complete = position;
+      }
+    } else if (fenceMatch) {
+      fence = fenceMatch[1];
+    } else if (!line.trim()) {
+      complete = position;
+    }
+  }
+
+  return complete;
+}
+
+/**
+ * Renders Markdown that arrives in pieces, as with streamed responses. Each block
+ * (paragraph, list, table, code block) is rendered once it is complete, so output
+ * appears as the response is generated without rendering half a code block.
+ */
+export class MarkdownStreamRenderer {
+  constructor(options = {}) {
+    this.options = options;
+    this.buffer = '';
+    this.started = false;
+  }
+
+  /**
+   * Render the blocks in a chunk of text
+   * @param {String} markdown - Complete Markdown blocks
+   * @returns {String} - The rendered text, separated from earlier output by a blank line
+   * @private
+   */
+  renderBlocks(markdown) {
+    const rendered = renderMarkdown(markdown, this.options);
+    if (!rendered) {
+      return '';
+    }
+
+    const output = (this.started ? '\n\n' : '') + rendered;
+    this.started = true;
+    return output;
+  }
+
+  /**
+   * Add streamed text
+   * @param {String} chunk - The next piece of the response
+   * @returns {String} - Rendered output for the blocks completed by this chunk (may be empty)
+   */
+  write(chunk) {
+    this.buffer += chunk;
+
+    const completeLength = findCompleteLength(this.buffer);
+    if (completeLength === 0) {
+      return '';
+    }
+
+    const complete = this.buffer.slice(0, completeLength);
+    this.buffer = this.buffer.slice(completeLength);
+    return this.renderBlocks(complete);
+  }
+
+  /**
+   * Finish the response
+   * @returns {String} - Rendered output for the remaining text, ending with a newline
+   */
+  end() {
+    const output = this.buffer.trim() ? this.renderBlocks(this.buffer) : '';
+    const finished = this.started ? `${output}\n` : output;
+
+    this.buffer = '';
+    this.started = false;
+    return finished;
+  }
+}
+
+export default renderMarkdown;
@@ -0,0 +1,55 @@
+// src/utils/truncate.js
+
+/**
+ * Shorten long tool output, keeping the beginning and the end so both the
+ * header (e.g. a commit message) and the latest lines stay visible.
+ * @param {String} text - The text to shorten
+ * @param {Object} options - Optional limits
+ * @param {Number} options.maxLines - Maximum number of lines to keep (default 400)
+ * @param {Number} options.maxChars - Maximum number of characters to keep (default 20000)
+ * @returns {String} - The text, with a marker where lines were removed
+ */
+export function truncateOutput(text, options = {}) {
+  const maxLines = options.maxLines || 400;
+  const maxChars = options.maxChars || 20000;
+
+  if (!text) {
+    return text;
+  }
+
+  const lines = text.split('\n');
+  if (lines.length <= maxLines && text.length <= maxChars) {
+    return text;
+  }
+
+  // Keep two thirds of the budget for the head and the rest for the tail
+  const keepCount = Math.min(lines.length, maxLines);
+  const headCount = Math.ceil(keepCount * 2 / 3);
+  const tailCount = keepCount - headCount;
+
+  let head = lines.slice(0, headCount);
+  const tail = tailCount > 0 ? lines.slice(-tailCount) : [];
+
+  // Then drop lines until the character budget is met
+  const headChars = Math.floor(maxChars * 2 / 3);
+  while (head.length > 1 && head.join('\n').length > headChars) {
+    head.pop();
+  }
+  while (tail.length > 0 && head.join('\n').length + tail.join('\n').length > maxChars) {
+    tail.shift();
+  }
+
+  // A single huge line is cut rather than dropped
+  if (head.length === 1 && head[0].length > maxChars) {
+    head = [head[0].slice(0, maxChars)];
+  }
+
+  const removed = lines.length - head.length - tail.length;
+  const marker = removed > 0
+    ? `[... ${removed} line${removed === 1 ? '' : 's'} truncated ...]`
+    : '[... output truncated ...]';
+
+  return [...head, marker, ...tail].join('\n');
+}
+
+export default truncateOutput;
@@ -0,0 +1,54 @@
+// test/audit-log.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AuditLog } from '../src/audit/AuditLog.js';
+
+let root;
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'hikma-audit-'));
+});
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('shortens long arguments and output before storing them', async () => {
+  const audit = new AuditLog({ logPath: path.join(root, 'audit.jsonl'), maxOutputChars: 100 });
+  await audit.initialize();
+
+  const content = 'x'.repeat(5000);
+  audit.record({
+    type: 'tool',
+    name: 'write_file',
+    args: { path: 'big.txt', content, edits: [{ search: 'a', replace: 'y'.repeat(300) }], overwrite: true },
+    success: true,
+    output: 'z'.repeat(1000)
+  });
+
+  const [entry] = audit.query();
+  assert.equal(entry.args.path, 'big.txt');
+  assert.equal(entry.args.overwrite, true);
+  assert.equal(entry.args.content, `${'x'.repeat(100)}\n[... 4900 more characters not logged]`);
+  assert.equal(entry.args.edits[0].search, 'a');
+  assert.match(entry.args.edits[0].replace, /^y{100}\n\[\.\.\. 200 more characters not logged\]$/);
+  assert.match(entry.output, /^z{100}\n\[\.\.\. 900 more characters not logged\]$/);
+
+  assert.ok(fs.statSync(audit.logPath).size < 1000);
+});
+
+test('keeps short arguments and command lines as they are', async () => {
+  const audit = new AuditLog({ logPath: path.join(root, 'short.jsonl') });
+  await audit.initialize();
+
+  audit.record({ type: 'shell', name: 'ls', args: 'ls -la', success: true, output: '' });
+  audit.record({ type: 'tool', name: 'read_file', args: { path: 'a.txt' }, success: true });
+
+  const [read, shell] = audit.query();
+  assert.deepEqual(read.args, { path: 'a.txt' });
+  assert.equal(shell.args, 'ls -la');
+  assert.equal(shell.output, '');
+});
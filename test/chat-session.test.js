@@ -0,0 +1,115 @@
+// test/chat-session.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ChatSession } from '../src/chat/ChatSession.js';
+
+let root;
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'hikma-session-'));
+  // Keep permissions, plugins and tokenizer files out of the real home directory
+  process.env.HOME = path.join(root, 'home');
+});
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function createSession(name) {
+  return new ChatSession({
+    persistMemory: true,
+    memoryOptions: { dbPath: path.join(root, `${name}.db`) },
+    executionOptions: { workingDirectory: root }
+  });
+}
+
+function titles(session) {
+  return session.getAllConversations().map(conversation => conversation.metadata.title).sort();
+}
+
+test('starting with a named conversation creates only that conversation', async () => {
+  const session = createSession('named');
+  await session.initialize({ conversation: 'release notes' });
+
+  assert.deepEqual(titles(session), ['release notes']);
+  assert.equal(session.getCurrentConversation().metadata.title, 'release notes');
+  const id = session.activeConversationId;
+  await session.close();
+
+  // The conversation is found again by title and by ID
+  const byTitle = createSession('named');
+  await byTitle.initialize({ conversation: 'release notes' });
+  assert.equal(byTitle.activeConversationId, id);
+  assert.deepEqual(titles(byTitle), ['release notes']);
+  await byTitle.close();
+
+  const byId = createSession('named');
+  await byId.initialize({ conversation: id });
+  assert.equal(byId.activeConversationId, id);
+  await byId.close();
+});
+
+test('starting without a conversation continues the most recent one', async () => {
+  const first = createSession('recent');
+  await first.initialize();
+  assert.deepEqual(titles(first), ['New Conversation']);
+  await first.close();
+
+  const named = createSession('recent');
+  await named.initialize({ conversation: 'notes' });
+  const id = named.activeConversationId;
+  assert.deepEqual(titles(named), ['New Conversation', 'notes']);
+  await named.close();
+
+  const next = createSession('recent');
+  await next.initialize();
+  assert.equal(next.activeConversationId, id);
+  assert.deepEqual(titles(next), ['New Conversation', 'notes']);
+  await next.close();
+});
+
+test('a conversation that used a tool reloads with the call before its result', async () => {
+  fs.writeFileSync(path.join(root, 'notes.txt'), 'hello\n');
+  const toolCall = { function: { name: 'read_file', arguments: { path: 'notes.txt' } } };
+
+  const session = createSession('tools');
+  await session.initialize({ conversation: 'tools' });
+  const requests = [];
+  session.ollama.getContextLength = async () => 8192;
+  session.ollama.generateChatCompletion = async (messages) => {
+    requests.push(messages);
+    return requests.length === 1
+      ? { success: true, response: '', toolCalls: [toolCall] }
+      : { success: true, response: 'The notes say hello.', toolCalls: [] };
+  };
+
+  const response = await session.sendMessage('What do my notes say?');
+  assert.equal(response.success, true);
+  assert.equal(response.toolResults[0].result, 'hello\n');
+  await session.close();
+
+  const reloaded = createSession('tools');
+  await reloaded.initialize({ conversation: 'tools' });
+  reloaded.ollama.getContextLength = async () => 8192;
+
+  const stored = reloaded.getCurrentConversation().messages.filter(msg => msg.role !== 'system');
+  assert.deepEqual(stored.map(msg => msg.role), ['user', 'assistant', 'tool', 'assistant']);
+  assert.deepEqual(stored[1].metadata.toolCalls, [toolCall]);
+
+  const { messages } = await reloaded.buildPrompt();
+  const history = messages.filter(msg => msg.role !== 'system');
+  assert.deepEqual(history.map(msg => msg.role), ['user', 'assistant', 'tool', 'assistant']);
+  assert.deepEqual(history[1].tool_calls, [toolCall]);
+  assert.equal(history[2].tool_name, 'read_file');
+  assert.equal(history[3].content, 'The notes say hello.');
+
+  // Without native tool calling the call is left out and its output is sent as a user message
+  reloaded.updateSettings({ toolMode: 'off' });
+  const plain = (await reloaded.buildPrompt()).messages.filter(msg => msg.role !== 'system');
+  assert.deepEqual(plain.map(msg => msg.role), ['user', 'user', 'assistant']);
+  assert.match(plain[1].content, /^Output of the read_file tool/);
+  await reloaded.close();
+});
@@ -0,0 +1,63 @@
+// test/command-executor.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CommandExecutor } from '../src/tools/CommandExecutor.js';
+
+let root;
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'hikma-exec-'));
+});
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// Writes "é€😀" one byte at a time, so every character is split across chunks
+const SPLIT_OUTPUT = `
+const bytes = Buffer.from('\\u00e9\\u20ac\\ud83d\\ude00');
+let i = 0;
+const next = () => {
+  if (i < bytes.length) process.stdout.write(bytes.subarray(i, ++i), () => setTimeout(next, 5));
+};
+next();
+`;
+
+test('decodes characters split across output chunks', async () => {
+  const executor = new CommandExecutor({ workingDirectory: root });
+  const result = await executor.runFile(process.execPath, ['-e', SPLIT_OUTPUT]);
+
+  assert.equal(result.success, true);
+  assert.equal(result.stdout, 'é€😀');
+});
+
+test('limits output by bytes', async () => {
+  const executor = new CommandExecutor({ workingDirectory: root, maxOutputBytes: 3 });
+  const result = await executor.runFile(process.execPath, ['-e', SPLIT_OUTPUT]);
+
+  assert.equal(result.truncated, true);
+  assert.equal(result.stdout, 'é�\n[Output truncated at 3 bytes]');
+});
+
+test('blocks recursive forced rm however its flags are written', () => {
+  const executor = new CommandExecutor({ workingDirectory: root });
+
+  for (const command of ['rm -rf /', 'rm -fr /', 'rm -r -f build', 'rm -f -R build', 'rm --recursive --force build', 'ls && rm -v -r --force build']) {
+    assert.equal(executor.checkCommand(command).allowed, false, command);
+  }
+
+  for (const command of ['rm -r build', 'rm -f notes.txt', 'rm notes-rf.txt', 'rm -r build; ls -f']) {
+    assert.equal(executor.checkCommand(command).allowed, true, command);
+  }
+});
+
+test('keeps cd and pushd in the working directory', () => {
+  const executor = new CommandExecutor({ workingDirectory: root });
+
+  assert.equal(executor.checkCommand('cd src && ls').allowed, true);
+  assert.equal(executor.checkCommand('cd .. && ls').allowed, false);
+  assert.equal(executor.checkCommand('pushd /etc').allowed, false);
+});
@@ -0,0 +1,83 @@
+// test/config.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, getDefaultConfig } from '../src/cli/config.js';
+
+let root;
+let project;
+let cwd;
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'hikma-config-'));
+  project = path.join(root, 'project');
+  fs.mkdirSync(project);
+  // The user config is read from $XDG_CONFIG_HOME/hikma/config.json
+  process.env.XDG_CONFIG_HOME = path.join(root, 'config');
+  cwd = process.cwd();
+  process.chdir(project);
+});
+
+after(() => {
+  process.chdir(cwd);
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(value));
+}
+
+test('a project config cannot widen file access, move history or start programs', () => {
+  writeJson(path.join(project, '.hikma.json'), {
+    settings: { temperature: 0.2 },
+    memory: { dbPath: path.join(root, 'elsewhere.db'), maxMessages: 10 },
+    tools: {
+      fileEditor: { confineToWorkingDirectory: false, workingDirectory: '/' },
+      search: { maxResults: 1000 },
+      permissions: { allow: ['*'] },
+      maxOutputLines: 50
+    },
+    execution: { confineToWorkingDirectory: false },
+    mcpServers: { evil: { command: 'sh' } },
+    tokenizers: { download: true }
+  });
+
+  const { config, warnings, errors } = loadConfig();
+  const defaults = getDefaultConfig();
+
+  assert.deepEqual(errors, []);
+  assert.equal(config.memory.dbPath, undefined);
+  assert.equal(config.tools.fileEditor, undefined);
+  assert.equal(config.tools.search, undefined);
+  assert.equal(config.tools.permissions, undefined);
+  assert.deepEqual(config.execution, defaults.execution);
+  assert.deepEqual(config.mcpServers, {});
+  assert.equal(config.tokenizers.download, false);
+
+  // Other keys still apply
+  assert.equal(config.settings.temperature, 0.2);
+  assert.equal(config.memory.maxMessages, 10);
+  assert.equal(config.tools.maxOutputLines, 50);
+
+  assert.equal(warnings.length, 1);
+  for (const key of ['memory.dbPath', 'tools.fileEditor', 'tools.search', 'tools.permissions', 'execution', 'mcpServers', 'tokenizers']) {
+    assert.ok(warnings[0].includes(key), `warning names ${key}`);
+  }
+});
+
+test('the user config can set the keys a project config cannot', () => {
+  writeJson(path.join(project, '.hikma.json'), {});
+  writeJson(path.join(root, 'config', 'hikma', 'config.json'), {
+    memory: { dbPath: path.join(root, 'history.db') },
+    tools: { fileEditor: { confineToWorkingDirectory: false } }
+  });
+
+  const { config, warnings } = loadConfig();
+
+  assert.equal(config.memory.dbPath, path.join(root, 'history.db'));
+  assert.equal(config.tools.fileEditor.confineToWorkingDirectory, false);
+  assert.deepEqual(warnings, []);
+});
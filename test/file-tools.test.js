@@ -0,0 +1,97 @@
+// test/file-tools.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ToolManager } from '../src/tools/ToolManager.js';
+import { CommandExecutor } from '../src/tools/CommandExecutor.js';
+import { FileEditor } from '../src/tools/FileEditor.js';
+
+let root;
+let project;
+let outside;
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'hikma-files-'));
+  project = path.join(root, 'project');
+  outside = path.join(root, 'outside');
+  fs.mkdirSync(path.join(project, 'src'), { recursive: true });
+  fs.mkdirSync(outside);
+  // Keep permissions and backups out of the real home directory
+  process.env.HOME = path.join(root, 'home');
+
+  fs.writeFileSync(path.join(project, 'src', 'app.js'), 'console.log(1);\n');
+  fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret\n');
+
+  fs.symlinkSync(outside, path.join(project, 'escape'));
+  fs.symlinkSync(path.join(outside, 'secret.txt'), path.join(project, 'secret-link.txt'));
+  fs.symlinkSync(path.join(outside, 'new.txt'), path.join(project, 'dangling.txt'));
+  fs.symlinkSync(path.join(project, 'src'), path.join(project, 'source'));
+});
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function createToolManager() {
+  return new ToolManager({ executor: new CommandExecutor({ workingDirectory: project }) });
+}
+
+test('read_file and list_directory read files in the working directory', async () => {
+  const tools = createToolManager();
+
+  const file = await tools.executeTool('read_file', { path: 'src/app.js' });
+  assert.equal(file.success, true);
+  assert.equal(file.result, 'console.log(1);\n');
+
+  // A link that stays inside the working directory is allowed
+  const linked = await tools.executeTool('read_file', { path: 'source/app.js' });
+  assert.equal(linked.success, true);
+
+  const listing = await tools.executeTool('list_directory', { path: 'src' });
+  assert.equal(listing.success, true);
+  assert.match(listing.result, /app\.js/);
+});
+
+test('read_file and list_directory refuse paths outside the working directory', async () => {
+  const tools = createToolManager();
+
+  for (const filePath of ['../outside/secret.txt', path.join(outside, 'secret.txt')]) {
+    const result = await tools.executeTool('read_file', { path: filePath });
+    assert.equal(result.success, false);
+    assert.match(result.error, /outside the working directory/);
+  }
+
+  const listing = await tools.executeTool('list_directory', { path: '..' });
+  assert.equal(listing.success, false);
+  assert.match(listing.error, /outside the working directory/);
+});
+
+test('symbolic links cannot lead outside the working directory', async () => {
+  const tools = createToolManager();
+
+  const file = await tools.executeTool('read_file', { path: 'secret-link.txt' });
+  assert.equal(file.success, false);
+  assert.match(file.error, /outside the working directory/);
+
+  const throughDirectory = await tools.executeTool('read_file', { path: 'escape/secret.txt' });
+  assert.equal(throughDirectory.success, false);
+  assert.match(throughDirectory.error, /outside the working directory/);
+
+  const listing = await tools.executeTool('list_directory', { path: 'escape' });
+  assert.equal(listing.success, false);
+  assert.match(listing.error, /outside the working directory/);
+
+  // New files are checked through their nearest existing parent, and links to missing files
+  // through their target
+  const editor = new FileEditor({ workingDirectory: project });
+  assert.throws(() => editor.planWrite('escape/new.txt', 'x'), /outside the working directory/);
+  assert.throws(() => editor.planWrite('dangling.txt', 'x'), /outside the working directory/);
+  assert.equal(editor.planWrite('src/new/file.txt', 'x').path, path.join(project, 'src', 'new', 'file.txt'));
+});
+
+test('an editor that is not confined accepts links that lead outside', () => {
+  const editor = new FileEditor({ workingDirectory: project, confineToWorkingDirectory: false });
+  assert.equal(editor.resolvePath('escape/secret.txt'), path.join(project, 'escape', 'secret.txt'));
+});
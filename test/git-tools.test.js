@@ -0,0 +1,254 @@
+// test/git-tools.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ToolManager } from '../src/tools/ToolManager.js';
+import { CommandExecutor } from '../src/tools/CommandExecutor.js';
+import { ChatSession } from '../src/chat/ChatSession.js';
+
+let root;
+let repo;
+
+function git(...args) {
+  return execFileSync('git', args, { cwd: repo, encoding: 'utf8' });
+}
+
+function createToolManager() {
+  return new ToolManager({ executor: new CommandExecutor({ workingDirectory: repo }) });
+}
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'hikma-git-'));
+  repo = path.join(root, 'repo');
+  fs.mkdirSync(repo);
+  // Keep permissions, audit log and tokenizer calibration out of the real home directory
+  process.env.HOME = path.join(root, 'home');
+
+  git('init', '--quiet', '--initial-branch=main');
+  git('config', 'user.name', 'Test Author');
+  git('config', 'user.email', 'test@example.com');
+  git('config', 'commit.gpgsign', 'false');
+
+  fs.writeFileSync(path.join(repo, 'README.md'), 'first line\n');
+  git('add', 'README.md');
+  git('commit', '--quiet', '-m', 'Add readme');
+  fs.writeFileSync(path.join(repo, 'app.js'), 'console.log(1);\n');
+  git('add', 'app.js');
+  git('commit', '--quiet', '-m', 'Add app');
+});
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('git_status reports modified and untracked files', async () => {
+  fs.writeFileSync(path.join(repo, 'README.md'), 'first line\nsecond line\n');
+  fs.writeFileSync(path.join(repo, 'notes.txt'), 'todo\n');
+
+  const result = await createToolManager().executeTool('git_status');
+
+  assert.equal(result.success, true);
+  assert.match(result.result, /modified:\s+README\.md/);
+  assert.match(result.result, /notes\.txt/);
+
+  git('checkout', '--', 'README.md');
+  fs.rmSync(path.join(repo, 'notes.txt'));
+});
+
+test('git_diff shows unstaged and staged changes', async () => {
+  const tools = createToolManager();
+
+  const clean = await tools.executeTool('git_diff');
+  assert.equal(clean.success, true);
+  assert.equal(clean.empty, true);
+
+  fs.writeFileSync(path.join(repo, 'app.js'), 'console.log(2);\n');
+  const unstaged = await tools.executeTool('git_diff');
+  assert.match(unstaged.result, /^-console\.log\(1\);$/m);
+  assert.match(unstaged.result, /^\+console\.log\(2\);$/m);
+
+  const nothingStaged = await tools.executeTool('git_diff', { staged: true });
+  assert.equal(nothingStaged.empty, true);
+
+  git('add', 'app.js');
+  const staged = await tools.executeTool('git_diff', { staged: true });
+  assert.match(staged.result, /^\+console\.log\(2\);$/m);
+
+  git('reset', '--quiet', '--hard');
+});
+
+test('git_log lists commits and applies filters', async () => {
+  const tools = createToolManager();
+
+  const log = await tools.executeTool('git_log');
+  assert.equal(log.success, true);
+  assert.match(log.result, /Test Author/);
+  assert.ok(log.result.indexOf('Add app') < log.result.indexOf('Add readme'), 'newest commit first');
+
+  const filtered = await tools.executeTool('git_log', { grep: 'readme' });
+  assert.match(filtered.result, /Add readme/);
+  assert.doesNotMatch(filtered.result, /Add app/);
+
+  const none = await tools.executeTool('git_log', { grep: 'no such commit' });
+  assert.equal(none.result, 'No commits match these filters');
+
+  const invalid = await tools.executeTool('git_log', { range: '--output=/tmp/x' });
+  assert.equal(invalid.success, false);
+});
+
+test('git_show shows a commit and a file at a revision', async () => {
+  const tools = createToolManager();
+
+  const head = await tools.executeTool('git_show');
+  assert.equal(head.success, true);
+  assert.match(head.result, /Add app/);
+  assert.match(head.result, /^\+console\.log\(1\);$/m);
+
+  const first = await tools.executeTool('git_show', { commit: 'HEAD~1', stat: true });
+  assert.match(first.result, /Add readme/);
+  assert.match(first.result, /README\.md \| 1 \+/);
+  assert.doesNotMatch(first.result, /^\+first line$/m);
+
+  const file = await tools.executeTool('git_show', { commit: 'HEAD~1:README.md' });
+  assert.equal(file.success, true);
+  assert.equal(file.result, 'first line\n');
+
+  const missing = await tools.executeTool('git_show', { commit: 'HEAD~1:app.js' });
+  assert.equal(missing.success, false);
+
+  const invalid = await tools.executeTool('git_show', { commit: '--output=/tmp/x' });
+  assert.equal(invalid.success, false);
+});
+
+test('git_blame shows who last changed each line of a range', async () => {
+  fs.writeFileSync(path.join(repo, 'lines.txt'), 'one\ntwo\nthree\n');
+  git('add', 'lines.txt');
+  git('commit', '--quiet', '-m', 'Add lines');
+  fs.writeFileSync(path.join(repo, 'lines.txt'), 'one\nTWO\nthree\n');
+  git('-c', 'user.name=Other Author', 'commit', '--quiet', '-am', 'Shout two');
+
+  const tools = createToolManager();
+
+  const range = await tools.executeTool('git_blame', { path: 'lines.txt', start_line: 2, end_line: 3 });
+  assert.equal(range.success, true);
+  const lines = range.result.trim().split('\n');
+  assert.equal(lines.length, 2);
+  assert.match(lines[0], /Other Author .*\) TWO$/);
+  assert.match(lines[1], /Test Author .*\) three$/);
+
+  const single = await tools.executeTool('git_blame', { path: 'lines.txt', start_line: 1 });
+  assert.equal(single.result.trim().split('\n').length, 1);
+  assert.match(single.result, /Test Author .*\) one$/m);
+
+  const missing = await tools.executeTool('git_blame', { path: 'no-such-file.txt' });
+  assert.equal(missing.success, false);
+});
+
+test('git_branch_diff compares a feature branch with the base branch it started from', async () => {
+  const tools = createToolManager();
+
+  const onBase = await tools.executeTool('git_branch_diff');
+  assert.equal(onBase.success, true);
+  assert.equal(onBase.base, 'main');
+  assert.equal(onBase.empty, true);
+
+  git('checkout', '--quiet', '-b', 'feature');
+  fs.writeFileSync(path.join(repo, 'feature.js'), 'export const feature = true;\n');
+  git('add', 'feature.js');
+  git('commit', '--quiet', '-m', 'Add feature');
+
+  // A change made on main after branching is not part of the branch's changes
+  git('checkout', '--quiet', 'main');
+  fs.writeFileSync(path.join(repo, 'main-only.txt'), 'main\n');
+  git('add', 'main-only.txt');
+  git('commit', '--quiet', '-m', 'Change main');
+  git('checkout', '--quiet', 'feature');
+
+  try {
+    const diff = await tools.executeTool('git_branch_diff');
+    assert.equal(diff.success, true);
+    assert.equal(diff.base, 'main');
+    assert.match(diff.result, /^\+export const feature = true;$/m);
+    assert.doesNotMatch(diff.result, /main-only\.txt/);
+
+    const stat = await tools.executeTool('git_branch_diff', { base: 'main', stat: true });
+    assert.match(stat.result, /feature\.js \| 1 \+/);
+
+    const unknown = await tools.executeTool('git_branch_diff', { base: 'no-such-branch' });
+    assert.equal(unknown.success, false);
+  } finally {
+    git('checkout', '--quiet', 'main');
+    git('branch', '--quiet', '-D', 'feature');
+  }
+});
+
+test('git tools report a directory that is not a repository', async () => {
+  const outside = fs.mkdtempSync(path.join(root, 'plain-'));
+  const tools = new ToolManager({ executor: new CommandExecutor({ workingDirectory: outside }) });
+
+  const result = await tools.executeTool('git_status');
+  assert.equal(result.success, false);
+  assert.match(result.error, /not a git repository/);
+});
+
+test('/commit drafts a message from the staged diff and commits it', async () => {
+  const session = new ChatSession({ executionOptions: { workingDirectory: repo } });
+  await session.audit.initialize();
+  const requests = [];
+  session.ollama.getContextLength = async () => 8192;
+  session.ollama.generateChatCompletion = async (messages) => {
+    requests.push(messages);
+    return { success: true, response: '```\nfeat: add greeting\n```' };
+  };
+
+  const nothingStaged = await session.generateCommitMessage();
+  assert.equal(nothingStaged.success, false);
+  assert.match(nothingStaged.error, /No changes are staged/);
+
+  fs.writeFileSync(path.join(repo, 'greeting.js'), 'export const greeting = "hello";\n');
+  git('add', 'greeting.js');
+
+  const draft = await session.generateCommitMessage();
+  assert.equal(draft.success, true);
+  assert.equal(draft.text, 'feat: add greeting');
+  assert.match(requests.at(-1).at(-1).content, /\+export const greeting = "hello";/);
+
+  const commit = await session.commitChanges(draft.text);
+  assert.equal(commit.success, true);
+  assert.equal(git('log', '-1', '--pretty=%s').trim(), 'feat: add greeting');
+  assert.equal(git('status', '--porcelain'), '');
+
+  await session.close();
+});
+
+test('/commit drafting can be interrupted', async () => {
+  const session = new ChatSession({ executionOptions: { workingDirectory: repo } });
+  await session.audit.initialize();
+  session.ollama.getContextLength = async () => 8192;
+  session.ollama.generateChatCompletion = (messages, options) => new Promise(resolve => {
+    options.signal.addEventListener('abort', () => {
+      resolve({ success: false, interrupted: true, error: 'Generation interrupted', response: null });
+    });
+  });
+
+  fs.writeFileSync(path.join(repo, 'pending.js'), 'export const pending = true;\n');
+  git('add', 'pending.js');
+
+  try {
+    const drafting = session.generateCommitMessage();
+    while (!session.interruptGeneration()) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const draft = await drafting;
+    assert.equal(draft.success, false);
+    assert.equal(draft.interrupted, true);
+    assert.equal(session.interruptGeneration(), false);
+  } finally {
+    git('reset', '--quiet', '--hard');
+    await session.close();
+  }
+});
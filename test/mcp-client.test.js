@@ -0,0 +1,120 @@
+// test/mcp-client.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { McpClient } from '../src/tools/McpClient.js';
+import { ToolManager } from '../src/tools/ToolManager.js';
+import { PermissionManager } from '../src/tools/PermissionManager.js';
+
+const ECHO_SERVER = fileURLToPath(new URL('../examples/mcp-echo-server.js', import.meta.url));
+const echoConfig = { command: process.execPath, args: [ECHO_SERVER], timeout: 5000 };
+
+let root;
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'hikma-mcp-'));
+});
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function createPermissions(decision = null) {
+  return new PermissionManager({
+    projectDir: root,
+    configPath: path.join(root, 'permissions.json'),
+    promptHandler: decision && (async () => decision)
+  });
+}
+
+test('connects, lists tools and calls them', async () => {
+  const client = new McpClient('echo', echoConfig);
+
+  try {
+    const init = await client.connect();
+    assert.equal(init.serverInfo.name, 'echo');
+
+    const tools = await client.listTools();
+    assert.deepEqual(tools.map(tool => tool.name), ['echo', 'add', 'fail']);
+
+    assert.deepEqual(await client.callTool('echo', { text: 'hello' }), { success: true, result: 'hello' });
+    assert.deepEqual(await client.callTool('add', { a: 2, b: 3 }), { success: true, result: '5' });
+    assert.deepEqual(await client.callTool('fail'), { success: false, error: 'This tool always fails' });
+    await assert.rejects(client.callTool('missing'), /Unknown tool: missing/);
+  } finally {
+    client.close();
+  }
+});
+
+test('reports a server command that does not exist', async () => {
+  const client = new McpClient('missing', { command: path.join(root, 'no-such-server') });
+  await assert.rejects(client.connect(), /command not found/);
+  client.close();
+});
+
+test('reports a server that exits during startup', async () => {
+  const client = new McpClient('crash', {
+    command: process.execPath,
+    args: ['-e', 'console.error("startup failed"); process.exit(3)']
+  });
+  await assert.rejects(client.connect(), /exited with code 3: startup failed/);
+  client.close();
+});
+
+test('registers tools of the servers that start and reports the others', async () => {
+  const tools = new ToolManager({
+    permissionManager: createPermissions('once'),
+    mcpServers: {
+      echo: echoConfig,
+      broken: { command: path.join(root, 'no-such-server') },
+      off: { ...echoConfig, disabled: true }
+    }
+  });
+
+  try {
+    const result = await tools.connectMcpServers();
+    assert.deepEqual(result.connected, ['echo']);
+    assert.deepEqual(result.errors.map(error => error.server), ['broken']);
+
+    const echo = await tools.executeTool('echo__echo', { text: 'hi' });
+    assert.equal(echo.success, true);
+    assert.equal(echo.result, 'hi');
+  } finally {
+    tools.close();
+  }
+});
+
+test('asks before running MCP tools that are not read-only', async () => {
+  const prompts = [];
+  const permissions = createPermissions('deny');
+  const prompt = permissions.promptHandler;
+  permissions.setPromptHandler(async (request) => {
+    prompts.push(request.tool.name);
+    return prompt(request);
+  });
+
+  const tools = new ToolManager({ permissionManager: permissions, mcpServers: { echo: echoConfig } });
+
+  try {
+    await tools.connectMcpServers();
+
+    const denied = await tools.executeTool('echo__add', { a: 1, b: 2 });
+    assert.equal(denied.success, false);
+    assert.match(denied.error, /Permission denied/);
+
+    // Read-only tools run without asking
+    const echo = await tools.executeTool('echo__echo', { text: 'hi' });
+    assert.equal(echo.success, true);
+    assert.deepEqual(prompts, ['echo__add']);
+
+    permissions.setPromptHandler(null);
+    const unattended = await tools.executeTool('echo__add', { a: 1, b: 2 });
+    assert.equal(unattended.success, false);
+    assert.match(unattended.error, /requires approval/);
+  } finally {
+    tools.close();
+  }
+});
@@ -0,0 +1,102 @@
+// test/plugins.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ToolManager } from '../src/tools/ToolManager.js';
+import { CommandExecutor } from '../src/tools/CommandExecutor.js';
+
+let root;
+let project;
+
+before(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'hikma-plugins-'));
+  project = path.join(root, 'project');
+  fs.mkdirSync(path.join(project, '.hikma', 'tools'), { recursive: true });
+  // User plugins, permissions and plugin trust live under the home directory
+  process.env.HOME = path.join(root, 'home');
+  fs.mkdirSync(path.join(root, 'home', '.hikma', 'tools'), { recursive: true });
+});
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function writePlugin(directory, name, result) {
+  fs.writeFileSync(path.join(directory, `${name}.js`), `export default {
+  name: '${name}',
+  description: 'Test plugin',
+  parameters: { type: 'object', properties: {} },
+  readOnly: true,
+  async handler() { return '${result}'; }
+};
+`);
+}
+
+function createToolManager(plugins = {}) {
+  return new ToolManager({
+    executor: new CommandExecutor({ workingDirectory: project }),
+    plugins: { projectDir: project, ...plugins }
+  });
+}
+
+function findTool(tools, name) {
+  return tools.getAllTools().find(tool => tool.name === name);
+}
+
+test('project plugins load only after the user trusts them', async () => {
+  const projectTools = path.join(project, '.hikma', 'tools');
+  writePlugin(path.join(root, 'home', '.hikma', 'tools'), 'user_tool', 'user');
+  writePlugin(projectTools, 'project_tool', 'first');
+
+  const tools = createToolManager();
+  const first = await tools.loadPlugins();
+  assert.deepEqual(first.loaded, ['user_tool']);
+  assert.deepEqual(first.untrusted, [path.join(projectTools, 'project_tool.js')]);
+  assert.deepEqual(tools.getUntrustedPlugins(), first.untrusted);
+  assert.equal(findTool(tools, 'project_tool'), undefined);
+
+  const trusted = await tools.trustProjectPlugins();
+  assert.deepEqual(trusted.loaded.sort(), ['project_tool', 'user_tool']);
+  assert.deepEqual(trusted.untrusted, []);
+
+  // Trust is kept for the next session
+  const next = createToolManager();
+  assert.deepEqual((await next.loadPlugins()).untrusted, []);
+
+  // A changed or added file has to be trusted again
+  writePlugin(projectTools, 'project_tool', 'changed');
+  writePlugin(projectTools, 'other_tool', 'other');
+  const changed = await next.loadPlugins();
+  assert.deepEqual(changed.loaded, ['user_tool']);
+  assert.deepEqual(changed.untrusted, [path.join(projectTools, 'other_tool.js'), path.join(projectTools, 'project_tool.js')]);
+
+  // Trust is per project
+  const elsewhere = path.join(root, 'elsewhere');
+  fs.mkdirSync(path.join(elsewhere, '.hikma', 'tools'), { recursive: true });
+  fs.copyFileSync(path.join(projectTools, 'other_tool.js'), path.join(elsewhere, '.hikma', 'tools', 'other_tool.js'));
+  await next.trustProjectPlugins();
+  const other = createToolManager({ projectDir: elsewhere });
+  assert.equal((await other.loadPlugins()).untrusted.length, 1);
+});
+
+test('plugins need approval unless the user config honours their readOnly flag', async () => {
+  writePlugin(path.join(root, 'home', '.hikma', 'tools'), 'user_tool', 'user');
+
+  const tools = createToolManager();
+  await tools.loadPlugins();
+  assert.equal(findTool(tools, 'user_tool').readOnly, false);
+
+  const named = createToolManager({ allowReadOnly: ['user_tool'] });
+  await named.loadPlugins();
+  assert.equal(findTool(named, 'user_tool').readOnly, true);
+
+  const others = createToolManager({ allowReadOnly: ['other_tool'] });
+  await others.loadPlugins();
+  assert.equal(findTool(others, 'user_tool').readOnly, false);
+
+  const all = createToolManager({ allowReadOnly: true });
+  await all.loadPlugins();
+  assert.equal(findTool(all, 'user_tool').readOnly, true);
+});
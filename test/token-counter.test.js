@@ -0,0 +1,120 @@
+// test/token-counter.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { TokenCounter } from '../src/tokenizer/TokenCounter.js';
+
+// A tiny BPE vocabulary in the tokenizer.json format: "hi" is one token, other letters one each
+const VOCABULARY = {
+  model: {
+    type: 'BPE',
+    vocab: { h: 0, i: 1, o: 2, hi: 3 },
+    merges: ['h i']
+  },
+  normalizer: null,
+  pre_tokenizer: { type: 'WhitespaceSplit' },
+  post_processor: null,
+  decoder: null,
+  added_tokens: []
+};
+
+let root;
+let server;
+let baseUrl;
+const requests = [];
+
+before(async () => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'hikma-tokens-'));
+  server = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (req.url === '/tokenizer.json') {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(VOCABULARY));
+    } else {
+      res.statusCode = 404;
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+function createCounter(name, options = {}) {
+  const counter = new TokenCounter({
+    tokenizerDir: path.join(root, name),
+    calibrationPath: null,
+    getModel: () => 'llama3.2:latest',
+    ...options
+  });
+  counter.registerFamily({ ...counter.getFamily('llama3'), vocabularyUrl: `${baseUrl}/tokenizer.json` });
+  return counter;
+}
+
+test('estimates counts until the vocabulary is downloaded, then counts exactly', async () => {
+  const counter = createCounter('download', { download: true });
+  assert.equal(counter.describe().exact, false);
+
+  const loading = counter.load();
+  assert.equal(counter.describe().loading, true);
+  await loading;
+
+  assert.deepEqual(counter.describe(), {
+    name: 'llama3',
+    exact: true,
+    calibration: null,
+    loading: false,
+    error: null,
+    vocabulary: null
+  });
+  assert.equal(counter.count('hi hoi'), 4);
+  assert.ok(fs.existsSync(path.join(root, 'download', 'llama3.json')));
+
+  // Other families and unknown models are still estimated
+  assert.equal(counter.describe('mistral:7b').exact, false);
+  assert.equal(counter.describe('phi3').name, 'estimate');
+});
+
+test('uses a vocabulary already in the tokenizer directory without downloading it', async () => {
+  fs.mkdirSync(path.join(root, 'cached'));
+  fs.writeFileSync(path.join(root, 'cached', 'llama3.json'), JSON.stringify(VOCABULARY));
+  requests.length = 0;
+
+  const counter = createCounter('cached');
+  await counter.load();
+
+  assert.equal(counter.describe().exact, true);
+  assert.deepEqual(requests, []);
+});
+
+test('downloads nothing unless downloads are turned on', async () => {
+  requests.length = 0;
+  const counter = createCounter('offline');
+  await counter.load();
+
+  const tokenizer = counter.describe();
+  assert.equal(tokenizer.exact, false);
+  assert.equal(tokenizer.error, null);
+  assert.deepEqual(tokenizer.vocabulary, {
+    url: `${baseUrl}/tokenizer.json`,
+    path: path.join(root, 'offline', 'llama3.json')
+  });
+  assert.deepEqual(requests, []);
+});
+
+test('falls back to estimates when the vocabulary cannot be downloaded', async () => {
+  const missing = createCounter('missing', { download: true });
+  missing.registerFamily({ ...missing.getFamily('llama3'), vocabularyUrl: `${baseUrl}/missing.json` });
+  await assert.rejects(missing.load(), /Could not download .*status code 404/);
+  // A failed vocabulary is not tried again in the same session
+  await missing.load();
+  assert.ok(missing.count('hi hoi') > 0);
+  assert.equal(fs.existsSync(path.join(root, 'missing', 'llama3.json')), false);
+});